@@ -0,0 +1,286 @@
+'use strict';
+
+/**
+ * @file AdvaultAdSkipper.js
+ * @description Skips the YouTube video ads that play despite the response pruning.
+ * An ad plays while the player has the `ad-showing` or `ad-interrupting` class; the video's source and
+ * duration changes mark where one ad of a pod ends and the next begins. While an ad plays, a chain of skip
+ * strategies from the YouTube config is tried in order until one ends it:
+ * - `click` clicks a visible skip button.
+ * - `mute` mutes the ad.
+ * - `seek` seeks the ad to its end.
+ * - `speed` raises the playback rate.
+ * - `dismiss` clicks the close button of overlay ads; it also runs when no video ad plays.
+ * Every attempt and its result are logged, and the sound and playback rate the video had before
+ * the ad are restored once it ends.
+ */
+
+import { Advault } from './AdvaultDOM.js';
+
+const SKIP_STRATEGY_NAMES = ['click', 'mute', 'seek', 'speed', 'dismiss'];
+
+// Player classes present exactly while a video ad plays
+const AD_PLAYING_CLASSES = ['ad-showing', 'ad-interrupting'];
+
+// Used when the YouTube config could not be loaded
+const DEFAULT_SKIP_CHAIN = [
+    { type: 'click', selectors: ['.ytp-ad-skip-button', '.ytp-ad-skip-button-modern', '.ytp-skip-ad-button'] },
+    { type: 'mute' },
+    { type: 'speed', rate: 16 },
+    { type: 'dismiss', selectors: ['.ytp-ad-overlay-close-button'] }
+];
+
+// Skip buttons appear a few seconds into an ad without a class change, so the chain is retried this often
+const AD_RETRY_INTERVAL_MS = 250;
+
+// Video events that mean the source or duration changed: an ad started, ended or the next ad of a pod began
+const VIDEO_CHANGE_EVENTS = ['loadedmetadata', 'durationchange', 'emptied'];
+
+/**
+ * @typedef {object} SkipStrategy
+ * @property {string} type - One of SKIP_STRATEGY_NAMES.
+ * @property {string[]} [selectors] - Buttons to click, for `click` and `dismiss`.
+ * @property {number} [rate] - Playback rate, for `speed`.
+ */
+
+/**
+ * @typedef {object} AdState
+ * @property {HTMLVideoElement} video - The video playing the ad.
+ * @property {string} source - The ad's video source.
+ * @property {number} duration - The ad's duration, NaN until its metadata loaded.
+ * @property {boolean} muted - Whether the video was muted before the ad.
+ * @property {number} playbackRate - The video's playback rate before the ad.
+ * @property {Map<string, string>} results - The last result of each strategy, so repeats aren't logged again.
+ */
+
+let skipChain = DEFAULT_SKIP_CHAIN;
+let playerElement = null;
+let watchedVideo = null;
+/** @type {AdState|null} */
+let adState = null;
+let retryTimer = null;
+let stopped = true;
+let onAdSkipped = () => {};
+
+/**
+ * Tells whether the player shows a video ad.
+ * @param {Element|null} player - The player element.
+ * @returns {boolean} True while an ad plays.
+ */
+function isAdPlaying(player) {
+    return Boolean(player) && AD_PLAYING_CLASSES.some(name => Advault.DOM.ClassList.has(player, name));
+}
+
+/**
+ * Returns the first visible element of a list of selectors.
+ * @param {string[]} selectors - The selectors.
+ * @returns {HTMLElement|null} The element.
+ */
+function findVisibleButton(selectors) {
+    for (const selector of selectors) {
+        const button = Array.from(Advault.queryAll(selector, playerElement || document))
+            .find(element => element.offsetParent !== null || element.getClientRects().length > 0);
+        if (button) return button;
+    }
+    return null;
+}
+
+// Each strategy returns 'skipped' when the ad should end now, 'applied' when it changed the playback
+// and the chain goes on, or 'unavailable' when it could not do anything yet.
+const strategies = {
+    click(video, { selectors = [] }) {
+        const button = findVisibleButton(selectors);
+        if (!button) return 'unavailable';
+        button.click();
+        return 'skipped';
+    },
+
+    mute(video) {
+        video.muted = true;
+        return 'applied';
+    },
+
+    seek(video) {
+        if (!Number.isFinite(video.duration) || video.duration <= 0) return 'unavailable';
+        if (video.currentTime < video.duration) video.currentTime = video.duration;
+        return 'skipped';
+    },
+
+    speed(video, { rate = 16 }) {
+        video.playbackRate = rate;
+        return 'applied';
+    },
+
+    dismiss(video, { selectors = [] }) {
+        const button = findVisibleButton(selectors);
+        if (!button) return 'unavailable';
+        button.click();
+        return 'applied';
+    }
+};
+
+/**
+ * Runs one strategy and logs its result when it differs from the strategy's previous result in this ad.
+ * Outside ads, only the attempts that did something are logged.
+ * @param {SkipStrategy} strategy - The strategy.
+ * @param {HTMLVideoElement|null} video - The video playing the ad, null outside ads.
+ * @returns {string} The result.
+ */
+function attemptStrategy(strategy, video) {
+    let result;
+    try {
+        result = strategies[strategy.type](video, strategy);
+    } catch (error) {
+        result = 'failed';
+        console.warn(`[Advault AdvaultAdSkipper.js] The ${strategy.type} strategy failed:`, error);
+    }
+    const results = adState ? adState.results : null;
+    if (results ? results.get(strategy.type) !== result : result !== 'unavailable') {
+        console.log(`[Advault AdvaultAdSkipper.js] ${strategy.type}: ${result}`);
+        if (results) results.set(strategy.type, result);
+    }
+    return result;
+}
+
+/**
+ * Tries the chain on the playing ad until a strategy ends it.
+ */
+function runSkipChain() {
+    for (const strategy of skipChain) {
+        if (strategy.type === 'dismiss') continue;
+        if (attemptStrategy(strategy, adState.video) === 'skipped') return;
+    }
+}
+
+/**
+ * Starts handling an ad: remembers the playback state and tries the chain.
+ * @param {HTMLVideoElement} video - The video playing the ad.
+ */
+function startAd(video) {
+    adState = {
+        video,
+        source: video.currentSrc,
+        duration: video.duration,
+        muted: video.muted,
+        playbackRate: video.playbackRate,
+        results: new Map()
+    };
+    console.log('[Advault AdvaultAdSkipper.js] Ad started.');
+    runSkipChain();
+    if (!retryTimer) {
+        retryTimer = setInterval(() => {
+            if (adState) runSkipChain();
+        }, AD_RETRY_INTERVAL_MS);
+    }
+}
+
+/**
+ * Stops handling the ad and gives the video back the sound and playback rate it had before.
+ * @param {boolean} counted - Whether the ad counts as skipped.
+ */
+function endAd(counted) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+    const { video, muted, playbackRate, results } = adState;
+    adState = null;
+    video.muted = muted;
+    video.playbackRate = playbackRate;
+    console.log(`[Advault AdvaultAdSkipper.js] Ad ended; restored muted=${muted}, playbackRate=${playbackRate}.`);
+    if (counted && [...results.values()].some(result => result === 'skipped' || result === 'applied')) {
+        onAdSkipped();
+    }
+}
+
+/**
+ * Watches the video's source and duration changes, which the player's class changes can lag behind.
+ * @param {HTMLVideoElement|null} video - The video element.
+ */
+function watchVideo(video) {
+    if (video === watchedVideo) return;
+    VIDEO_CHANGE_EVENTS.forEach(type => {
+        if (watchedVideo) Advault.DOM.off(watchedVideo, type, updateAdSkipper, false);
+        if (video) Advault.DOM.on(video, type, updateAdSkipper, false);
+    });
+    watchedVideo = video;
+}
+
+/**
+ * Tells whether the video moved on to the next ad of a pod: the player keeps its ad classes,
+ * but the video element, its source or its known duration changed.
+ * @param {HTMLVideoElement} video - The video element.
+ * @returns {boolean} True for a new ad.
+ */
+function isNextAd(video) {
+    if (adState.video !== video) return true;
+    if (video.currentSrc && video.currentSrc !== adState.source) return true;
+    return Number.isFinite(adState.duration) && Number.isFinite(video.duration) && video.duration !== adState.duration;
+}
+
+/**
+ * Re-evaluates the ad state of the player: starts handling a new ad, moves on to the next ad of a pod,
+ * or restores the playback once the ad ended. Overlay ads are dismissed in any case.
+ * Called by the content script whenever the player changes, and on the video's own changes.
+ * @param {Element} [player] - The player element; the last one passed if omitted.
+ */
+function updateAdSkipper(player) {
+    if (stopped) return;
+    if (player instanceof Element) playerElement = player;
+    if (!playerElement) return;
+    const video = Advault.query('video', playerElement);
+    watchVideo(video);
+
+    if (video && isAdPlaying(playerElement)) {
+        if (!adState) {
+            startAd(video);
+        } else if (isNextAd(video)) {
+            endAd(true);
+            startAd(video);
+        } else if (!Number.isFinite(adState.duration)) {
+            adState.duration = video.duration;
+        }
+    } else if (adState) {
+        endAd(true);
+    }
+
+    for (const strategy of skipChain.filter(entry => entry.type === 'dismiss')) {
+        attemptStrategy(strategy, video);
+    }
+}
+
+/**
+ * Sets the chain of skip strategies, e.g. from a new YouTube config.
+ * @param {SkipStrategy[]} chain - The strategies, in the order they are tried; the default chain if empty.
+ */
+function setSkipChain(chain) {
+    const known = chain.filter(strategy => SKIP_STRATEGY_NAMES.includes(strategy.type));
+    skipChain = known.length > 0 ? known : DEFAULT_SKIP_CHAIN;
+}
+
+/**
+ * Starts the skipper.
+ * @param {function(): void} onSkipped - Called for every ad the skipper acted on.
+ */
+function startAdSkipper(onSkipped) {
+    stopped = false;
+    onAdSkipped = onSkipped;
+}
+
+/**
+ * Lets go of the player when the page moves on from it: restores the playback of an ad being handled,
+ * without counting it, and stops watching the video. The next update sets the new player.
+ */
+function releaseAdPlayer() {
+    if (adState) endAd(false);
+    watchVideo(null);
+    playerElement = null;
+}
+
+/**
+ * Stops the skipper and restores the playback of an ad being handled.
+ */
+function stopAdSkipper() {
+    releaseAdPlayer();
+    stopped = true;
+}
+
+export { SKIP_STRATEGY_NAMES, isAdPlaying, releaseAdPlayer, setSkipChain, startAdSkipper, stopAdSkipper, updateAdSkipper };
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * @file AdvaultAllowlist.js
+ * @description Per-site allowlist for Advault's background worker.
+ * Every allowlisted site becomes a high-priority `allowAllRequests` rule for its top-level and
+ * frame documents, which turns off all blocking on pages of that site (static rulesets included).
+ * The rules live in their own dynamic rule id range, so list updates never touch them.
+ */
+
+import { applyRuleSet } from "./AdvaultRuleUpdater.js";
+
+const ALLOWLIST_STORAGE_KEY = "allowlist"; // Allowlisted hostnames, in the order they were added
+
+// Above every list rule priority, including `$important` filters
+const ALLOWLIST_RULE_PRIORITY = 100;
+
+// Largest number of allowlisted sites; the dynamic rule budget of the lists is reduced by this much
+const MAX_ALLOWLIST_ENTRIES = 500;
+
+// Dynamic rule id range and id bookkeeping of the allowlist rules
+const ALLOWLIST_RULE_SCOPE = {
+  firstId: 1000000,
+  lastId: 1000000 + MAX_ALLOWLIST_ENTRIES - 1,
+  storageKey: "allowlistRuleState"
+};
+
+const SITE_PATTERN = /^(?=.{1,253}$)[a-z0-9_](?:[a-z0-9_.-]*[a-z0-9_])?$/;
+
+/**
+ * Normalizes a hostname or URL to the site stored in the allowlist.
+ * A leading `www.` is dropped so the entry covers the whole site.
+ * @param {string} value - A hostname or URL.
+ * @returns {string} The site hostname.
+ * @throws {Error} If the value has no usable hostname.
+ */
+function normalizeSite(value) {
+  const text = String(value).trim().toLowerCase();
+  const hostname = /^[a-z][a-z0-9+.-]*:\/\//.test(text) ? new URL(text).hostname : text.split(/[/:]/)[0];
+  const site = hostname.replace(/^www\./, "").replace(/\.$/, "");
+  if (!SITE_PATTERN.test(site)) {
+    throw new Error(`Not a valid site: ${value}`);
+  }
+  return site;
+}
+
+/**
+ * Loads the allowlist.
+ * @returns {Promise<string[]>} The allowlisted sites.
+ */
+async function getAllowlist() {
+  const data = await chrome.storage.local.get(ALLOWLIST_STORAGE_KEY);
+  return data[ALLOWLIST_STORAGE_KEY] || [];
+}
+
+/**
+ * Finds the allowlist entry covering a hostname, either the host itself or one of its parents.
+ * @param {string[]} allowlist - The allowlisted sites.
+ * @param {string} hostname - The hostname to look up.
+ * @returns {string|null} The covering entry, or null.
+ */
+function findAllowlistEntry(allowlist, hostname) {
+  let host = hostname.toLowerCase().replace(/\.$/, "");
+  while (host) {
+    if (allowlist.includes(host)) return host;
+    const dot = host.indexOf(".");
+    host = dot === -1 ? "" : host.slice(dot + 1);
+  }
+  return null;
+}
+
+/**
+ * Checks whether blocking is turned off for a hostname.
+ * @param {string} hostname - The hostname of the page.
+ * @returns {Promise<boolean>} True if the site or one of its parent domains is allowlisted.
+ */
+async function isAllowlisted(hostname) {
+  return findAllowlistEntry(await getAllowlist(), hostname) !== null;
+}
+
+/**
+ * Builds the keyed `allowAllRequests` rules of the allowlist.
+ * @param {string[]} allowlist - The allowlisted sites.
+ * @returns {{key: string, rule: object}[]} One rule per site.
+ */
+function buildAllowlistEntries(allowlist) {
+  return allowlist.map(site => ({
+    key: `allow:${site}`,
+    rule: {
+      priority: ALLOWLIST_RULE_PRIORITY,
+      action: { type: "allowAllRequests" },
+      condition: { requestDomains: [site], resourceTypes: ["main_frame", "sub_frame"] }
+    }
+  }));
+}
+
+/**
+ * Applies the stored allowlist as dynamic rules.
+ * @returns {Promise<object>} What the update changed.
+ */
+async function applyAllowlistRules() {
+  return applyRuleSet(buildAllowlistEntries(await getAllowlist()), ALLOWLIST_RULE_SCOPE);
+}
+
+/**
+ * Stores a new allowlist and applies its rules. The stored list is only replaced
+ * once the rules are in place, so storage and rules never disagree.
+ * @param {string[]} allowlist - The allowlisted sites.
+ * @returns {Promise<string[]>} The allowlist.
+ */
+async function saveAllowlist(allowlist) {
+  await applyRuleSet(buildAllowlistEntries(allowlist), ALLOWLIST_RULE_SCOPE);
+  await chrome.storage.local.set({ [ALLOWLIST_STORAGE_KEY]: allowlist });
+  return allowlist;
+}
+
+/**
+ * Turns blocking off for a site.
+ * @param {string} value - A hostname or URL of the site.
+ * @returns {Promise<string[]>} The updated allowlist.
+ * @throws {Error} If the site is invalid or the allowlist is full.
+ */
+async function addToAllowlist(value) {
+  const site = normalizeSite(value);
+  const allowlist = await getAllowlist();
+  if (allowlist.includes(site)) return allowlist;
+  if (allowlist.length >= MAX_ALLOWLIST_ENTRIES) {
+    throw new Error(`The allowlist is full (${MAX_ALLOWLIST_ENTRIES} sites).`);
+  }
+  return saveAllowlist([...allowlist, site]);
+}
+
+/**
+ * Turns blocking back on for a site. Removes the entry covering the hostname,
+ * so a page on `shop.example.com` can re-enable an `example.com` entry.
+ * @param {string} value - A hostname or URL of the site.
+ * @returns {Promise<string[]>} The updated allowlist.
+ */
+async function removeFromAllowlist(value) {
+  const allowlist = await getAllowlist();
+  const entry = findAllowlistEntry(allowlist, normalizeSite(value)) || normalizeSite(value);
+  return saveAllowlist(allowlist.filter(site => site !== entry));
+}
+
+export {
+  MAX_ALLOWLIST_ENTRIES,
+  addToAllowlist,
+  applyAllowlistRules,
+  getAllowlist,
+  isAllowlisted,
+  normalizeSite,
+  removeFromAllowlist
+};
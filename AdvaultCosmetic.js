@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * @file AdvaultCosmetic.js
+ * @description Element hiding engine of Advault's background worker.
+ * Takes `##`, `#@#` and `domain##selector` filters from the subscribed lists and the user's own
+ * filters, compiles them into a compact per-hostname selector index, and injects a generated user
+ * style sheet into every frame as soon as it commits. Generic filters (no domain) are only kept
+ * when their selector is specific enough to be applied on every site.
+ */
+
+import { isAllowlisted } from "./AdvaultAllowlist.js";
+
+const COSMETIC_FILTERS_STORAGE_KEY = "cosmeticFilters"; // { [source]: CosmeticFilter[] }
+const COSMETIC_INDEX_STORAGE_KEY = "cosmeticIndex";     // The compiled index of all sources
+
+// Generic selectors are injected into every frame, so their number is capped.
+const MAX_GENERIC_SELECTORS = 5000;
+const MAX_SELECTOR_LENGTH = 500;
+
+// Style sheets of recently visited sites
+const MAX_CACHED_STYLESHEETS = 200;
+
+// Selectors that would hide page structure everywhere if used without a domain
+const STRUCTURAL_SELECTOR_PATTERN = /^(?:html|body|head|main|header|footer|nav|article|section|aside|div|span|a|img|iframe|p|ul|li|form|:root|\*)(?=$|[\s>+~])/i;
+
+// Cached copy of the stored index; reloaded on first use after the worker starts
+let cosmeticIndex = null;
+const stylesheetCache = new Map(); // hostname -> CSS
+
+/**
+ * @typedef {object} CosmeticFilter
+ * @property {string[]} hostnames - Sites the filter applies to (subdomains included); empty for generic filters.
+ * @property {string[]} excludedHostnames - Sites the filter does not apply to (`~example.com`).
+ * @property {string} selector - The CSS selector of the elements to hide.
+ * @property {boolean} exception - True for `#@#` filters, which stop a selector from being hidden.
+ */
+
+/**
+ * @typedef {object} CosmeticIndex
+ * @property {string[]} generic - Selectors hidden on every site.
+ * @property {Object<string, {hide?: string[], unhide?: string[]}>} hosts - Selectors hidden and
+ * unhidden per hostname; a hostname's entries also apply to its subdomains.
+ */
+
+/**
+ * Checks whether a generic selector is specific enough to apply on every site:
+ * it must name a class, id or attribute, must not start from page structure,
+ * and must not use `:has()`, which is costly to evaluate on every page.
+ * @param {string} selector - The selector.
+ * @returns {boolean} True if the selector is safe to apply broadly.
+ */
+function isSafeGenericSelector(selector) {
+  return selector.length <= MAX_SELECTOR_LENGTH &&
+    /[.#[]/.test(selector) &&
+    !STRUCTURAL_SELECTOR_PATTERN.test(selector) &&
+    !selector.includes(":has(");
+}
+
+/**
+ * Adds a selector to a hostname's hide or unhide list.
+ * @param {CosmeticIndex} index - The index being built.
+ * @param {string} hostname - The hostname.
+ * @param {"hide"|"unhide"} list - The list.
+ * @param {string} selector - The selector.
+ */
+function addHostSelector(index, hostname, list, selector) {
+  const entry = index.hosts[hostname] || (index.hosts[hostname] = {});
+  (entry[list] || (entry[list] = [])).push(selector);
+}
+
+/**
+ * Compiles the filters of all sources into the per-hostname index.
+ * Generic exceptions (`#@#selector`) remove the selector everywhere; exceptions and
+ * `~domain` exclusions with a domain unhide it on that site only.
+ * @param {CosmeticFilter[]} filters - The filters of all sources.
+ * @returns {{index: CosmeticIndex, skippedGeneric: number}} The index and the number of generic
+ * filters left out because they are unsafe or over the cap.
+ */
+function buildCosmeticIndex(filters) {
+  const globalExceptions = new Set(filters
+    .filter(filter => filter.exception && filter.hostnames.length === 0 && !(filter.excludedHostnames || []).length)
+    .map(filter => filter.selector));
+
+  const index = { generic: [], hosts: {} };
+  const generic = new Set();
+  let skippedGeneric = 0;
+
+  for (const filter of filters) {
+    if (globalExceptions.has(filter.selector)) continue;
+
+    if (filter.exception) {
+      filter.hostnames.forEach(hostname => addHostSelector(index, hostname, "unhide", filter.selector));
+      continue;
+    }
+    (filter.excludedHostnames || []).forEach(hostname => addHostSelector(index, hostname, "unhide", filter.selector));
+    if (filter.hostnames.length > 0) {
+      filter.hostnames.forEach(hostname => addHostSelector(index, hostname, "hide", filter.selector));
+    } else if (isSafeGenericSelector(filter.selector) && generic.size < MAX_GENERIC_SELECTORS) {
+      generic.add(filter.selector);
+    } else {
+      skippedGeneric++;
+    }
+  }
+
+  index.generic = [...generic];
+  for (const entry of Object.values(index.hosts)) {
+    if (entry.hide) entry.hide = [...new Set(entry.hide)];
+    if (entry.unhide) entry.unhide = [...new Set(entry.unhide)];
+  }
+  return { index, skippedGeneric };
+}
+
+/**
+ * Loads the compiled index.
+ * @returns {Promise<CosmeticIndex>} The index.
+ */
+async function loadCosmeticIndex() {
+  if (!cosmeticIndex) {
+    const data = await chrome.storage.local.get(COSMETIC_INDEX_STORAGE_KEY);
+    cosmeticIndex = data[COSMETIC_INDEX_STORAGE_KEY] || { generic: [], hosts: {} };
+  }
+  return cosmeticIndex;
+}
+
+/**
+ * Replaces the filters of one source and recompiles the index.
+ * @param {string} source - The source: "lists" for the subscribed lists, "custom" for the user's filters.
+ * @param {CosmeticFilter[]} filters - The filters.
+ * @returns {Promise<{generic: number, hosts: number, skippedGeneric: number}>} Index statistics.
+ */
+async function setCosmeticFilters(source, filters) {
+  const data = await chrome.storage.local.get(COSMETIC_FILTERS_STORAGE_KEY);
+  const stored = { ...data[COSMETIC_FILTERS_STORAGE_KEY], [source]: filters };
+  const { index, skippedGeneric } = buildCosmeticIndex(Object.values(stored).flat());
+
+  await chrome.storage.local.set({
+    [COSMETIC_FILTERS_STORAGE_KEY]: stored,
+    [COSMETIC_INDEX_STORAGE_KEY]: index
+  });
+  cosmeticIndex = index;
+  stylesheetCache.clear();
+
+  const stats = { generic: index.generic.length, hosts: Object.keys(index.hosts).length, skippedGeneric };
+  console.log(`Element hiding index rebuilt: ${stats.generic} generic selectors, ${stats.hosts} sites, ${skippedGeneric} generic filters skipped.`);
+  return stats;
+}
+
+/**
+ * Collects the selectors to hide on a site.
+ * @param {string} hostname - The page hostname.
+ * @returns {Promise<string[]>} The selectors.
+ */
+async function getHiddenSelectors(hostname) {
+  const index = await loadCosmeticIndex();
+  const hidden = new Set(index.generic);
+  const unhidden = new Set();
+  for (let host = hostname; host; host = host.includes(".") ? host.slice(host.indexOf(".") + 1) : "") {
+    const entry = index.hosts[host];
+    if (!entry) continue;
+    (entry.hide || []).forEach(selector => hidden.add(selector));
+    (entry.unhide || []).forEach(selector => unhidden.add(selector));
+  }
+  return [...hidden].filter(selector => !unhidden.has(selector));
+}
+
+/**
+ * Builds the style sheet that hides elements. Every selector gets its own rule,
+ * so one selector the browser doesn't understand doesn't disable the others.
+ * @param {string[]} selectors - The selectors.
+ * @returns {string} The CSS.
+ */
+function buildHidingCss(selectors) {
+  return selectors.map(selector => `${selector} { display: none !important; }`).join("\n");
+}
+
+/**
+ * Returns the hiding style sheet of a site, from the cache when possible.
+ * @param {string} hostname - The page hostname.
+ * @returns {Promise<string>} The CSS, empty if nothing is hidden.
+ */
+async function getHidingCss(hostname) {
+  if (stylesheetCache.has(hostname)) return stylesheetCache.get(hostname);
+  const css = buildHidingCss(await getHiddenSelectors(hostname));
+  if (stylesheetCache.size >= MAX_CACHED_STYLESHEETS) {
+    stylesheetCache.delete(stylesheetCache.keys().next().value);
+  }
+  stylesheetCache.set(hostname, css);
+  return css;
+}
+
+/**
+ * Hides the elements of a frame that match the filters of its site.
+ * Frames of allowlisted sites and non-web pages are left alone.
+ * @param {{tabId: number, frameId: number, url: string}} frame - The committed frame.
+ * @returns {Promise<boolean>} True if a style sheet was injected.
+ */
+async function applyCosmeticFilters({ tabId, frameId, url }) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") return false;
+  if (await isAllowlisted(hostname)) return false;
+
+  const css = await getHidingCss(hostname);
+  if (!css) return false;
+  await chrome.scripting.insertCSS({
+    target: { tabId, frameIds: [frameId] },
+    css,
+    origin: "USER"
+  });
+  return true;
+}
+
+/**
+ * Removes the style sheet applyCosmeticFilters() injected into a frame, e.g. when the user restores the page.
+ * A style sheet injected before the filters last changed is left in place until the page reloads.
+ * @param {{tabId: number, frameId: number, url: string}} frame - The frame.
+ * @returns {Promise<boolean>} True if a style sheet was removed.
+ */
+async function removeCosmeticFilters({ tabId, frameId, url }) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") return false;
+
+  const css = await getHidingCss(hostname);
+  if (!css) return false;
+  await chrome.scripting.removeCSS({
+    target: { tabId, frameIds: [frameId] },
+    css,
+    origin: "USER"
+  });
+  return true;
+}
+
+/**
+ * Hides elements matching one selector in a frame right away, e.g. after the element picker saved it.
+ * @param {{tabId: number, frameId: number}} frame - The frame.
+ * @param {string} selector - The selector.
+ */
+async function hideSelectorInFrame({ tabId, frameId }, selector) {
+  await chrome.scripting.insertCSS({
+    target: { tabId, frameIds: [frameId] },
+    css: buildHidingCss([selector]),
+    origin: "USER"
+  });
+}
+
+export { applyCosmeticFilters, hideSelectorInFrame, removeCosmeticFilters, setCosmeticFilters };
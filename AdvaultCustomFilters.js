@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * @file AdvaultCustomFilters.js
+ * @description The user's own filters ("My filters") for Advault's background worker.
+ * The filters are kept as text in `chrome.storage.local`, written in the same syntax as
+ * subscribed lists (block, `@@` allow and `$redirect=` filters, `example.com##selector`
+ * element hiding and `example.com##+js(...)` scriptlets), and applied as dynamic rules in
+ * their own id range so list updates never touch them. Lines that don't translate or fail the
+ * rule linter are reported per line and skipped; the options page validates them as the user types.
+ */
+
+import { parseFilterLine } from "./AdvaultFilterParser.js";
+import { lintRules } from "./AdvaultRuleLinter.js";
+import { applyRuleSet } from "./AdvaultRuleUpdater.js";
+import { setCosmeticFilters } from "./AdvaultCosmetic.js";
+import { setScriptletFilters } from "./AdvaultScriptlets.js";
+
+const CUSTOM_FILTERS_STORAGE_KEY = "customFilters";
+
+// Largest number of rules the custom filters may produce; the dynamic rule budget of the lists
+// is reduced by this much
+const MAX_CUSTOM_RULES = 1000;
+
+// Dynamic rule id range and id bookkeeping of the custom filter rules
+const CUSTOM_RULE_SCOPE = {
+  firstId: 2000000,
+  lastId: 2000000 + MAX_CUSTOM_RULES - 1,
+  storageKey: "customRuleState"
+};
+
+/**
+ * @typedef {object} FilterProblem
+ * @property {number} lineNumber - The 1-based line number.
+ * @property {string} line - The filter as written.
+ * @property {string} severity - "error" for lines that are not applied, "warning" otherwise.
+ * @property {string} message - What is wrong.
+ */
+
+/**
+ * Loads the custom filter text.
+ * @returns {Promise<string>} The filters, one per line.
+ */
+async function getCustomFilters() {
+  const data = await chrome.storage.local.get(CUSTOM_FILTERS_STORAGE_KEY);
+  return data[CUSTOM_FILTERS_STORAGE_KEY] || "";
+}
+
+/**
+ * Translates custom filters into keyed rules, element hiding and scriptlet filters, checking every line.
+ * @param {string} text - The filters, one per line.
+ * @param {{isRegexSupported?: function(object): Promise<object>}} [options] - Passed to the linter.
+ * @returns {Promise<{entries: {key: string, rule: object}[], cosmetic: object[], scriptlets: object[], problems: FilterProblem[]}>}
+ * The rules that pass, keyed by their filter, the element hiding and scriptlet filters and the problems found.
+ */
+async function compileCustomFilters(text, options = {}) {
+  const problems = [];
+  const candidates = []; // { lineNumber, line, key, rule }
+  const cosmetic = [];
+  const scriptlets = [];
+  const keys = new Set();
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+    const result = parseFilterLine(line);
+    if (result.kind === "unsupported") {
+      problems.push({ lineNumber, line, severity: "error", message: result.reason });
+    }
+    if (result.kind === "cosmetic" || result.kind === "scriptlet") {
+      if (keys.has(line)) {
+        problems.push({ lineNumber, line, severity: "warning", message: "Duplicate of an earlier line" });
+      } else {
+        keys.add(line);
+        (result.kind === "cosmetic" ? cosmetic : scriptlets).push(result.filter);
+      }
+    }
+    if (result.kind !== "network") return;
+
+    result.rules.forEach((rule, ruleIndex) => {
+      const key = `${line}#${ruleIndex}`;
+      if (keys.has(key)) {
+        problems.push({ lineNumber, line, severity: "warning", message: "Duplicate of an earlier line" });
+        return;
+      }
+      keys.add(key);
+      candidates.push({ lineNumber, line, key, rule });
+    });
+  });
+
+  const findings = await lintRules(candidates.map(candidate => candidate.rule), options);
+  const failing = new Set();
+  for (const finding of findings) {
+    const { lineNumber, line } = candidates[finding.index];
+    problems.push({ lineNumber, line, severity: finding.severity, message: finding.message });
+    if (finding.severity === "error") failing.add(finding.index);
+  }
+
+  const entries = candidates
+    .filter((candidate, index) => !failing.has(index))
+    .map(({ key, rule }) => ({ key, rule }));
+
+  problems.sort((a, b) => a.lineNumber - b.lineNumber);
+  return { entries, cosmetic, scriptlets, problems };
+}
+
+/**
+ * Checks that compiled filters fit their rule budget.
+ * @param {object[]} entries - The compiled rules.
+ * @throws {Error} If there are too many rules.
+ */
+function checkRuleBudget(entries) {
+  if (entries.length > MAX_CUSTOM_RULES) {
+    throw new Error(`My filters produce ${entries.length} rules, the limit is ${MAX_CUSTOM_RULES}.`);
+  }
+}
+
+/**
+ * Checks custom filters without applying them, for validation while the user types.
+ * @param {string} text - The filters, one per line.
+ * @param {object} [options] - Passed to the linter.
+ * @returns {Promise<{problems: FilterProblem[], ruleCount: number, cosmeticCount: number, scriptletCount: number, error: string|null}>}
+ * The problems found per line, the number of rules, element hiding and scriptlet filters the filters
+ * would produce and an error that prevents saving.
+ */
+async function validateCustomFilters(text, options = {}) {
+  const { entries, cosmetic, scriptlets, problems } = await compileCustomFilters(text, options);
+  const error = entries.length > MAX_CUSTOM_RULES
+    ? `My filters produce ${entries.length} rules, the limit is ${MAX_CUSTOM_RULES}.`
+    : null;
+  return { problems, ruleCount: entries.length, cosmeticCount: cosmetic.length, scriptletCount: scriptlets.length, error };
+}
+
+/**
+ * Puts compiled custom filters in place: rules, element hiding and scriptlet filters.
+ * @param {{entries: object[], cosmetic: object[], scriptlets: object[], problems: FilterProblem[]}} compiled
+ * The compiled filters.
+ * @returns {Promise<{problems: FilterProblem[], ruleCount: number, cosmeticCount: number, scriptletCount: number}>}
+ * The problems found and the number of rules, element hiding and scriptlet filters in place.
+ * @throws {Error} If the filters produce too many rules or the rules cannot be applied.
+ */
+async function installCustomFilters({ entries, cosmetic, scriptlets, problems }) {
+  checkRuleBudget(entries);
+  await applyRuleSet(entries, CUSTOM_RULE_SCOPE);
+  await setCosmeticFilters("custom", cosmetic);
+  await setScriptletFilters("custom", scriptlets);
+  return { problems, ruleCount: entries.length, cosmeticCount: cosmetic.length, scriptletCount: scriptlets.length };
+}
+
+/**
+ * Applies the stored custom filters.
+ * @param {object} [options] - Passed to the linter.
+ * @returns {Promise<{problems: FilterProblem[], ruleCount: number, cosmeticCount: number, scriptletCount: number}>}
+ * The problems found and the number of filters in place.
+ */
+async function applyCustomFilters(options = {}) {
+  return installCustomFilters(await compileCustomFilters(await getCustomFilters(), options));
+}
+
+/**
+ * Stores new custom filters and applies them. The text is only stored once its rules are in place.
+ * @param {string} text - The filters, one per line.
+ * @param {object} [options] - Passed to the linter.
+ * @returns {Promise<{problems: FilterProblem[], ruleCount: number, cosmeticCount: number, scriptletCount: number}>}
+ * The problems found and the number of filters in place.
+ * @throws {Error} If the filters produce too many rules or the rules cannot be applied.
+ */
+async function saveCustomFilters(text, options = {}) {
+  const result = await installCustomFilters(await compileCustomFilters(text, options));
+  await chrome.storage.local.set({ [CUSTOM_FILTERS_STORAGE_KEY]: text });
+  return result;
+}
+
+/**
+ * Appends one filter to the custom filters, unless it is already there.
+ * @param {string} filter - The filter line.
+ * @param {object} [options] - Passed to the linter.
+ * @returns {Promise<object>} The result of saving the filters.
+ */
+async function addCustomFilter(filter, options = {}) {
+  const text = await getCustomFilters();
+  let updated = text;
+  if (!text.split(/\r?\n/).some(line => line.trim() === filter)) {
+    updated = text.trim() === "" ? filter : `${text.trimEnd()}\n${filter}`;
+  }
+  return saveCustomFilters(updated, options);
+}
+
+export {
+  MAX_CUSTOM_RULES,
+  addCustomFilter,
+  applyCustomFilters,
+  getCustomFilters,
+  saveCustomFilters,
+  validateCustomFilters
+};
@@ -0,0 +1,448 @@
+'use strict';
+
+/**
+ * @file AdvaultFilterParser.js
+ * @description Filter list parser for Advault's background worker.
+ * Understands hosts files, plain domain lists and Adblock Plus/uBlock Origin
+ * network filters, and turns them into declarativeNetRequest rules (without ids).
+ * Lines that cannot be expressed as a declarativeNetRequest rule are counted and
+ * reported instead of being turned into broken rules.
+ */
+
+// Every resource type a declarativeNetRequest rule can match.
+const ALL_RESOURCE_TYPES = [
+  "main_frame", "sub_frame", "stylesheet", "script",
+  "image", "font", "media", "websocket",
+  "xmlhttprequest", "ping", "csp_report", "other"
+];
+
+// Rule priorities. Exceptions win over blocks at equal priority, `$important` lifts both.
+const DEFAULT_PRIORITY = 1;
+const IMPORTANT_BLOCK_PRIORITY = 2;
+const IMPORTANT_ALLOW_PRIORITY = 3;
+
+// How many unsupported lines are kept verbatim in a parse report.
+const MAX_REPORTED_LINES = 100;
+
+// Addresses used by hosts files to sink a hostname.
+const HOSTS_SINK_ADDRESSES = new Set([
+  "0.0.0.0", "127.0.0.1", "0", "::", "::1", "::0", "255.255.255.255"
+]);
+
+// Hostnames hosts files declare for the local machine, never blocked.
+const HOSTS_LOCAL_NAMES = new Set([
+  "localhost", "localhost.localdomain", "local", "broadcasthost",
+  "ip6-localhost", "ip6-loopback", "ip6-localnet", "ip6-mcastprefix",
+  "ip6-allnodes", "ip6-allrouters", "ip6-allhosts", "0.0.0.0"
+]);
+
+// Filter option names mapped to declarativeNetRequest resource types.
+const RESOURCE_TYPE_OPTIONS = {
+  "script": ["script"],
+  "image": ["image"],
+  "stylesheet": ["stylesheet"],
+  "css": ["stylesheet"],
+  "object": ["object"],
+  "xmlhttprequest": ["xmlhttprequest"],
+  "xhr": ["xmlhttprequest"],
+  "subdocument": ["sub_frame"],
+  "frame": ["sub_frame"],
+  "document": ["main_frame"],
+  "doc": ["main_frame"],
+  "ping": ["ping"],
+  "beacon": ["ping"],
+  "media": ["media"],
+  "font": ["font"],
+  "websocket": ["websocket"],
+  "other": ["other"],
+  "all": ALL_RESOURCE_TYPES
+};
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9_])?\.)+[a-z0-9-]{2,63}$/;
+
+/**
+ * Checks whether a string is a plain, ASCII hostname with at least one dot.
+ * @param {string} value - The candidate hostname.
+ * @returns {boolean} True if the value can be used as a request domain.
+ */
+function isValidHostname(value) {
+  return HOSTNAME_PATTERN.test(value);
+}
+
+/**
+ * Builds the block rule a hosts entry or plain domain line stands for.
+ * @param {string} domain - The hostname to block.
+ * @returns {object} A declarativeNetRequest rule without an id.
+ */
+function createDomainBlockRule(domain) {
+  return {
+    priority: DEFAULT_PRIORITY,
+    action: { type: "block" },
+    condition: {
+      urlFilter: `||${domain}^`,
+      resourceTypes: [...ALL_RESOURCE_TYPES]
+    }
+  };
+}
+
+/**
+ * Parses a hosts file line such as `0.0.0.0 example.com`.
+ * @param {string} line - The trimmed line.
+ * @returns {object|null} The parse result, or null if the line is not in hosts format.
+ */
+function parseHostsLine(line) {
+  const fields = line.split(/\s+/);
+  if (fields.length < 2 || !HOSTS_SINK_ADDRESSES.has(fields[0])) {
+    return null;
+  }
+
+  const rules = [];
+  for (const field of fields.slice(1)) {
+    if (field.startsWith("#")) break; // Inline comment
+    const hostname = field.toLowerCase();
+    if (HOSTS_LOCAL_NAMES.has(hostname)) continue;
+    if (!isValidHostname(hostname)) {
+      return { kind: "unsupported", reason: `invalid hostname "${field}"` };
+    }
+    rules.push(createDomainBlockRule(hostname));
+  }
+  return rules.length > 0 ? { kind: "network", rules } : { kind: "comment" };
+}
+
+// Neutered resources `$redirect=` filters can point to, by uBlock Origin resource name and alias.
+// The files are bundled under resources/ and declared web accessible in manifest.json.
+const REDIRECT_RESOURCES = {
+  "noop.js": "/resources/noop.js",
+  "noopjs": "/resources/noop.js",
+  "noop.txt": "/resources/noop.txt",
+  "nooptext": "/resources/noop.txt",
+  "noop.html": "/resources/noop.html",
+  "noopframe": "/resources/noop.html",
+  "noop.css": "/resources/noop.css",
+  "noopcss": "/resources/noop.css",
+  "1x1.gif": "/resources/1x1.gif",
+  "1x1-transparent.gif": "/resources/1x1.gif"
+};
+
+// uBlock Origin / Adblock Plus procedural pseudo-classes, which plain CSS cannot express.
+const PROCEDURAL_SELECTOR_PATTERN = /:(?:-abp-[a-z-]+|has-text|matches-css(?:-before|-after)?|matches-attr|matches-path|matches-media|min-text-length|upward|xpath|remove|remove-attr|remove-class|style|watch-attr|others)\(/;
+
+// Scriptlets of AdvaultScriptlets.js, by uBlock Origin name and alias.
+const SCRIPTLET_ALIASES = {
+  "set-constant": "set-constant",
+  "set": "set-constant",
+  "json-prune": "json-prune",
+  "abort-on-property-read": "abort-on-property-read",
+  "aopr": "abort-on-property-read",
+  "override-ytcfg-flag": "override-ytcfg-flag",
+  "no-setTimeout-if": "no-setTimeout-if",
+  "no-settimeout-if": "no-setTimeout-if",
+  "nostif": "no-setTimeout-if"
+};
+
+/**
+ * Parses the domain list in front of `##`.
+ * @param {string} domains - Comma-separated domains, optionally negated with `~`.
+ * @returns {{hostnames: string[], excludedHostnames: string[]}|{error: string}} The domains, or an error reason.
+ */
+function parseFilterDomains(domains) {
+  const hostnames = [];
+  const excludedHostnames = [];
+  for (const domain of domains.split(",").map(entry => entry.trim()).filter(Boolean)) {
+    const negated = domain.startsWith("~");
+    const hostname = (negated ? domain.slice(1) : domain).toLowerCase();
+    if (!isValidHostname(hostname)) {
+      return { error: `unsupported domain "${domain}"` };
+    }
+    (negated ? excludedHostnames : hostnames).push(hostname);
+  }
+  return { hostnames, excludedHostnames };
+}
+
+/**
+ * Parses the body of a scriptlet filter, `+js(name, arg1, arg2)`.
+ * Arguments are comma-separated; `\,` is a literal comma and surrounding quotes are dropped.
+ * An exception without a name (`example.com#@#+js()`) turns off every scriptlet on the site.
+ * @param {string} body - The text after `##`.
+ * @param {{hostnames: string[], excludedHostnames: string[]}} domains - The parsed domains.
+ * @param {boolean} exception - True for `#@#` filters.
+ * @returns {object} The parse result; `kind` is "scriptlet" with a `filter`
+ * ({hostnames, excludedHostnames, name, args, exception}) or "unsupported".
+ */
+function parseScriptletFilter(body, domains, exception) {
+  if (!body.endsWith(")")) {
+    return { kind: "unsupported", reason: "unterminated scriptlet filter" };
+  }
+  const paramText = body.slice("+js(".length, -1).trim();
+  const params = paramText === "" ? [] : paramText
+    .split(/(?<!\\),/)
+    .map(param => param.trim().replace(/\\,/g, ",").replace(/^(["'])(.*)\1$/, "$2"));
+  if (params.length === 0 && !exception) {
+    return { kind: "unsupported", reason: "scriptlet filter without a scriptlet name" };
+  }
+  if (domains.hostnames.length === 0 && !exception) {
+    return { kind: "unsupported", reason: "scriptlet filters must name the sites they run on" };
+  }
+  const name = params.length > 0 ? SCRIPTLET_ALIASES[params[0].replace(/\.js$/, "")] : null;
+  if (params.length > 0 && !name) {
+    return { kind: "unsupported", reason: `unknown scriptlet "${params[0]}"` };
+  }
+  return {
+    kind: "scriptlet",
+    filter: { ...domains, name, args: params.slice(1), exception }
+  };
+}
+
+/**
+ * Parses an element hiding filter: generic (`##selector`), site-specific
+ * (`example.com,~shop.example.com##selector`) or an exception (`example.com#@#selector`).
+ * Scriptlet filters (`example.com##+js(...)`) share the syntax and are parsed here too.
+ * @param {string} line - The trimmed line.
+ * @returns {object} The parse result; `kind` is "cosmetic" with a `filter`
+ * ({hostnames, excludedHostnames, selector, exception}), "scriptlet" or "unsupported".
+ */
+function parseCosmeticFilter(line) {
+  const match = /^([^#]*)#(@?)#(.+)$/.exec(line);
+  if (!match) {
+    return { kind: "unsupported", reason: "only ## and #@# element hiding filters are supported" };
+  }
+  const [, domainList, exceptionMark, rawSelector] = match;
+  const selector = rawSelector.trim();
+  const exception = exceptionMark === "@";
+  const domains = parseFilterDomains(domainList);
+  if (domains.error) {
+    return { kind: "unsupported", reason: `${domains.error} in element hiding filter` };
+  }
+  if (selector.startsWith("+js(")) {
+    return parseScriptletFilter(selector, domains, exception);
+  }
+  if (selector.startsWith("^")) {
+    return { kind: "unsupported", reason: "HTML filters are not supported" };
+  }
+  if (/[{}]/.test(selector) || selector.includes("/*")) {
+    return { kind: "unsupported", reason: `invalid selector "${selector}"` };
+  }
+  if (PROCEDURAL_SELECTOR_PATTERN.test(selector)) {
+    return { kind: "unsupported", reason: "procedural element hiding filters are not supported" };
+  }
+  return {
+    kind: "cosmetic",
+    filter: { ...domains, selector, exception }
+  };
+}
+
+/**
+ * Parses a `domain=` / `from=` option value into initiator domain lists.
+ * @param {string} value - Pipe-separated domains, optionally negated with `~`.
+ * @param {object} condition - The rule condition to extend.
+ * @returns {string|null} An error reason, or null on success.
+ */
+function applyDomainOption(value, condition) {
+  const included = [];
+  const excluded = [];
+  for (const entry of value.split("|")) {
+    const negated = entry.startsWith("~");
+    const domain = (negated ? entry.slice(1) : entry).toLowerCase();
+    if (!isValidHostname(domain)) {
+      return `unsupported domain "${entry}" in domain= option`;
+    }
+    (negated ? excluded : included).push(domain);
+  }
+  if (included.length > 0) condition.initiatorDomains = included;
+  if (excluded.length > 0) condition.excludedInitiatorDomains = excluded;
+  return null;
+}
+
+/**
+ * Splits a network filter into its pattern and option list.
+ * @param {string} filter - The filter without a leading `@@`.
+ * @returns {{pattern: string, options: string[]}} The pattern and raw options.
+ */
+function splitFilterOptions(filter) {
+  // A regex pattern may itself contain `$`, so only look for options after its closing slash.
+  const searchFrom = filter.startsWith("/") ? filter.lastIndexOf("/") : 0;
+  const dollarIndex = filter.lastIndexOf("$");
+  if (dollarIndex === -1 || dollarIndex < searchFrom) {
+    return { pattern: filter, options: [] };
+  }
+  return {
+    pattern: filter.slice(0, dollarIndex),
+    options: filter.slice(dollarIndex + 1).split(",").map(option => option.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Parses an Adblock Plus / uBlock Origin network filter.
+ * @param {string} line - The trimmed line.
+ * @returns {object} The parse result.
+ */
+function parseNetworkFilter(line) {
+  const isException = line.startsWith("@@");
+  const { pattern, options } = splitFilterOptions(isException ? line.slice(2) : line);
+
+  const condition = {};
+  const resourceTypes = new Set();
+  const excludedResourceTypes = new Set();
+  let important = false;
+  let allowAllRequests = false;
+  let redirectPath = null;
+
+  for (const rawOption of options) {
+    const [rawName, ...valueParts] = rawOption.split("=");
+    const value = valueParts.join("=");
+    const negated = rawName.startsWith("~");
+    const name = (negated ? rawName.slice(1) : rawName).toLowerCase();
+
+    if (name === "third-party" || name === "3p") {
+      condition.domainType = negated ? "firstParty" : "thirdParty";
+    } else if (name === "first-party" || name === "1p") {
+      condition.domainType = negated ? "thirdParty" : "firstParty";
+    } else if (name === "domain" || name === "from") {
+      const error = applyDomainOption(value, condition);
+      if (error) return { kind: "unsupported", reason: error };
+    } else if (name === "important") {
+      important = true;
+    } else if ((name === "redirect" || name === "redirect-rule") && !isException && !negated) {
+      // A priority suffix (`noop.js:5`) only orders uBlock Origin's own redirects
+      redirectPath = REDIRECT_RESOURCES[value.split(":")[0].toLowerCase()];
+      if (!redirectPath) return { kind: "unsupported", reason: `unknown redirect resource "${value}"` };
+    } else if (name === "match-case") {
+      condition.isUrlFilterCaseSensitive = true;
+    } else if (isException && !negated && (name === "document" || name === "doc") && !value) {
+      allowAllRequests = true;
+    } else if (RESOURCE_TYPE_OPTIONS[name] && !value) {
+      const target = negated ? excludedResourceTypes : resourceTypes;
+      RESOURCE_TYPE_OPTIONS[name].forEach(type => target.add(type));
+    } else {
+      return { kind: "unsupported", reason: `unsupported option "$${rawOption}"` };
+    }
+  }
+
+  if (pattern.length > 2 && pattern.startsWith("/") && pattern.endsWith("/")) {
+    condition.regexFilter = pattern.slice(1, -1);
+  } else if (pattern !== "" && pattern !== "*") {
+    // declarativeNetRequest rejects `||*`, which means the same as a leading `*`.
+    condition.urlFilter = pattern.startsWith("||*") ? pattern.slice(2) : pattern;
+  } else if (!condition.initiatorDomains && !condition.domainType) {
+    return { kind: "unsupported", reason: "filter matches every request" };
+  }
+
+  const filterText = condition.regexFilter || condition.urlFilter || "";
+  if (!/^[\x20-\x7e]*$/.test(filterText)) {
+    return { kind: "unsupported", reason: "non-ASCII pattern" };
+  }
+
+  if (allowAllRequests) {
+    condition.resourceTypes = ["main_frame", "sub_frame"];
+  } else if (resourceTypes.size > 0) {
+    condition.resourceTypes = [...resourceTypes].filter(type => !excludedResourceTypes.has(type));
+  } else {
+    condition.resourceTypes = ALL_RESOURCE_TYPES.filter(type => !excludedResourceTypes.has(type));
+  }
+  if (condition.resourceTypes.length === 0) {
+    return { kind: "unsupported", reason: "options exclude every resource type" };
+  }
+  // Like uBlock Origin, never redirect a request of unknown type to a resource of another type
+  if (redirectPath && resourceTypes.size === 0) {
+    return { kind: "unsupported", reason: "$redirect= needs a resource type option" };
+  }
+
+  let priority = DEFAULT_PRIORITY;
+  if (important) {
+    priority = isException ? IMPORTANT_ALLOW_PRIORITY : IMPORTANT_BLOCK_PRIORITY;
+  }
+
+  let action = { type: "block" };
+  if (allowAllRequests) {
+    action = { type: "allowAllRequests" };
+  } else if (isException) {
+    action = { type: "allow" };
+  } else if (redirectPath) {
+    action = { type: "redirect", redirect: { extensionPath: redirectPath } };
+  }
+
+  return {
+    kind: "network",
+    rules: [{ priority, action, condition }]
+  };
+}
+
+/**
+ * Parses a single filter list line.
+ * @param {string} rawLine - The line as it appears in the list.
+ * @returns {{kind: string, rules?: object[], filter?: object, reason?: string}} The parse result.
+ * `kind` is one of "empty", "comment", "network", "cosmetic", "scriptlet" or "unsupported".
+ */
+function parseFilterLine(rawLine) {
+  const line = rawLine.trim();
+  if (line.length === 0) {
+    return { kind: "empty" };
+  }
+  if (line.startsWith("!") || (line.startsWith("[") && line.endsWith("]"))) {
+    return { kind: "comment" }; // ABP comment or `[Adblock Plus 2.0]` header
+  }
+  if (/^#+$/.test(line)) {
+    return { kind: "comment" };
+  }
+  if (/#@?[?$%]?#/.test(line)) {
+    return parseCosmeticFilter(line);
+  }
+  if (line.startsWith("#")) {
+    return { kind: "comment" }; // Hosts-style comment
+  }
+
+  const hostsResult = parseHostsLine(line);
+  if (hostsResult) {
+    return hostsResult;
+  }
+
+  // Plain domain list entry, possibly followed by an inline comment.
+  const bareEntry = line.split(/\s+#/)[0].trim().toLowerCase();
+  if (isValidHostname(bareEntry)) {
+    return { kind: "network", rules: [createDomainBlockRule(bareEntry)] };
+  }
+
+  return parseNetworkFilter(line);
+}
+
+/**
+ * Parses a whole filter list.
+ * @param {string} text - The raw list text.
+ * @returns {{rules: object[], cosmetic: object[], scriptlets: object[], stats: object, unsupported: object[]}}
+ * The rules (without ids), the element hiding and scriptlet filters, line statistics and a sample of
+ * the lines that could not be translated.
+ */
+function parseFilterList(text) {
+  const rules = [];
+  const cosmetic = [];
+  const scriptlets = [];
+  const unsupported = [];
+  const stats = { lines: 0, comments: 0, converted: 0, cosmetic: 0, scriptlets: 0, unsupported: 0 };
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const result = parseFilterLine(line);
+    if (result.kind === "empty") return;
+    stats.lines++;
+    if (result.kind === "comment") {
+      stats.comments++;
+    } else if (result.kind === "network") {
+      stats.converted++;
+      rules.push(...result.rules);
+    } else if (result.kind === "cosmetic") {
+      stats.cosmetic++;
+      cosmetic.push(result.filter);
+    } else if (result.kind === "scriptlet") {
+      stats.scriptlets++;
+      scriptlets.push(result.filter);
+    } else {
+      stats.unsupported++;
+      if (unsupported.length < MAX_REPORTED_LINES) {
+        unsupported.push({ lineNumber: index + 1, line: line.trim(), reason: result.reason });
+      }
+    }
+  });
+
+  return { rules, cosmetic, scriptlets, stats, unsupported };
+}
+
+export { ALL_RESOURCE_TYPES, isValidHostname, parseFilterLine, parseFilterList };
@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * @file AdvaultHideStrategies.js
+ * @description The ways Advault's YouTube content script can take an ad element out of the way,
+ * and the record of every change it made to the page, so all of them can be undone.
+ * - `remove` detaches the element; only for page renderers the player code does not reference.
+ * - `hide` sets `display: none` on the element.
+ * - `collapse` keeps the element displayed but shrinks it to nothing, for containers the page layout relies on.
+ * - `neutralise` mutes the ad videos in the element and seeks them to their end.
+ */
+
+import { Advault } from './AdvaultDOM.js';
+
+const HIDE_STRATEGY_NAMES = ['remove', 'hide', 'collapse', 'neutralise'];
+
+// Most changes kept for undoing; the oldest ones are forgotten beyond this, so a long session doesn't
+// keep every element it ever removed
+const MAX_CHANGE_RECORDS = 1000;
+
+// Inline styles that make a collapsed element take no space
+const COLLAPSED_STYLES = {
+    'height': '0',
+    'min-height': '0',
+    'margin': '0',
+    'padding': '0',
+    'border': '0',
+    'overflow': 'hidden',
+    'visibility': 'hidden'
+};
+
+/**
+ * @typedef {object} ChangeRecord
+ * @property {string} strategy - The strategy, or a description of another change.
+ * @property {Element} element - The changed element.
+ * @property {Node|null} parent - Where a removed element was, null for other changes.
+ * @property {function(): void} undo - Reverts the change.
+ */
+
+/** @type {ChangeRecord[]} */
+const changeRecords = [];
+
+/**
+ * Returns a function that puts back an element's inline styles as they are now.
+ * @param {Element} element - The element.
+ * @returns {function(): void} The undo function.
+ */
+function saveInlineStyle(element) {
+    const previous = Advault.DOM.attr(element, 'style');
+    return () => Advault.DOM.attr(element, 'style', previous);
+}
+
+const strategies = {
+    remove(element) {
+        const parent = element.parentNode;
+        const nextSibling = element.nextSibling;
+        if (!parent) return null;
+        Advault.DOM.remove(element);
+        return () => {
+            if (!parent.isConnected || element.isConnected) return;
+            parent.insertBefore(element, nextSibling && nextSibling.parentNode === parent ? nextSibling : null);
+        };
+    },
+
+    hide(element) {
+        const undo = saveInlineStyle(element);
+        element.style.setProperty('display', 'none', 'important');
+        return undo;
+    },
+
+    collapse(element) {
+        const undo = saveInlineStyle(element);
+        for (const [property, value] of Object.entries(COLLAPSED_STYLES)) {
+            element.style.setProperty(property, value, 'important');
+        }
+        return undo;
+    },
+
+    neutralise(element) {
+        const videos = element.matches('video') ? [element] : Array.from(element.querySelectorAll('video'));
+        const undos = videos.map(video => {
+            const wasMuted = video.muted;
+            video.muted = true;
+            if (Number.isFinite(video.duration) && video.currentTime < video.duration) {
+                video.currentTime = video.duration;
+            }
+            return () => { video.muted = wasMuted; };
+        });
+        return undos.length > 0 ? () => undos.forEach(undo => undo()) : null;
+    }
+};
+
+/**
+ * Tells whether a change can still be undone: the element is still in the page or, if it was
+ * removed, the place it was removed from is.
+ * @param {ChangeRecord} record - The change.
+ * @returns {boolean} True if undoing it would change the page.
+ */
+function isRestorable(record) {
+    return record.parent ? record.parent.isConnected : record.element.isConnected;
+}
+
+/**
+ * Forgets the changes of elements that left the page, e.g. with the page state they belonged to,
+ * so their elements and undo functions can be garbage collected.
+ * @returns {number} The number of changes forgotten.
+ */
+function forgetLostChanges() {
+    const kept = changeRecords.filter(isRestorable);
+    const forgotten = changeRecords.length - kept.length;
+    changeRecords.splice(0, changeRecords.length, ...kept);
+    return forgotten;
+}
+
+/**
+ * Keeps a change so it can be undone later. Past MAX_CHANGE_RECORDS, the lost changes and then
+ * the oldest ones are forgotten.
+ * @param {string} strategy - The strategy, or a description of another change.
+ * @param {Element} element - The changed element.
+ * @param {function(): void} undo - Reverts the change.
+ * @param {Node|null} [parent] - Where a removed element was.
+ */
+function recordChange(strategy, element, undo, parent = null) {
+    changeRecords.push({ strategy, element, parent, undo });
+    if (changeRecords.length > MAX_CHANGE_RECORDS && forgetLostChanges() === 0) {
+        changeRecords.splice(0, changeRecords.length - MAX_CHANGE_RECORDS);
+    }
+}
+
+/**
+ * Applies a strategy to an element and records the change.
+ * @param {string} strategy - One of HIDE_STRATEGY_NAMES.
+ * @param {Element} element - The ad element.
+ * @returns {boolean} True if the element was changed.
+ */
+function applyHideStrategy(strategy, element) {
+    const parent = strategy === 'remove' ? element.parentNode : null;
+    const undo = strategies[strategy](element);
+    if (!undo) return false;
+    recordChange(strategy, element, undo, parent);
+    return true;
+}
+
+/**
+ * Undoes recorded changes, newest first, so nested changes unwind in order, and forgets them.
+ * @param {function(ChangeRecord): boolean} [predicate] - Picks the changes to undo; all of them by default.
+ * @returns {number} The number of changes undone.
+ */
+function restoreChanges(predicate = () => true) {
+    const records = [];
+    for (let i = changeRecords.length - 1; i >= 0; i--) {
+        if (predicate(changeRecords[i])) records.push(...changeRecords.splice(i, 1));
+    }
+    for (const record of records) {
+        try {
+            record.undo();
+        } catch (error) {
+            console.error(`[Advault content.js] Could not undo a ${record.strategy} change:`, error);
+        }
+    }
+    return records.length;
+}
+
+export { HIDE_STRATEGY_NAMES, applyHideStrategy, forgetLostChanges, recordChange, restoreChanges };
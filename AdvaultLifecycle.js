@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * @file AdvaultLifecycle.js
+ * @description Tracks the state of a YouTube page for the YouTube content script. YouTube is a single-page
+ * app: it swaps videos, opens the miniplayer and scrolls through Shorts without loading a page, and may replace
+ * the player and video elements while doing so. The page state (watch, shorts, home, search, embed, miniplayer
+ * or other) is worked out again on every navigation event of the surface (e.g. `yt-navigate-start`,
+ * `yt-navigate-finish` and `yt-page-data-updated` on the desktop site, see AdvaultSurfaces.js), on history
+ * changes reported by the background script and when the miniplayer opens or closes.
+ * When it changes, the cleanups registered for the old state run first (observers, listeners, timers),
+ * then the content script's handler gets the new state with its player and video elements.
+ */
+
+import { Advault } from './AdvaultDOM.js';
+import { getVideoIdFromUrl } from './AdvaultResumeStore.js';
+
+const PAGE_STATES = ['watch', 'shorts', 'home', 'search', 'embed', 'miniplayer', 'other'];
+
+const VIDEO_SELECTOR = 'video';
+
+/**
+ * @typedef {object} PageState
+ * @property {string} state - One of PAGE_STATES.
+ * @property {string} url - The page URL.
+ * @property {string|null} videoId - The video being played; in the miniplayer, the one of the last watch page.
+ * @property {Element|null} player - The player element, null for states without a video.
+ * @property {HTMLVideoElement|null} video - The video element, null for states without a video.
+ */
+
+let running = false;
+// The surface of the page (see AdvaultSurfaces.js)
+let surface = null;
+let onPageChange = () => {};
+/** @type {PageState|null} */
+let currentPage = null;
+let lastWatchVideoId = null;
+let pageCleanups = [];
+// Incremented on every transition, so an update that waited for the player can tell it is outdated
+let transitionId = 0;
+let appObserver = null;
+
+/**
+ * Works out the state of a page. The miniplayer only counts on pages without a player of their own.
+ * @param {object} pageSurface - The surface of the page (see Surface in AdvaultSurfaces.js).
+ * @param {string} url - The page URL.
+ * @param {boolean} miniplayerActive - Whether the miniplayer is open.
+ * @returns {string} One of PAGE_STATES.
+ */
+function getPageState(pageSurface, url, miniplayerActive) {
+    let path;
+    try {
+        path = new URL(url).pathname;
+    } catch (error) {
+        return 'other';
+    }
+    const match = pageSurface.pageStates.find(([, pattern]) => pattern.test(path));
+    const state = match ? match[0] : 'other';
+    return miniplayerActive && !pageSurface.playerSelectors[state] ? 'miniplayer' : state;
+}
+
+/**
+ * Registers a cleanup that runs when the page leaves its current state: disconnecting an observer,
+ * removing a listener, clearing a timer.
+ * @param {function(): void} cleanup - The cleanup.
+ */
+function addPageCleanup(cleanup) {
+    if (running) {
+        pageCleanups.push(cleanup);
+    } else {
+        cleanup();
+    }
+}
+
+/**
+ * Runs the cleanups of the current state, and cancels the updates still waiting for a player.
+ */
+function runPageCleanups() {
+    transitionId++;
+    const cleanups = pageCleanups;
+    pageCleanups = [];
+    for (const cleanup of cleanups) {
+        try {
+            cleanup();
+        } catch (error) {
+            console.error('[Advault AdvaultLifecycle.js] A page cleanup failed:', error);
+        }
+    }
+}
+
+/**
+ * Finds the player of a state and its video element.
+ * @param {string} state - The page state.
+ * @returns {{player: Element, video: HTMLVideoElement}|null} The elements, or null if they aren't in the page yet.
+ */
+function findPlayer(state) {
+    const player = Advault.query(surface.playerSelectors[state]);
+    const video = player ? Advault.query(VIDEO_SELECTOR, player) : null;
+    return video ? { player, video } : null;
+}
+
+/**
+ * Waits for the player of a state and its video element. The wait ends with the state: the
+ * observer is a cleanup of the state it was started in.
+ * @param {string} state - The page state.
+ * @returns {Promise<{player: Element, video: HTMLVideoElement}|null>} The elements, or null if the page
+ * changed state first.
+ */
+function waitForPlayer(state) {
+    const found = findPlayer(state);
+    if (found) return Promise.resolve(found);
+    return new Promise(resolve => {
+        const observer = new MutationObserver(() => {
+            const elements = findPlayer(state);
+            if (elements) {
+                observer.disconnect();
+                resolve(elements);
+            }
+        });
+        observer.observe(document.documentElement, { childList: true, subtree: true });
+        addPageCleanup(() => {
+            observer.disconnect();
+            resolve(null);
+        });
+    });
+}
+
+/**
+ * Tells whether the miniplayer is open, and starts watching the app element for it to open or close.
+ * @returns {boolean} True if the miniplayer is open.
+ */
+function isMiniplayerActive() {
+    if (!surface.miniplayer) return false;
+    const { selector, attribute } = surface.miniplayer;
+    const app = Advault.query(selector);
+    if (!app) return false;
+    if (!appObserver) {
+        appObserver = new MutationObserver(() => refreshPageState('miniplayer'));
+        appObserver.observe(app, { attributes: true, attributeFilter: [attribute] });
+    }
+    return app.hasAttribute(attribute);
+}
+
+/**
+ * Works out the page state again and, if the page, its player or its video changed, runs the cleanups
+ * of the old state and hands the new one to the content script.
+ * @param {string} reason - What triggered the check, for the log.
+ */
+async function refreshPageState(reason) {
+    if (!running) return;
+    const url = window.location.href;
+    const state = getPageState(surface, url, isMiniplayerActive());
+    // The same state is only handled again if its player or video was replaced; while the state still
+    // waits for them, the wait picks them up
+    const found = surface.playerSelectors[state] ? findPlayer(state) : null;
+    if (currentPage && currentPage.url === url && currentPage.state === state
+        && (!found || !currentPage.player || (found.player === currentPage.player && found.video === currentPage.video))) {
+        return;
+    }
+
+    runPageCleanups();
+    const id = transitionId;
+    let videoId = getVideoIdFromUrl(url);
+    if (state === 'watch' || state === 'shorts') lastWatchVideoId = videoId;
+    if (state === 'miniplayer') videoId = lastWatchVideoId;
+    currentPage = { state, url, videoId, player: null, video: null };
+    console.log(`[Advault AdvaultLifecycle.js] Page state ${state} (${reason}).`);
+
+    const elements = surface.playerSelectors[state] ? await waitForPlayer(state) : null;
+    if (id !== transitionId) return;
+    if (elements) Object.assign(currentPage, elements);
+    onPageChange({ ...currentPage });
+}
+
+const onNavigationStart = () => {
+    if (!running) return;
+    // The old page's observers and timers stop now; the new state is handled once the navigation finished
+    runPageCleanups();
+    currentPage = null;
+};
+const onNavigationUpdate = event => refreshPageState(event.type);
+
+/**
+ * Starts tracking the page state and handles the current one.
+ * @param {object} pageSurface - The surface of the page (see Surface in AdvaultSurfaces.js).
+ * @param {function(PageState): void} onChange - Called with every new state, after the old state's cleanups ran.
+ */
+function startLifecycle(pageSurface, onChange) {
+    if (running) return;
+    running = true;
+    surface = pageSurface;
+    onPageChange = onChange;
+    surface.navigationEvents.start.forEach(type => Advault.DOM.on(document, type, onNavigationStart, false));
+    surface.navigationEvents.update.forEach(type => Advault.DOM.on(document, type, onNavigationUpdate, false));
+    refreshPageState('start');
+}
+
+/**
+ * Stops tracking the page state and runs the cleanups of the current one.
+ */
+function stopLifecycle() {
+    if (!running) return;
+    surface.navigationEvents.start.forEach(type => Advault.DOM.off(document, type, onNavigationStart, false));
+    surface.navigationEvents.update.forEach(type => Advault.DOM.off(document, type, onNavigationUpdate, false));
+    if (appObserver) appObserver.disconnect();
+    appObserver = null;
+    runPageCleanups();
+    running = false;
+    currentPage = null;
+}
+
+export { PAGE_STATES, addPageCleanup, getPageState, refreshPageState, startLifecycle, stopLifecycle };
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * @file AdvaultListHistory.js
+ * @description Version history of accepted filter lists for Advault's background worker.
+ * Keeps the last few accepted versions of every subscription, with their metadata, so a bad
+ * update can be rolled back. Version text lives under its own storage key so listing the
+ * history stays cheap.
+ */
+
+const HISTORY_KEY_PREFIX = "listHistory:";          // Version metadata, keyed by subscription id
+const HISTORY_TEXT_KEY_PREFIX = "listHistoryText:"; // Version text, keyed by subscription and version id
+
+// Number of accepted versions kept per subscription.
+const MAX_HISTORY_VERSIONS = 5;
+
+/**
+ * @typedef {object} ListVersion
+ * @property {string} versionId - Identifier of the version.
+ * @property {number} acceptedAt - When the version was accepted (ms since epoch).
+ * @property {string} source - The URL the version was downloaded from.
+ * @property {number} entryCount - Number of rule entries in the version.
+ * @property {{added: number, removed: number}} diff - Change against the version before it.
+ */
+
+/**
+ * Builds the storage key of a version's text.
+ * @param {string} id - The subscription id.
+ * @param {string} versionId - The version id.
+ * @returns {string} The storage key.
+ */
+function getVersionTextKey(id, versionId) {
+  return `${HISTORY_TEXT_KEY_PREFIX}${id}:${versionId}`;
+}
+
+/**
+ * Loads the version history of a subscription.
+ * @param {string} id - The subscription id.
+ * @returns {Promise<ListVersion[]>} The versions, newest first.
+ */
+async function getListHistory(id) {
+  const key = HISTORY_KEY_PREFIX + id;
+  const data = await chrome.storage.local.get(key);
+  return data[key] || [];
+}
+
+/**
+ * Records a newly accepted version and drops the oldest ones beyond the limit.
+ * @param {string} id - The subscription id.
+ * @param {string} text - The accepted list text.
+ * @param {{source: string, entryCount: number, diff: object|null}} meta - The version metadata.
+ * @returns {Promise<ListVersion>} The recorded version.
+ */
+async function recordListVersion(id, text, meta) {
+  const version = {
+    versionId: crypto.randomUUID(),
+    acceptedAt: Date.now(),
+    source: meta.source,
+    entryCount: meta.entryCount,
+    diff: meta.diff || { added: meta.entryCount, removed: 0 }
+  };
+
+  const history = [version, ...await getListHistory(id)];
+  const expired = history.splice(MAX_HISTORY_VERSIONS);
+  await chrome.storage.local.set({
+    [HISTORY_KEY_PREFIX + id]: history,
+    [getVersionTextKey(id, version.versionId)]: text
+  });
+  if (expired.length > 0) {
+    await chrome.storage.local.remove(expired.map(old => getVersionTextKey(id, old.versionId)));
+  }
+  return version;
+}
+
+/**
+ * Loads the text of a recorded version.
+ * @param {string} id - The subscription id.
+ * @param {string} versionId - The version id.
+ * @returns {Promise<string>} The list text of that version.
+ * @throws {Error} If the version is not (or no longer) stored.
+ */
+async function getListVersionText(id, versionId) {
+  const key = getVersionTextKey(id, versionId);
+  const data = await chrome.storage.local.get(key);
+  if (typeof data[key] !== "string") {
+    throw new Error(`Version ${versionId} of list ${id} is not stored.`);
+  }
+  return data[key];
+}
+
+/**
+ * Removes the whole history of a subscription.
+ * @param {string} id - The subscription id.
+ */
+async function clearListHistory(id) {
+  const history = await getListHistory(id);
+  await chrome.storage.local.remove([
+    HISTORY_KEY_PREFIX + id,
+    ...history.map(version => getVersionTextKey(id, version.versionId))
+  ]);
+}
+
+export { clearListHistory, getListHistory, getListVersionText, recordListVersion };
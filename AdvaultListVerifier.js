@@ -0,0 +1,299 @@
+'use strict';
+
+/**
+ * @file AdvaultListVerifier.js
+ * @description Verification of downloaded filter lists before they are applied.
+ * Checks a published SHA-256 checksum, runs sanity checks on size and churn, and strips rules
+ * that would block domains the browser or the extension itself depend on. Lists that fail are
+ * quarantined; one rejected only for changing too much can still be accepted from the options
+ * page, since large updates happen legitimately.
+ * Detached signatures are not supported: Advault bundles no list signing key, so a subscription
+ * that asks for one is rejected rather than silently left unchecked. A checksum only helps when it
+ * comes from a source the list's host can't rewrite; lists without one, like the default Advault
+ * list over plain HTTP, are shown as unverified in the options page.
+ */
+
+import { parseFilterList } from "./AdvaultFilterParser.js";
+
+const QUARANTINE_KEY_PREFIX = "quarantine:"; // Rejected list text and reasons, keyed by subscription id
+
+// Sanity limits applied unless a subscription overrides them with `limits`.
+const DEFAULT_VERIFICATION_LIMITS = {
+  minEntries: 1,
+  maxEntries: 2000000,
+  maxChangeRatio: 0.5,      // Share of entries that may be added or removed in one update
+  minEntriesForChangeCheck: 100 // Small lists legitimately change a lot
+};
+
+// Domains a list must never block: YouTube playback, Google sign-in, extension updates
+// and Advault's own list server.
+const CRITICAL_DOMAINS = [
+  "youtube.com",
+  "www.youtube.com",
+  "youtubei.googleapis.com",
+  "googlevideo.com",
+  "ytimg.com",
+  "accounts.google.com",
+  "clients2.google.com",
+  "update.googleapis.com",
+  "gstatic.com",
+  "185.107.97.246"
+];
+
+// The URLs pattern rules are tested against; most traffic goes to subdomains (e.g. of googlevideo.com)
+const CRITICAL_URLS = CRITICAL_DOMAINS.flatMap(domain => domain.startsWith("www.")
+  ? [`https://${domain}/`]
+  : [`https://${domain}/`, `https://www.${domain}/`]);
+
+/**
+ * Extracts the hostname a block rule anchors on (`||host^`, `||host*` or `requestDomains`).
+ * @param {object} rule - A declarativeNetRequest rule.
+ * @returns {string[]} The anchored hostnames, empty if the rule has none.
+ */
+function getAnchoredHosts(rule) {
+  const { urlFilter, requestDomains } = rule.condition;
+  if (requestDomains) return requestDomains;
+  if (!urlFilter || !urlFilter.startsWith("||")) return [];
+  const host = urlFilter.slice(2).split(/[\^/*|:?]/)[0].toLowerCase();
+  return host ? [host] : [];
+}
+
+/**
+ * Builds a regular expression that matches the URLs a declarativeNetRequest `urlFilter` matches.
+ * @param {string} urlFilter - The URL filter.
+ * @param {boolean} caseSensitive - Whether the filter is case sensitive.
+ * @returns {RegExp} The equivalent expression.
+ */
+function urlFilterToRegExp(urlFilter, caseSensitive) {
+  let pattern = urlFilter;
+  let source = "";
+  if (pattern.startsWith("||")) {
+    source = "^[a-z][a-z0-9+.-]*:\\/\\/(?:[^/?#]*\\.)?";
+    pattern = pattern.slice(2);
+  } else if (pattern.startsWith("|")) {
+    source = "^";
+    pattern = pattern.slice(1);
+  }
+  const anchoredEnd = pattern.endsWith("|");
+  if (anchoredEnd) pattern = pattern.slice(0, -1);
+  for (const char of pattern) {
+    if (char === "*") source += ".*";
+    else if (char === "^") source += "(?:[^a-zA-Z0-9_.%-]|$)";
+    else source += char.replace(/[.+?${}()|[\]\\/]/g, "\\$&");
+  }
+  return new RegExp(anchoredEnd ? `${source}$` : source, caseSensitive ? "" : "i");
+}
+
+/**
+ * Checks whether a block or redirect rule would block a critical domain: directly or through a parent
+ * for rules anchored on a host, and otherwise by matching the rule's pattern (an unanchored `urlFilter`
+ * such as `accounts.google` or a `regexFilter`) against the critical domains' URLs.
+ * @param {object} rule - A declarativeNetRequest rule.
+ * @returns {boolean} True if the rule must not be applied.
+ */
+function isCriticalRule(rule) {
+  const isBlocking = rule.action.type === "block" || rule.action.type === "redirect";
+  if (!isBlocking || rule.condition.initiatorDomains) return false;
+  const hosts = getAnchoredHosts(rule);
+  if (hosts.some(host => CRITICAL_DOMAINS.some(critical => critical === host || critical.endsWith(`.${host}`)))) {
+    return true;
+  }
+
+  const { urlFilter, regexFilter, isUrlFilterCaseSensitive } = rule.condition;
+  if (!urlFilter && !regexFilter) return false;
+  let pattern;
+  try {
+    pattern = regexFilter
+      ? new RegExp(regexFilter, isUrlFilterCaseSensitive ? "" : "i")
+      : urlFilterToRegExp(urlFilter, isUrlFilterCaseSensitive);
+  } catch (error) {
+    // The browser refuses rules with expressions it can't compile
+    return false;
+  }
+  return CRITICAL_URLS.some(url => pattern.test(url));
+}
+
+/**
+ * Removes the rules that would block critical domains.
+ * @param {object[]} rules - Parsed declarativeNetRequest rules.
+ * @returns {{rules: object[], rejected: object[]}} The safe rules and the rejected ones.
+ */
+function removeCriticalRules(rules) {
+  const safe = [];
+  const rejected = [];
+  for (const rule of rules) {
+    (isCriticalRule(rule) ? rejected : safe).push(rule);
+  }
+  return { rules: safe, rejected };
+}
+
+/**
+ * Computes the hex SHA-256 digest of some bytes.
+ * @param {ArrayBuffer} bytes - The data to hash.
+ * @returns {Promise<string>} The lowercase hex digest.
+ */
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Downloads a small companion file such as a checksum.
+ * @param {string} url - The file URL.
+ * @returns {Promise<string>} The trimmed file text.
+ */
+async function fetchCompanionFile(url) {
+  const response = await fetch(url, { cache: "no-store" });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status} for ${url}`);
+  }
+  return (await response.text()).trim();
+}
+
+/**
+ * Checks the list bytes against the subscription's checksum.
+ * @param {ArrayBuffer} bytes - The downloaded list.
+ * @param {object} integrity - The subscription's `integrity` settings.
+ * @returns {Promise<string|null>} An error reason, or null if the list is authentic.
+ */
+async function verifyIntegrity(bytes, integrity) {
+  if (integrity.signatureUrl) {
+    return "Signed lists are not supported, publish a SHA-256 checksum (checksumUrl) instead";
+  }
+  if (integrity.checksumUrl) {
+    // Checksum files are either a bare digest or `sha256sum` output ("<digest>  <file>")
+    const expected = (await fetchCompanionFile(integrity.checksumUrl)).split(/\s+/)[0].toLowerCase();
+    const actual = await sha256Hex(bytes);
+    if (expected !== actual) {
+      return `SHA-256 mismatch (expected ${expected}, got ${actual})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collects the lines of a list that produce rules, for size and churn checks.
+ * @param {string} text - The raw list text.
+ * @returns {Set<string>} The trimmed rule lines.
+ */
+function getEntryLines(text) {
+  const entries = new Set();
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed && !trimmed.startsWith("!") && !trimmed.startsWith("#") && !trimmed.startsWith("[")) {
+      entries.add(trimmed);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Compares two versions of a list.
+ * @param {Set<string>} previous - Entry lines of the last accepted version.
+ * @param {Set<string>} next - Entry lines of the new version.
+ * @returns {{added: number, removed: number}} The diff summary.
+ */
+function diffEntries(previous, next) {
+  let added = 0;
+  let removed = 0;
+  for (const entry of next) if (!previous.has(entry)) added++;
+  for (const entry of previous) if (!next.has(entry)) removed++;
+  return { added, removed };
+}
+
+/**
+ * Verifies a downloaded list before it replaces the last accepted version.
+ * @param {ArrayBuffer} bytes - The downloaded list.
+ * @param {string} text - The decoded list text.
+ * @param {object} subscription - The subscription the list belongs to.
+ * @param {string|null} previousText - The last accepted version, if any.
+ * @returns {Promise<{ok: boolean, reasons: string[], entryCount: number, diff: object|null, verifiedBy: string|null,
+ * overridable: boolean}>} The verification result; `overridable` tells that the change limit was the only failure.
+ */
+async function verifyList(bytes, text, subscription, previousText) {
+  const limits = { ...DEFAULT_VERIFICATION_LIMITS, ...subscription.limits };
+  const reasons = [];
+  let verifiedBy = null;
+
+  if (subscription.integrity) {
+    try {
+      const error = await verifyIntegrity(bytes, subscription.integrity);
+      if (error) {
+        reasons.push(error);
+      } else {
+        verifiedBy = subscription.integrity.checksumUrl ? "sha256" : null;
+      }
+    } catch (error) {
+      reasons.push(`Integrity check failed: ${error.message}`);
+    }
+  } else if (new URL(subscription.url).protocol !== "https:") {
+    console.warn(`List "${subscription.title}" is fetched over plain HTTP without a checksum.`);
+  }
+
+  const { stats } = parseFilterList(text);
+  // Element hiding and scriptlet filters count too: a list may have nothing else
+  const entryCount = stats.converted + stats.cosmetic + stats.scriptlets;
+  if (entryCount < limits.minEntries) {
+    reasons.push(`Only ${entryCount} entries (minimum ${limits.minEntries}), the download may be truncated`);
+  }
+  if (entryCount > limits.maxEntries) {
+    reasons.push(`${entryCount} entries exceed the maximum of ${limits.maxEntries}`);
+  }
+
+  let diff = null;
+  let changeExceeded = false;
+  if (previousText) {
+    const previousEntries = getEntryLines(previousText);
+    diff = diffEntries(previousEntries, getEntryLines(text));
+    const changeRatio = (diff.added + diff.removed) / Math.max(previousEntries.size, 1);
+    if (previousEntries.size >= limits.minEntriesForChangeCheck && changeRatio > limits.maxChangeRatio) {
+      changeExceeded = true;
+      reasons.push(`${diff.added} added and ${diff.removed} removed entries exceed the allowed change of ${Math.round(limits.maxChangeRatio * 100)}%`);
+    }
+  }
+
+  const overridable = changeExceeded && reasons.length === 1;
+  return { ok: reasons.length === 0, reasons, entryCount, diff, verifiedBy, overridable };
+}
+
+/**
+ * Keeps a rejected list aside for inspection, and for accepting it if only its change was too large.
+ * @param {string} id - The subscription id.
+ * @param {string} text - The rejected list text.
+ * @param {object} verification - The result of verifyList.
+ */
+async function quarantineList(id, text, verification) {
+  const { reasons, entryCount, diff, verifiedBy, overridable } = verification;
+  await chrome.storage.local.set({
+    [QUARANTINE_KEY_PREFIX + id]: { text, reasons, entryCount, diff, verifiedBy, overridable, quarantinedAt: Date.now() }
+  });
+}
+
+/**
+ * Loads the rejected list of a subscription.
+ * @param {string} id - The subscription id.
+ * @returns {Promise<object|null>} The quarantined list with its verification result, or null if there is none.
+ */
+async function getQuarantinedList(id) {
+  const key = QUARANTINE_KEY_PREFIX + id;
+  const data = await chrome.storage.local.get(key);
+  return data[key] || null;
+}
+
+/**
+ * Removes the rejected list of a subscription.
+ * @param {string} id - The subscription id.
+ */
+async function clearQuarantinedList(id) {
+  await chrome.storage.local.remove(QUARANTINE_KEY_PREFIX + id);
+}
+
+export {
+  CRITICAL_DOMAINS,
+  clearQuarantinedList,
+  getAnchoredHosts,
+  getQuarantinedList,
+  quarantineList,
+  removeCriticalRules,
+  verifyList
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * @file AdvaultPlayerPruner.js
+ * @description Removes ad data from YouTube's player responses before the player reads them,
+ * so video ads are never scheduled. Runs in the page's MAIN world at document_start and
+ * intercepts `ytInitialPlayerResponse` and the JSON of `/youtubei/v1/player` and `/youtubei/v1/next`
+ * requests made with fetch or XMLHttpRequest.
+ * The background worker registers this script only while pruning is on, and not for allowlisted sites.
+ * The MAIN world has no extension APIs: should the script still run in such a page (e.g. the registration
+ * wasn't updated yet), the content script turns pruning off by setting `data-advault-prune="off"` on the root element.
+ */
+
+(function initAdvaultPlayerPruner() {
+    // Ad fields of player and watch-next responses
+    const AD_KEYS = ['adPlacements', 'playerAds', 'adSlots'];
+
+    // Player API endpoints whose responses carry ad data
+    const PLAYER_API_PATTERN = /\/youtubei\/v1\/(?:player|next)(?:\?|$)/;
+
+    // Deepest level searched for ad fields; watch-next responses nest a player response
+    const MAX_PRUNE_DEPTH = 8;
+
+    /**
+     * Tells whether the content script turned pruning off for this page.
+     * @returns {boolean} True if pruning is on.
+     */
+    function isPruningEnabled() {
+        return document.documentElement?.dataset.advaultPrune !== 'off';
+    }
+
+    /**
+     * Deletes the ad fields of a response object and of the objects nested in it.
+     * @param {*} value - The parsed response.
+     * @param {number} [depth] - The current depth.
+     * @returns {number} The number of fields deleted.
+     */
+    function pruneAdFields(value, depth = 0) {
+        if (!value || typeof value !== 'object' || depth > MAX_PRUNE_DEPTH) return 0;
+        let pruned = 0;
+        if (!Array.isArray(value)) {
+            for (const key of AD_KEYS) {
+                if (key in value) {
+                    delete value[key];
+                    pruned++;
+                }
+            }
+        }
+        for (const child of Object.values(value)) {
+            if (child && typeof child === 'object') pruned += pruneAdFields(child, depth + 1);
+        }
+        return pruned;
+    }
+
+    /**
+     * Prunes a response object if pruning is on.
+     * @param {*} value - The parsed response.
+     * @param {string} source - Where the response came from, for the log.
+     * @returns {*} The same object, pruned.
+     */
+    function pruneResponse(value, source) {
+        if (!isPruningEnabled()) return value;
+        const pruned = pruneAdFields(value);
+        if (pruned > 0) {
+            console.debug(`[Advault AdvaultPlayerPruner.js] Removed ${pruned} ad fields from ${source}`);
+        }
+        return value;
+    }
+
+    /**
+     * Prunes a JSON response text. Texts that are not JSON are returned unchanged.
+     * @param {string} text - The response text.
+     * @param {string} source - Where the response came from, for the log.
+     * @returns {string} The pruned text.
+     */
+    function pruneResponseText(text, source) {
+        if (!isPruningEnabled() || !AD_KEYS.some(key => text.includes(`"${key}"`))) return text;
+        try {
+            return JSON.stringify(pruneResponse(JSON.parse(text), source));
+        } catch (error) {
+            return text;
+        }
+    }
+
+    /**
+     * Tells whether a request goes to a player API endpoint.
+     * @param {string|URL|Request} input - The request or its URL.
+     * @returns {boolean} True for player and watch-next requests.
+     */
+    function isPlayerApiRequest(input) {
+        const url = input instanceof Request ? input.url : String(input);
+        return PLAYER_API_PATTERN.test(url);
+    }
+
+    // --- ytInitialPlayerResponse, assigned by an inline script of the watch page ---
+    let initialPlayerResponse = window.ytInitialPlayerResponse;
+    Object.defineProperty(window, 'ytInitialPlayerResponse', {
+        configurable: true,
+        get: () => initialPlayerResponse,
+        set: value => {
+            initialPlayerResponse = pruneResponse(value, 'ytInitialPlayerResponse');
+        }
+    });
+    if (initialPlayerResponse) pruneResponse(initialPlayerResponse, 'ytInitialPlayerResponse');
+
+    // --- fetch ---
+    const originalFetch = window.fetch;
+    window.fetch = async function advaultFetch(input, init) {
+        const response = await originalFetch.call(this, input, init);
+        if (!isPlayerApiRequest(input) || !response.ok || !isPruningEnabled()) return response;
+        try {
+            const text = await response.clone().text();
+            const pruned = pruneResponseText(text, new URL(response.url).pathname);
+            if (pruned === text) return response;
+            const prunedResponse = new Response(pruned, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers
+            });
+            Object.defineProperty(prunedResponse, 'url', { value: response.url });
+            return prunedResponse;
+        } catch (error) {
+            console.error('[Advault AdvaultPlayerPruner.js] Could not prune a fetch response:', error);
+            return response;
+        }
+    };
+
+    // --- XMLHttpRequest ---
+    const requestUrls = new WeakMap();
+    const prunedTexts = new WeakMap();
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const responseTextGetter = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'responseText').get;
+    const responseGetter = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'response').get;
+
+    XMLHttpRequest.prototype.open = function advaultOpen(method, url, ...rest) {
+        requestUrls.set(this, String(url));
+        // A reused request must not answer with the pruned text of its previous response
+        prunedTexts.delete(this);
+        return originalOpen.call(this, method, url, ...rest);
+    };
+
+    /**
+     * Returns the pruned text of a finished player API request, or null for other requests.
+     * @param {XMLHttpRequest} request - The request.
+     * @returns {string|null} The pruned text.
+     */
+    function getPrunedXhrText(request) {
+        const url = requestUrls.get(request);
+        if (!url || !PLAYER_API_PATTERN.test(url) || request.readyState !== XMLHttpRequest.DONE) return null;
+        if (request.responseType !== '' && request.responseType !== 'text') return null;
+        if (!prunedTexts.has(request)) {
+            prunedTexts.set(request, pruneResponseText(responseTextGetter.call(request), url));
+        }
+        return prunedTexts.get(request);
+    }
+
+    Object.defineProperty(XMLHttpRequest.prototype, 'responseText', {
+        configurable: true,
+        get() {
+            const pruned = getPrunedXhrText(this);
+            return pruned === null ? responseTextGetter.call(this) : pruned;
+        }
+    });
+    Object.defineProperty(XMLHttpRequest.prototype, 'response', {
+        configurable: true,
+        get() {
+            const pruned = getPrunedXhrText(this);
+            return pruned === null ? responseGetter.call(this) : pruned;
+        }
+    });
+})();
@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * @file AdvaultPrivacy.js
+ * @description Browser privacy settings Advault can harden through `chrome.privacy`: network prediction,
+ * the WebRTC IP handling policy, hyperlink auditing, the Topics, FLEDGE (Protected Audience) and
+ * ad measurement APIs, and third-party cookies. Settings the browser doesn't have are reported as unsupported.
+ *
+ * Advault never stores values of its own. The browser keeps the user's values underneath the ones an
+ * extension sets: turning a toggle off clears Advault's value and the original one is back, and the
+ * browser drops Advault's values by itself when the extension is disabled or removed. A setting that a
+ * policy or another extension controls can't be changed, and is reported as such.
+ */
+
+/**
+ * Each setting: its `chrome.privacy` area and name, and the value that hardens it.
+ * Network prediction covers DNS prefetching, preconnecting and page preloading.
+ */
+const PRIVACY_SETTINGS = {
+  networkPrediction: { area: "network", name: "networkPredictionEnabled", hardened: false },
+  webRTCIPHandling: { area: "network", name: "webRTCIPHandlingPolicy", hardened: "disable_non_proxied_udp" },
+  hyperlinkAuditing: { area: "websites", name: "hyperlinkAuditingEnabled", hardened: false },
+  topics: { area: "websites", name: "topicsEnabled", hardened: false },
+  fledge: { area: "websites", name: "fledgeEnabled", hardened: false },
+  adMeasurement: { area: "websites", name: "adMeasurementEnabled", hardened: false },
+  thirdPartyCookies: { area: "websites", name: "thirdPartyCookiesAllowed", hardened: false }
+};
+
+const PRIVACY_SETTING_IDS = Object.keys(PRIVACY_SETTINGS);
+
+// Levels of control (see chrome.types.LevelOfControl) that let this extension change a setting
+const CONTROLLABLE_LEVELS = ["controllable_by_this_extension", "controlled_by_this_extension"];
+
+/**
+ * @typedef {object} PrivacySettingStatus
+ * @property {string} id - One of PRIVACY_SETTING_IDS.
+ * @property {boolean} supported - Whether the browser has the setting.
+ * @property {boolean} hardened - Whether Advault set the hardened value.
+ * @property {*} value - The value in effect, null if unsupported.
+ * @property {string|null} levelOfControl - Who controls the setting, null if unsupported.
+ * @property {string|null} controlledBy - "policy" or "extension" when something else controls the setting.
+ */
+
+/**
+ * Returns the browser setting of an id.
+ * @param {string} id - The setting id.
+ * @returns {chrome.types.ChromeSetting|null} The setting, or null if the browser doesn't have it.
+ * @throws {Error} If the id is unknown.
+ */
+function getBrowserSetting(id) {
+  const setting = PRIVACY_SETTINGS[id];
+  if (!setting) {
+    throw new Error(`Unknown privacy setting: ${id}`);
+  }
+  const area = chrome.privacy && chrome.privacy[setting.area];
+  return (area && area[setting.name]) || null;
+}
+
+/**
+ * Reads the state of one setting.
+ * @param {string} id - The setting id.
+ * @returns {Promise<PrivacySettingStatus>} Its state.
+ */
+async function getPrivacySetting(id) {
+  const browserSetting = getBrowserSetting(id);
+  if (!browserSetting) {
+    return { id, supported: false, hardened: false, value: null, levelOfControl: null, controlledBy: null };
+  }
+  const { value, levelOfControl } = await browserSetting.get({});
+  let controlledBy = null;
+  if (levelOfControl === "controlled_by_other_extensions") controlledBy = "extension";
+  if (levelOfControl === "not_controllable") controlledBy = "policy";
+  return {
+    id,
+    supported: true,
+    hardened: levelOfControl === "controlled_by_this_extension" && value === PRIVACY_SETTINGS[id].hardened,
+    value,
+    levelOfControl,
+    controlledBy
+  };
+}
+
+/**
+ * Reads the state of every setting, for the options page.
+ * @returns {Promise<PrivacySettingStatus[]>} The states.
+ */
+function getPrivacySettings() {
+  return Promise.all(PRIVACY_SETTING_IDS.map(getPrivacySetting));
+}
+
+/**
+ * Hardens a setting, or gives the browser's own value back.
+ * @param {string} id - The setting id.
+ * @param {boolean} hardened - True to set the hardened value, false to clear Advault's value.
+ * @returns {Promise<PrivacySettingStatus>} The setting's new state.
+ * @throws {Error} If the setting is unknown or unsupported, the value isn't a boolean, or a policy or
+ * another extension controls the setting.
+ */
+async function setPrivacySetting(id, hardened) {
+  if (typeof hardened !== "boolean") {
+    throw new Error(`Invalid value for the ${id} setting: ${hardened}`);
+  }
+  const browserSetting = getBrowserSetting(id);
+  if (!browserSetting) {
+    throw new Error(`This browser does not support the ${id} setting.`);
+  }
+  const status = await getPrivacySetting(id);
+  if (!CONTROLLABLE_LEVELS.includes(status.levelOfControl)) {
+    throw new Error(status.controlledBy === "policy"
+      ? `The ${id} setting is set by a policy and can't be changed.`
+      : `The ${id} setting is controlled by another extension.`);
+  }
+  if (hardened) {
+    await browserSetting.set({ value: PRIVACY_SETTINGS[id].hardened });
+  } else {
+    await browserSetting.clear({});
+  }
+  return getPrivacySetting(id);
+}
+
+/**
+ * Gives every setting Advault controls its original value back.
+ * @returns {Promise<number>} The number of settings restored.
+ */
+async function restorePrivacySettings() {
+  const controlled = (await getPrivacySettings())
+    .filter(status => status.levelOfControl === "controlled_by_this_extension");
+  await Promise.all(controlled.map(status => getBrowserSetting(status.id).clear({})));
+  return controlled.length;
+}
+
+export { getPrivacySettings, restorePrivacySettings, setPrivacySetting };
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * @file AdvaultResumeStore.js
+ * @description Resume points of YouTube videos, kept by Advault's background worker in `chrome.storage.local`
+ * for the YouTube content script, which saves one before it reloads a page for an ad.
+ * Points are keyed by tab and video ID, so tabs don't overwrite each other's points and a playlist
+ * or timestamp in the URL doesn't matter. A tab gets its own point back first, or else the newest
+ * point another tab saved for the same video. Points expire and the store is capped in size.
+ */
+
+const RESUME_STORE_STORAGE_KEY = "resumePoints"; // { ["<tabId>:<videoId>"]: ResumePoint }
+
+// Keys of the single resume point of versions before this store
+const LEGACY_STORAGE_KEYS = ["advault_video_timestamp", "advault_video_url"];
+
+const RESUME_POINT_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_RESUME_POINTS = 200;
+
+// YouTube video IDs, and the paths that carry one
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const VIDEO_PATH_PATTERN = /^\/(?:shorts|live|embed)\/([\w-]{11})(?:[/?#]|$)/;
+
+// Store updates run one after another, so concurrent saves don't overwrite each other
+let storeQueue = Promise.resolve();
+
+/**
+ * @typedef {object} ResumePoint
+ * @property {number} tabId - The tab that saved the point.
+ * @property {string} videoId - The YouTube video ID.
+ * @property {number} time - The playback position in seconds.
+ * @property {number} savedAt - When the point was saved (ms since epoch).
+ */
+
+/**
+ * Extracts the video ID of a YouTube URL: the `v` parameter of watch pages,
+ * or the ID in `/shorts/`, `/live/` and `/embed/` paths.
+ * @param {string} url - The page URL.
+ * @returns {string|null} The video ID, or null for pages without a video.
+ */
+function getVideoIdFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  const videoId = parsed.searchParams.get("v");
+  if (videoId && VIDEO_ID_PATTERN.test(videoId)) return videoId;
+  const match = VIDEO_PATH_PATTERN.exec(parsed.pathname);
+  return match ? match[1] : null;
+}
+
+/**
+ * Runs a change of the stored points: loads them without the expired ones, applies the change,
+ * drops the oldest points over the limit and stores the result.
+ * @param {function(Object<string, ResumePoint>): *} change - Changes the points in place; its result is returned.
+ * @returns {Promise<*>} The change's result.
+ */
+function updateResumePoints(change) {
+  const run = storeQueue.then(async () => {
+    const data = await chrome.storage.local.get(RESUME_STORE_STORAGE_KEY);
+    const now = Date.now();
+    const points = Object.fromEntries(Object.entries(data[RESUME_STORE_STORAGE_KEY] || {})
+      .filter(([, point]) => now - point.savedAt < RESUME_POINT_TTL_MS));
+
+    const result = change(points);
+
+    const kept = Object.entries(points)
+      .sort((a, b) => b[1].savedAt - a[1].savedAt)
+      .slice(0, MAX_RESUME_POINTS);
+    await chrome.storage.local.set({ [RESUME_STORE_STORAGE_KEY]: Object.fromEntries(kept) });
+    return result;
+  });
+  storeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Saves where a tab is in a video.
+ * @param {number} tabId - The tab id.
+ * @param {string} videoId - The video ID.
+ * @param {number} time - The playback position in seconds.
+ * @throws {Error} If the video ID or the position is invalid.
+ */
+async function saveResumePoint(tabId, videoId, time) {
+  if (!VIDEO_ID_PATTERN.test(videoId)) {
+    throw new Error(`Invalid video ID: ${videoId}`);
+  }
+  if (!Number.isFinite(time) || time <= 0) {
+    throw new Error(`Invalid playback position: ${time}`);
+  }
+  await updateResumePoints(points => {
+    points[`${tabId}:${videoId}`] = { tabId, videoId, time, savedAt: Date.now() };
+  });
+}
+
+/**
+ * Returns and forgets the resume point of a video: the tab's own one, or else the newest
+ * one of another tab.
+ * @param {number} tabId - The tab id.
+ * @param {string} videoId - The video ID.
+ * @returns {Promise<number|null>} The playback position in seconds, or null if there is none.
+ */
+function takeResumePoint(tabId, videoId) {
+  return updateResumePoints(points => {
+    const candidates = Object.entries(points)
+      .filter(([, point]) => point.videoId === videoId)
+      .sort((a, b) => (b[1].tabId === tabId) - (a[1].tabId === tabId) || b[1].savedAt - a[1].savedAt);
+    if (candidates.length === 0) return null;
+    const [key, point] = candidates[0];
+    delete points[key];
+    return point.time;
+  });
+}
+
+/**
+ * Drops the single resume point of older versions.
+ */
+async function removeLegacyResumePoint() {
+  await chrome.storage.local.remove(LEGACY_STORAGE_KEYS);
+}
+
+export { getVideoIdFromUrl, removeLegacyResumePoint, saveResumePoint, takeResumePoint };
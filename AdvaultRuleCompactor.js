@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * @file AdvaultRuleCompactor.js
+ * @description Shrinks parsed filter rules so large lists fit inside the browser's
+ * dynamic rule limits. Plain domain rules are de-duplicated, pruned when a parent
+ * domain already covers them and packed into shared `requestDomains` rules grouped
+ * by resource type. Whatever still does not fit is dropped in a fixed order and reported.
+ * Every compacted rule carries a stable key so the background worker can keep its rule id
+ * across list updates.
+ */
+
+// Average number of domains packed into a single rule, keeps individual rules a manageable size.
+const TARGET_DOMAINS_PER_RULE = 500;
+
+// Rule actions Chrome counts as "safe" (not subject to the unsafe dynamic rule limit).
+const SAFE_ACTION_TYPES = new Set(["block", "allow", "allowAllRequests", "upgradeScheme"]);
+
+// Number of dropped rules kept verbatim in a compaction report.
+const MAX_REPORTED_DROPS = 100;
+
+const DOMAIN_URL_FILTER_PATTERN = /^\|\|([a-z0-9_.-]+)\^$/;
+
+/**
+ * Extracts the domain of a `||domain^` rule that can be expressed with `requestDomains`.
+ * @param {object} rule - A declarativeNetRequest rule.
+ * @returns {string|null} The domain, or null if the rule needs its own urlFilter.
+ */
+function getPackableDomain(rule) {
+  const { urlFilter, regexFilter, requestDomains, isUrlFilterCaseSensitive } = rule.condition;
+  if (!urlFilter || regexFilter || requestDomains || isUrlFilterCaseSensitive) {
+    return null;
+  }
+  const match = DOMAIN_URL_FILTER_PATTERN.exec(urlFilter);
+  return match ? match[1] : null;
+}
+
+/**
+ * Builds the key of the shared rule a packable rule belongs to.
+ * Rules only share a `requestDomains` list when everything except the domain is identical.
+ * @param {object} rule - A packable declarativeNetRequest rule.
+ * @returns {string} The group key.
+ */
+function getGroupKey(rule) {
+  const { urlFilter, ...condition } = rule.condition;
+  const normalized = Object.keys(condition).sort().map(key => {
+    const value = condition[key];
+    return [key, Array.isArray(value) ? [...value].sort() : value];
+  });
+  return JSON.stringify([rule.action, rule.priority, normalized]);
+}
+
+/**
+ * Removes domains that are covered by a parent domain in the same set.
+ * `requestDomains: ["example.com"]` already matches `ads.example.com`.
+ * @param {Set<string>} domains - The de-duplicated domains.
+ * @returns {{kept: string[], covered: number}} The remaining domains and how many were pruned.
+ */
+function pruneCoveredDomains(domains) {
+  const kept = [];
+  let covered = 0;
+  for (const domain of domains) {
+    let parent = domain;
+    let isCovered = false;
+    while (!isCovered && parent.includes(".")) {
+      parent = parent.slice(parent.indexOf(".") + 1);
+      isCovered = domains.has(parent);
+    }
+    if (isCovered) {
+      covered++;
+    } else {
+      kept.push(domain);
+    }
+  }
+  return { kept, covered };
+}
+
+/**
+ * Hashes a domain into one of `bucketCount` buckets (FNV-1a).
+ * The same domain always lands in the same bucket, so it keeps its rule across updates.
+ * @param {string} domain - The domain to hash.
+ * @param {number} bucketCount - A power of two.
+ * @returns {number} The bucket index.
+ */
+function getDomainBucket(domain, bucketCount) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < domain.length; i++) {
+    hash ^= domain.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) & (bucketCount - 1);
+}
+
+/**
+ * Splits domains into hash buckets. The bucket count is rounded up to a power of two
+ * so it only changes when a group doubles or halves in size.
+ * @param {string[]} domains - The domains of one group.
+ * @returns {{bucketCount: number, buckets: string[][]}} The buckets, some possibly empty.
+ */
+function bucketDomains(domains) {
+  let bucketCount = 1;
+  while (bucketCount * TARGET_DOMAINS_PER_RULE < domains.length) {
+    bucketCount *= 2;
+  }
+  const buckets = Array.from({ length: bucketCount }, () => []);
+  for (const domain of domains) {
+    buckets[getDomainBucket(domain, bucketCount)].push(domain);
+  }
+  return { bucketCount, buckets };
+}
+
+/**
+ * Ranks a compacted rule for degradation. Lower tiers are kept first.
+ * Exceptions are kept before blocks so a trimmed list never breaks more sites than the full one,
+ * then packed domain rules (most coverage per rule), then single url filters, then regex rules.
+ * @param {object} rule - A compacted rule.
+ * @returns {number} The tier.
+ */
+function getRetentionTier(rule) {
+  if (!["block", "redirect", "upgradeScheme"].includes(rule.action.type)) return 0;
+  if (rule.condition.requestDomains) return 1;
+  if (rule.condition.regexFilter) return 3;
+  return 2;
+}
+
+/**
+ * Compacts parsed rules and trims them to the given limits.
+ * @param {object[]} rules - Parsed declarativeNetRequest rules without ids.
+ * @param {{maxRules: number, maxUnsafeRules: number, maxRegexRules: number}} limits - Browser limits.
+ * @returns {{entries: {key: string, rule: object}[], stats: object, dropped: object[]}} The compacted
+ * rules (without ids) with their stable keys, compaction statistics and a sample of the rules
+ * that had to be dropped.
+ */
+function compactRules(rules, limits) {
+  const groups = new Map();
+  const standalone = new Map();
+  let duplicateDomains = 0;
+  let duplicateRules = 0;
+
+  for (const rule of rules) {
+    const domain = getPackableDomain(rule);
+    if (domain) {
+      const key = getGroupKey(rule);
+      if (!groups.has(key)) {
+        groups.set(key, { template: rule, domains: new Set() });
+      }
+      const { domains } = groups.get(key);
+      if (domains.has(domain)) {
+        duplicateDomains++;
+      }
+      domains.add(domain);
+    } else {
+      const key = JSON.stringify(rule);
+      if (standalone.has(key)) {
+        duplicateRules++;
+      }
+      standalone.set(key, { key, rule });
+    }
+  }
+
+  const compacted = [];
+  let coveredDomains = 0;
+  for (const [groupKey, { template, domains }] of groups) {
+    const { kept, covered } = pruneCoveredDomains(domains);
+    coveredDomains += covered;
+    const { urlFilter, ...condition } = template.condition;
+    const { bucketCount, buckets } = bucketDomains(kept);
+    buckets.forEach((bucket, index) => {
+      if (bucket.length === 0) return;
+      compacted.push({
+        key: `${groupKey}#${index}/${bucketCount}`,
+        rule: {
+          priority: template.priority,
+          action: template.action,
+          condition: { ...condition, requestDomains: bucket.sort() }
+        }
+      });
+    });
+  }
+  compacted.push(...standalone.values());
+
+  // Degrade predictably: sort by retention tier (stable, so list order breaks ties) and
+  // keep rules while every limit still has room.
+  const ranked = compacted
+    .map((entry, order) => ({ entry, order, tier: getRetentionTier(entry.rule) }))
+    .sort((a, b) => a.tier - b.tier || a.order - b.order);
+
+  const kept = [];
+  const dropped = [];
+  let droppedRules = 0;
+  let droppedDomains = 0;
+  let unsafeCount = 0;
+  let regexCount = 0;
+  for (const { entry } of ranked) {
+    const { rule } = entry;
+    const isUnsafe = !SAFE_ACTION_TYPES.has(rule.action.type);
+    const isRegex = Boolean(rule.condition.regexFilter);
+    const fits = kept.length < limits.maxRules &&
+      (!isUnsafe || unsafeCount < limits.maxUnsafeRules) &&
+      (!isRegex || regexCount < limits.maxRegexRules);
+
+    if (fits) {
+      kept.push(entry);
+      if (isUnsafe) unsafeCount++;
+      if (isRegex) regexCount++;
+    } else {
+      droppedRules++;
+      droppedDomains += rule.condition.requestDomains ? rule.condition.requestDomains.length : 0;
+      if (dropped.length < MAX_REPORTED_DROPS) {
+        dropped.push(rule);
+      }
+    }
+  }
+
+  const stats = {
+    inputRules: rules.length,
+    outputRules: kept.length,
+    duplicateDomains,
+    duplicateRules,
+    coveredDomains,
+    droppedRules,
+    droppedDomains
+  };
+  return { entries: kept, stats, dropped };
+}
+
+export { compactRules };
@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * @file AdvaultRuleLinter.js
+ * @description Static analysis of declarativeNetRequest rules.
+ * Flags rules that are dangerously broad or break sites: host wildcards, rules that match a
+ * whole public suffix, blocks of protected domains (YouTube APIs, CDNs, sign-in providers),
+ * duplicate and shadowed rules, and regexes the browser cannot compile.
+ * Findings with severity "error" are used as a gate: such rules are never applied.
+ */
+
+import { CRITICAL_DOMAINS, getAnchoredHosts } from "./AdvaultListVerifier.js";
+
+// Public suffixes that commonly show up in broken filters. Not the full Public Suffix List,
+// which is too large to bundle for this purpose.
+const PUBLIC_SUFFIXES = new Set([
+  "com", "net", "org", "info", "biz", "io", "co", "me", "tv", "app", "dev", "ai",
+  "uk", "co.uk", "org.uk", "de", "fr", "nl", "no", "pl", "cz", "gr", "it", "es", "ru",
+  "jp", "co.jp", "ne.jp", "or.jp", "au", "com.au", "br", "com.br", "tw", "com.tw", "cat", "gg",
+  "google", "goog", "amazon", "globo",
+  "appspot.com", "r.appspot.com", "run.app", "a.run.app", "web.app", "firebaseapp.com",
+  "github.io", "pages.dev", "workers.dev", "netlify.app", "vercel.app", "herokuapp.com",
+  "blogspot.com", "cloudfront.net", "azurewebsites.net"
+]);
+
+// Domains whose blocking breaks the YouTube content script, common sites or signing in.
+const PROTECTED_DOMAINS = [
+  ...CRITICAL_DOMAINS,
+  "youtube-nocookie.com",
+  "googleapis.com",
+  "fonts.googleapis.com",
+  "ajax.googleapis.com",
+  "cdnjs.cloudflare.com",
+  "cdn.jsdelivr.net",
+  "unpkg.com",
+  "code.jquery.com",
+  "login.microsoftonline.com",
+  "login.live.com",
+  "appleid.apple.com",
+  "github.com",
+  "okta.com",
+  "auth0.com"
+];
+
+/**
+ * Extracts the host part of an anchored urlFilter (`||host...`), wildcards included.
+ * @param {string} urlFilter - The urlFilter.
+ * @returns {string|null} The host part, or null for unanchored filters.
+ */
+function getUrlFilterHost(urlFilter) {
+  if (!urlFilter.startsWith("||")) return null;
+  return urlFilter.slice(2).split(/[\^/|?:]/)[0].toLowerCase();
+}
+
+/**
+ * Checks urlFilter wildcards and length.
+ * @param {object} rule - The rule.
+ * @returns {object[]} Findings without rule references.
+ */
+function checkWildcards(rule) {
+  const { urlFilter } = rule.condition;
+  if (!urlFilter) return [];
+
+  const host = getUrlFilterHost(urlFilter);
+  if (host === null) {
+    const literal = urlFilter.replace(/[*^|]/g, "");
+    return literal.length < 4
+      ? [{ severity: "error", code: "overbroad-wildcard", message: `Unanchored filter "${urlFilter}" matches almost any URL` }]
+      : [];
+  }
+
+  const beforeWildcard = host.split("*")[0];
+  if (!beforeWildcard.includes(".")) {
+    return [{ severity: "error", code: "overbroad-wildcard", message: `"${urlFilter}" blocks every host starting with "${beforeWildcard}"` }];
+  }
+  if (/\.\*/.test(host)) {
+    return [{ severity: "error", code: "overbroad-wildcard", message: `"${urlFilter}" puts a wildcard in place of a domain label` }];
+  }
+  if (host.includes("*")) {
+    return [{ severity: "warning", code: "overbroad-wildcard", message: `"${urlFilter}" has a wildcard inside the host name` }];
+  }
+  return [];
+}
+
+/**
+ * Checks for rules that match a whole public suffix or block a protected domain.
+ * @param {object} rule - The rule.
+ * @returns {object[]} Findings without rule references.
+ */
+function checkDomains(rule) {
+  const findings = [];
+  for (const host of getAnchoredHosts(rule)) {
+    if (PUBLIC_SUFFIXES.has(host)) {
+      findings.push({ severity: "error", code: "public-suffix", message: `Rule matches every site under the public suffix ".${host}"` });
+    }
+    if ((rule.action.type === "block" || rule.action.type === "redirect") && !rule.condition.initiatorDomains) {
+      const hit = PROTECTED_DOMAINS.find(protectedDomain => protectedDomain === host || protectedDomain.endsWith(`.${host}`));
+      if (hit) {
+        findings.push({ severity: "error", code: "protected-domain", message: `Rule blocks protected domain "${hit}"` });
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Checks a regexFilter with the browser's RE2 validator, or the JavaScript engine as a fallback.
+ * @param {object} rule - The rule.
+ * @param {function(object): Promise<{isSupported: boolean, reason?: string}>} [isRegexSupported] - Validator.
+ * @returns {Promise<object[]>} Findings without rule references.
+ */
+async function checkRegex(rule, isRegexSupported) {
+  const { regexFilter, isUrlFilterCaseSensitive } = rule.condition;
+  if (!regexFilter) return [];
+
+  if (isRegexSupported) {
+    const result = await isRegexSupported({ regex: regexFilter, isCaseSensitive: Boolean(isUrlFilterCaseSensitive) });
+    return result.isSupported
+      ? []
+      : [{ severity: "error", code: "invalid-regex", message: `Regex /${regexFilter}/ is not supported (${result.reason})` }];
+  }
+  try {
+    new RegExp(regexFilter);
+  } catch (error) {
+    return [{ severity: "error", code: "invalid-regex", message: `Regex /${regexFilter}/ is invalid (${error.message})` }];
+  }
+  // RE2 has no lookarounds or backreferences
+  if (/\(\?<?[=!]|\\[1-9]/.test(regexFilter)) {
+    return [{ severity: "error", code: "invalid-regex", message: `Regex /${regexFilter}/ uses lookarounds or backreferences` }];
+  }
+  return [];
+}
+
+/**
+ * Returns the parts of a rule that decide whether another rule shadows it.
+ * Only rules matching whole hosts with nothing but resource types are considered.
+ * @param {object} rule - The rule.
+ * @returns {{hosts: string[], types: string[], key: string}|null} The shadowing profile, or null.
+ */
+function getShadowProfile(rule) {
+  const { urlFilter, requestDomains, resourceTypes, ...rest } = rule.condition;
+  const isWholeHost = requestDomains || (urlFilter && /^\|\|[a-z0-9.-]+\^$/.test(urlFilter));
+  if (!isWholeHost || Object.keys(rest).length > 0) return null;
+  return {
+    hosts: getAnchoredHosts(rule),
+    types: resourceTypes || [],
+    key: `${rule.action.type}/${rule.priority || 1}`
+  };
+}
+
+/**
+ * Finds exact duplicates and rules that a broader rule with the same action already covers.
+ * @param {object[]} rules - The rules.
+ * @returns {object[]} Findings with rule indexes.
+ */
+function checkDuplicatesAndShadowing(rules) {
+  const findings = [];
+  const seen = new Map();
+  const hostIndex = new Map(); // "<action>/<priority> <host>" -> [{ index, types }]
+
+  rules.forEach((rule, index) => {
+    const { id, ...content } = rule;
+    const signature = JSON.stringify(content);
+    if (seen.has(signature)) {
+      findings.push({ index, severity: "warning", code: "duplicate", message: `Duplicate of rule #${rules[seen.get(signature)].id ?? seen.get(signature)}` });
+    } else {
+      seen.set(signature, index);
+    }
+
+    const profile = getShadowProfile(rule);
+    if (!profile) return;
+    for (const host of profile.hosts) {
+      const key = `${profile.key} ${host}`;
+      if (!hostIndex.has(key)) hostIndex.set(key, []);
+      hostIndex.get(key).push({ index, types: profile.types });
+    }
+  });
+
+  rules.forEach((rule, index) => {
+    const profile = getShadowProfile(rule);
+    if (!profile) return;
+    for (const host of profile.hosts) {
+      let parent = host;
+      while (parent.includes(".")) {
+        parent = parent.slice(parent.indexOf(".") + 1);
+        const covering = (hostIndex.get(`${profile.key} ${parent}`) || [])
+          .find(entry => entry.index !== index && profile.types.every(type => entry.types.includes(type)));
+        if (covering) {
+          findings.push({ index, severity: "warning", code: "shadowed", message: `"${host}" is already covered by the rule for "${parent}"` });
+          break;
+        }
+      }
+    }
+  });
+  return findings;
+}
+
+/**
+ * Lints a set of rules.
+ * @param {object[]} rules - declarativeNetRequest rules, with or without ids.
+ * @param {{isRegexSupported?: function(object): Promise<object>}} [options] - Pass
+ * `chrome.declarativeNetRequest.isRegexSupported` where it is available.
+ * @returns {Promise<{index: number, severity: string, code: string, message: string}[]>} The findings,
+ * each pointing at a rule by its index in `rules`.
+ */
+async function lintRules(rules, { isRegexSupported } = {}) {
+  const findings = [];
+  for (const [index, rule] of rules.entries()) {
+    const ruleFindings = [
+      ...checkWildcards(rule),
+      ...checkDomains(rule),
+      ...await checkRegex(rule, isRegexSupported)
+    ];
+    findings.push(...ruleFindings.map(finding => ({ index, ...finding })));
+  }
+  findings.push(...checkDuplicatesAndShadowing(rules));
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Removes the rules that have at least one error finding.
+ * @param {object[]} rules - The linted rules.
+ * @param {object[]} findings - The findings of `lintRules`.
+ * @returns {{rules: object[], rejected: object[]}} The rules that pass the gate and the rejected ones.
+ */
+function applyLintGate(rules, findings) {
+  const failing = new Set(findings.filter(finding => finding.severity === "error").map(finding => finding.index));
+  return {
+    rules: rules.filter((rule, index) => !failing.has(index)),
+    rejected: rules.filter((rule, index) => failing.has(index))
+  };
+}
+
+export { applyLintGate, lintRules };
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * @file AdvaultRuleUpdater.js
+ * @description Incremental dynamic rule updates for Advault's background worker.
+ * Each rule source owns a range of dynamic rule ids. Rules are identified by a stable key,
+ * so an unchanged rule keeps its id and is never touched; only added, changed and removed
+ * rules go through `updateDynamicRules`. A failed update restores the previous rule set.
+ */
+
+/**
+ * @typedef {object} RuleScope
+ * @property {number} firstId - The first dynamic rule id owned by the source.
+ * @property {number} lastId - The last dynamic rule id owned by the source.
+ * @property {string} storageKey - Where the key-to-id map and rule signatures are kept.
+ */
+
+/**
+ * Loads the dynamic rules that belong to a scope.
+ * @param {RuleScope} scope - The rule scope.
+ * @returns {Promise<object[]>} The rules currently applied in the scope's id range.
+ */
+async function getScopeRules(scope) {
+  const rules = await chrome.declarativeNetRequest.getDynamicRules();
+  return rules.filter(rule => rule.id >= scope.firstId && rule.id <= scope.lastId);
+}
+
+/**
+ * Puts a scope back to a previous snapshot after a failed update.
+ * @param {object[]} snapshot - The rules that were applied before the update.
+ * @param {RuleScope} scope - The rule scope.
+ */
+async function restoreScopeRules(snapshot, scope) {
+  const currentRules = await getScopeRules(scope);
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: currentRules.map(rule => rule.id),
+    addRules: snapshot
+  });
+}
+
+/**
+ * Applies a keyed rule set to a scope, only adding, replacing and removing what changed.
+ * @param {{key: string, rule: object}[]} entries - The desired rules (without ids) and their stable keys.
+ * @param {RuleScope} scope - The rule scope.
+ * @returns {Promise<{added: number, replaced: number, removed: number, unchanged: number}>} What the
+ * update changed.
+ * @throws {Error} If the update fails. The previous rules are restored first.
+ */
+async function applyRuleSet(entries, scope) {
+  const stored = await chrome.storage.local.get(scope.storageKey);
+  const state = stored[scope.storageKey] || { ids: {}, signatures: {} };
+  const snapshot = await getScopeRules(scope);
+  const appliedIds = new Set(snapshot.map(rule => rule.id));
+
+  // Known keys keep their id; new keys take the lowest free id in the range.
+  const ids = {};
+  const usedIds = new Set();
+  for (const { key } of entries) {
+    if (state.ids[key] !== undefined) {
+      ids[key] = state.ids[key];
+      usedIds.add(ids[key]);
+    }
+  }
+  let nextId = scope.firstId;
+  for (const { key } of entries) {
+    if (ids[key] !== undefined) continue;
+    while (usedIds.has(nextId)) nextId++;
+    if (nextId > scope.lastId) {
+      throw new Error(`No free dynamic rule ids left in ${scope.firstId}-${scope.lastId}.`);
+    }
+    ids[key] = nextId;
+    usedIds.add(nextId);
+  }
+
+  const signatures = {};
+  const removeRuleIds = [];
+  const addRules = [];
+  let unchanged = 0;
+  let replaced = 0;
+  for (const { key, rule } of entries) {
+    const id = ids[key];
+    const signature = JSON.stringify(rule);
+    signatures[id] = signature;
+    if (appliedIds.has(id) && state.signatures[id] === signature) {
+      unchanged++;
+      continue;
+    }
+    if (appliedIds.has(id)) {
+      removeRuleIds.push(id); // Replaced in place, keeps its id
+      replaced++;
+    }
+    addRules.push({ id, ...rule });
+  }
+  for (const id of appliedIds) {
+    if (!usedIds.has(id)) {
+      removeRuleIds.push(id);
+    }
+  }
+
+  if (removeRuleIds.length > 0 || addRules.length > 0) {
+    try {
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+    } catch (error) {
+      console.error("Dynamic rule update failed, restoring the previous rules:", error);
+      await restoreScopeRules(snapshot, scope);
+      throw error;
+    }
+  }
+  await chrome.storage.local.set({ [scope.storageKey]: { ids, signatures } });
+
+  return {
+    added: addRules.length - replaced,
+    replaced,
+    removed: removeRuleIds.length - replaced,
+    unchanged
+  };
+}
+
+export { applyRuleSet, getScopeRules };
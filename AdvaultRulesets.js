@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * @file AdvaultRulesets.js
+ * @description Runtime control of the static rulesets compiled by tools/compile-rulesets.mjs.
+ * Rulesets are grouped into categories by their id (`<category>_partN`), so a whole category
+ * is switched on or off at once. The user's choice is stored and re-applied after updates,
+ * because Chrome resets enabled rulesets to the manifest defaults when the extension updates.
+ */
+
+const CATEGORY_PREFERENCES_STORAGE_KEY = "rulesetCategories"; // { [category]: boolean }
+
+/**
+ * Groups the manifest's static rulesets by category.
+ * @returns {Map<string, {rulesetIds: string[], enabledByDefault: boolean}>} The categories in manifest order.
+ */
+function getManifestCategories() {
+  const categories = new Map();
+  const resources = chrome.runtime.getManifest().declarative_net_request?.rule_resources || [];
+  for (const resource of resources) {
+    const category = resource.id.replace(/_part\d+$/, "");
+    if (!categories.has(category)) {
+      categories.set(category, { rulesetIds: [], enabledByDefault: resource.enabled });
+    }
+    categories.get(category).rulesetIds.push(resource.id);
+  }
+  return categories;
+}
+
+/**
+ * Lists the ruleset categories with their current state.
+ * @returns {Promise<{category: string, rulesetIds: string[], enabled: boolean}[]>} The categories.
+ */
+async function getRulesetCategories() {
+  const enabledRulesets = new Set(await chrome.declarativeNetRequest.getEnabledRulesets());
+  return [...getManifestCategories()].map(([category, { rulesetIds }]) => ({
+    category,
+    rulesetIds,
+    enabled: rulesetIds.every(id => enabledRulesets.has(id))
+  }));
+}
+
+/**
+ * Turns ruleset categories on and off and remembers the choice.
+ * @param {{enable?: string[], disable?: string[]}} changes - The categories to switch.
+ * @returns {Promise<object[]>} The categories with their new state.
+ * @throws {Error} If a category is not declared in the manifest.
+ */
+async function updateEnabledRulesets({ enable = [], disable = [] }) {
+  const categories = getManifestCategories();
+  const rulesetIdsOf = category => {
+    if (!categories.has(category)) {
+      throw new Error(`Unknown ruleset category: ${category}`);
+    }
+    return categories.get(category).rulesetIds;
+  };
+
+  await chrome.declarativeNetRequest.updateEnabledRulesets({
+    enableRulesetIds: enable.flatMap(rulesetIdsOf),
+    disableRulesetIds: disable.flatMap(rulesetIdsOf)
+  });
+
+  const data = await chrome.storage.local.get(CATEGORY_PREFERENCES_STORAGE_KEY);
+  const preferences = data[CATEGORY_PREFERENCES_STORAGE_KEY] || {};
+  enable.forEach(category => { preferences[category] = true; });
+  disable.forEach(category => { preferences[category] = false; });
+  await chrome.storage.local.set({ [CATEGORY_PREFERENCES_STORAGE_KEY]: preferences });
+
+  return getRulesetCategories();
+}
+
+/**
+ * Re-applies the stored category choices, e.g. after an extension update.
+ * Categories that no longer exist in the manifest are ignored.
+ */
+async function restoreRulesetPreferences() {
+  const data = await chrome.storage.local.get(CATEGORY_PREFERENCES_STORAGE_KEY);
+  const preferences = data[CATEGORY_PREFERENCES_STORAGE_KEY] || {};
+  const categories = getManifestCategories();
+  const known = Object.keys(preferences).filter(category => categories.has(category));
+  await updateEnabledRulesets({
+    enable: known.filter(category => preferences[category]),
+    disable: known.filter(category => !preferences[category])
+  });
+}
+
+export { getRulesetCategories, restoreRulesetPreferences, updateEnabledRulesets };
@@ -0,0 +1,438 @@
+'use strict';
+
+/**
+ * @file AdvaultScriptlets.js
+ * @description Scriptlet injection for Advault's background worker.
+ * Scriptlets are small parameterised functions run in a page's MAIN world before its own scripts,
+ * e.g. to neutralise a property an ad or adblock-detection script relies on. They are enabled per site
+ * by `example.com##+js(name, args...)` filters from the lists and the user's filters, and by the
+ * experiment flags and `scriptlets` entries of the YouTube config (see AdvaultYouTubeConfig.js).
+ *
+ * To run before inline scripts, the scriptlets of every site are registered as MAIN world scripts that run at
+ * `document_start`, and registered again whenever the filters or the allowlist change. This needs the
+ * userScripts API: `chrome.scripting.registerContentScripts` only takes files, and the scriptlets' arguments
+ * come from the filters. Until the user allows user scripts for the extension, each frame gets its scriptlets
+ * injected when it commits instead, which can be too late for a page's first scripts.
+ */
+
+import { getAllowlist, isAllowlisted } from "./AdvaultAllowlist.js";
+
+const SCRIPTLET_FILTERS_STORAGE_KEY = "scriptletFilters"; // { [source]: ScriptletFilter[] }
+
+// Names of the scriptlets runScriptlets() implements
+const SCRIPTLET_NAMES = [
+  "abort-on-property-read",
+  "json-prune",
+  "no-setTimeout-if",
+  "override-ytcfg-flag",
+  "set-constant"
+];
+
+// Sites the YouTube config applies to
+const YTP_HOSTNAMES = ["youtube.com", "youtube-nocookie.com"];
+
+const USER_SCRIPT_ID_PREFIX = "scriptlets:";
+
+// Hostnames a match pattern can be built from; entity filters such as `example.*` can't be registered
+const SITE_PATTERN = /^[a-z0-9_-]+(?:\.[a-z0-9_-]+)*$/;
+
+// Cached copy of the stored filters; reloaded on first use after the worker starts
+let scriptletFilters = null;
+
+// Registrations run one after another, so the last filters always win
+let registrationQueue = Promise.resolve();
+
+/**
+ * @typedef {object} ScriptletFilter
+ * @property {string[]} hostnames - Sites the scriptlet runs on, subdomains included.
+ * @property {string[]} excludedHostnames - Sites it does not run on.
+ * @property {string|null} name - The scriptlet; null in an exception that turns off every scriptlet.
+ * @property {string[]} args - The scriptlet's arguments.
+ * @property {boolean} exception - True for `#@#+js(...)` filters.
+ */
+
+/**
+ * Loads the filters of every source.
+ * @returns {Promise<Object<string, ScriptletFilter[]>>} The filters by source.
+ */
+async function loadScriptletFilters() {
+  if (!scriptletFilters) {
+    const data = await chrome.storage.local.get(SCRIPTLET_FILTERS_STORAGE_KEY);
+    scriptletFilters = data[SCRIPTLET_FILTERS_STORAGE_KEY] || {};
+  }
+  return scriptletFilters;
+}
+
+/**
+ * Replaces the filters of one source.
+ * @param {string} source - The source: "lists", "custom" or "ytp".
+ * @param {ScriptletFilter[]} filters - The filters.
+ */
+async function setScriptletFilters(source, filters) {
+  const stored = { ...await loadScriptletFilters(), [source]: filters };
+  await chrome.storage.local.set({ [SCRIPTLET_FILTERS_STORAGE_KEY]: stored });
+  scriptletFilters = stored;
+  await updateScriptletRegistration()
+    .catch(error => console.error("Could not register the scriptlets:", error));
+}
+
+/**
+ * Turns the YouTube config into scriptlet filters: every entry of `flags` becomes an
+ * `override-ytcfg-flag` scriptlet, and the `scriptlets` array (`{name, args, hostnames?}`) adds others.
+ * @param {object} config - The validated YouTube config.
+ * @returns {ScriptletFilter[]} The filters; none if the config is disabled.
+ */
+function buildYtpScriptletFilters(config) {
+  if (!config || config.enabled === false) return [];
+  const filters = [];
+  for (const [flag, value] of Object.entries(config.flags || {})) {
+    filters.push({
+      hostnames: YTP_HOSTNAMES,
+      excludedHostnames: [],
+      name: "override-ytcfg-flag",
+      args: [flag, String(value)],
+      exception: false
+    });
+  }
+  for (const entry of Array.isArray(config.scriptlets) ? config.scriptlets : []) {
+    if (!SCRIPTLET_NAMES.includes(entry.name)) {
+      console.warn(`The YouTube config names an unknown scriptlet: ${entry.name}`);
+      continue;
+    }
+    filters.push({
+      hostnames: Array.isArray(entry.hostnames) ? entry.hostnames : YTP_HOSTNAMES,
+      excludedHostnames: [],
+      name: entry.name,
+      args: (entry.args || []).map(String),
+      exception: false
+    });
+  }
+  return filters;
+}
+
+/**
+ * Checks whether a hostname is one of the sites, or a subdomain of one.
+ * @param {string} hostname - The page hostname.
+ * @param {string[]} sites - The sites.
+ * @returns {boolean} True if it matches.
+ */
+function matchesSite(hostname, sites) {
+  return sites.some(site => hostname === site || hostname.endsWith(`.${site}`));
+}
+
+/**
+ * Collects the scriptlets to run on a site, without duplicates and minus the exceptions.
+ * @param {string} hostname - The page hostname.
+ * @returns {Promise<{name: string, args: string[]}[]>} The scriptlets.
+ */
+async function getScriptletsForHost(hostname) {
+  const filters = Object.values(await loadScriptletFilters()).flat()
+    .filter(filter => matchesSite(hostname, filter.hostnames) && !matchesSite(hostname, filter.excludedHostnames));
+
+  const exceptions = filters.filter(filter => filter.exception);
+  if (exceptions.some(filter => filter.name === null)) return [];
+  const excepted = new Set(exceptions.map(filter => JSON.stringify([filter.name, ...filter.args])));
+
+  const scriptlets = new Map();
+  for (const filter of filters) {
+    const key = JSON.stringify([filter.name, ...filter.args]);
+    if (!filter.exception && !excepted.has(key)) {
+      scriptlets.set(key, { name: filter.name, args: filter.args });
+    }
+  }
+  return [...scriptlets.values()];
+}
+
+/**
+ * The scriptlet library. Runs in the page's MAIN world, so it must not use anything from
+ * outside its own body. Scriptlets that throw are logged and skipped.
+ * @param {{name: string, args: string[]}[]} scriptlets - The scriptlets to run.
+ */
+function runScriptlets(scriptlets) {
+  const LOG_PREFIX = "[Advault scriptlets]";
+
+  // Values `set-constant` accepts, as in uBlock Origin
+  const constants = {
+    "undefined": undefined,
+    "null": null,
+    "true": true,
+    "false": false,
+    "''": "",
+    "emptyStr": "",
+    "emptyArr": [],
+    "emptyObj": {},
+    "noopFunc": function() {},
+    "trueFunc": function() { return true; },
+    "falseFunc": function() { return false; }
+  };
+
+  const parseConstant = raw => {
+    if (raw in constants) return constants[raw];
+    if (/^-?\d+$/.test(raw) && Math.abs(Number(raw)) <= 0x7FFF) return Number(raw);
+    throw new Error(`unsupported value "${raw}"`);
+  };
+
+  const parseNeedle = needle => {
+    const regex = /^\/(.+)\/([gimsu]*)$/.exec(needle);
+    return regex ? new RegExp(regex[1], regex[2]) : { test: text => text.includes(needle) };
+  };
+
+  // Calls onLeaf(owner, property) for the last link of a property chain like `a.b.c`,
+  // waiting for missing intermediate objects to be assigned.
+  const trapChain = (owner, chain, onLeaf) => {
+    const [property, ...rest] = chain;
+    if (rest.length === 0) {
+      onLeaf(owner, property);
+      return;
+    }
+    let value = owner[property];
+    if (value instanceof Object) {
+      trapChain(value, rest, onLeaf);
+      return;
+    }
+    Object.defineProperty(owner, property, {
+      configurable: true,
+      get: () => value,
+      set: newValue => {
+        value = newValue;
+        if (newValue instanceof Object) trapChain(newValue, rest, onLeaf);
+      }
+    });
+  };
+
+  // Deletes `a.b.c` paths from an object; `[]` stands for every item of an array or object.
+  const deletePath = (object, parts) => {
+    if (!(object instanceof Object)) return false;
+    const [part, ...rest] = parts;
+    if (part === "[]") {
+      return Object.values(object).map(child => rest.length > 0 && deletePath(child, rest)).some(Boolean);
+    }
+    if (!(part in object)) return false;
+    if (rest.length === 0) {
+      delete object[part];
+      return true;
+    }
+    return deletePath(object[part], rest);
+  };
+
+  const hasPath = (object, parts) => {
+    if (parts.length === 0) return true;
+    if (!(object instanceof Object)) return false;
+    const [part, ...rest] = parts;
+    return part === "[]"
+      ? Object.values(object).some(child => hasPath(child, rest))
+      : part in object && hasPath(object[part], rest);
+  };
+
+  // Flags of all override-ytcfg-flag scriptlets, applied by one hook on ytcfg
+  const ytcfgFlags = {};
+  let ytcfgHooked = false;
+  const applyYtcfgFlags = config => {
+    if (config && config.EXPERIMENT_FLAGS instanceof Object) Object.assign(config.EXPERIMENT_FLAGS, ytcfgFlags);
+  };
+  const hookYtcfg = ytcfg => {
+    applyYtcfgFlags(ytcfg.data_);
+    let set = ytcfg.set;
+    const wrappedSet = function(...args) {
+      const result = set.apply(this, args);
+      applyYtcfgFlags(ytcfg.data_);
+      return result;
+    };
+    Object.defineProperty(ytcfg, "set", {
+      configurable: true,
+      get: () => set && wrappedSet,
+      set: fn => { set = fn; }
+    });
+  };
+
+  const library = {
+    "set-constant": (chain, rawValue = "") => {
+      const value = parseConstant(rawValue);
+      trapChain(window, chain.split("."), (owner, property) => {
+        Object.defineProperty(owner, property, { configurable: true, get: () => value, set: () => {} });
+      });
+    },
+
+    "abort-on-property-read": chain => {
+      const message = `${LOG_PREFIX} blocked read of ${chain}`;
+      trapChain(window, chain.split("."), (owner, property) => {
+        Object.defineProperty(owner, property, {
+          configurable: true,
+          get: () => { throw new ReferenceError(message); },
+          set: () => {}
+        });
+      });
+    },
+
+    "json-prune": (propsToRemove = "", requiredProps = "") => {
+      const removePaths = propsToRemove.split(/\s+/).filter(Boolean).map(path => path.split("."));
+      const requiredPaths = requiredProps.split(/\s+/).filter(Boolean).map(path => path.split("."));
+      const prune = object => {
+        if (object instanceof Object && requiredPaths.every(parts => hasPath(object, parts))) {
+          removePaths.forEach(parts => deletePath(object, parts));
+        }
+        return object;
+      };
+      const nativeParse = JSON.parse;
+      JSON.parse = function(...args) {
+        return prune(nativeParse.apply(this, args));
+      };
+      const nativeJson = Response.prototype.json;
+      Response.prototype.json = function(...args) {
+        return nativeJson.apply(this, args).then(prune);
+      };
+    },
+
+    "override-ytcfg-flag": (flag, rawValue = "false") => {
+      const numeric = /^-?\d+(?:\.\d+)?$/.test(rawValue);
+      ytcfgFlags[flag] = rawValue === "true" ? true : rawValue === "false" ? false : numeric ? Number(rawValue) : rawValue;
+      if (ytcfgHooked) return;
+      ytcfgHooked = true;
+      trapChain(window, ["ytcfg", "set"], owner => hookYtcfg(owner));
+    },
+
+    "no-setTimeout-if": (needle = "", delay = "") => {
+      const negateNeedle = needle.startsWith("!");
+      const matcher = parseNeedle(negateNeedle ? needle.slice(1) : needle);
+      const negateDelay = delay.startsWith("!");
+      const delayValue = delay === "" ? null : Number(negateDelay ? delay.slice(1) : delay);
+      window.setTimeout = new Proxy(window.setTimeout, {
+        apply(target, thisArg, args) {
+          const [callback, ms] = args;
+          const needleMatches = matcher.test(String(callback)) !== negateNeedle;
+          const delayMatches = delayValue === null || (Number(ms) === delayValue) !== negateDelay;
+          if (needleMatches && delayMatches) {
+            args[0] = function() {};
+          }
+          return Reflect.apply(target, thisArg, args);
+        }
+      });
+    }
+  };
+
+  for (const { name, args } of scriptlets) {
+    try {
+      library[name](...args);
+    } catch (error) {
+      console.warn(`${LOG_PREFIX} ${name}(${args.join(", ")}) failed:`, error);
+    }
+  }
+}
+
+/**
+ * Tells whether the userScripts API can be used; the user has to allow user scripts for the extension first.
+ * @returns {boolean} True if scriptlets can be registered.
+ */
+function isUserScriptsAvailable() {
+  try {
+    // Throws while user scripts are not allowed
+    chrome.userScripts.getScripts();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Builds the match patterns of a site and its subdomains.
+ * @param {string} site - The site hostname.
+ * @returns {string[]} The match patterns.
+ */
+function getSitePatterns(site) {
+  return [`*://${site}/*`, `*://*.${site}/*`];
+}
+
+/**
+ * Builds the user scripts that run the scriptlets of every site. Sites with the same scriptlets share a
+ * script. A subdomain with filters of its own (an exception, say) is left out of its parent's script and
+ * gets the scriptlets worked out for it, and allowlisted sites are left out of every script.
+ * @param {string[]} allowlist - The allowlisted sites.
+ * @returns {Promise<object[]>} The user scripts to register.
+ */
+async function buildScriptletUserScripts(allowlist) {
+  const filters = Object.values(await loadScriptletFilters()).flat();
+  const sites = new Set();
+  for (const filter of filters) {
+    for (const hostname of [...filter.hostnames, ...filter.excludedHostnames]) {
+      if (SITE_PATTERN.test(hostname)) sites.add(hostname);
+    }
+  }
+
+  const groups = new Map();
+  for (const site of sites) {
+    const scriptlets = await getScriptletsForHost(site);
+    if (scriptlets.length === 0) continue;
+    const key = JSON.stringify(scriptlets);
+    if (!groups.has(key)) groups.set(key, { scriptlets, sites: [] });
+    groups.get(key).sites.push(site);
+  }
+
+  const allowlisted = allowlist.flatMap(getSitePatterns);
+  return [...groups.values()].map((group, index) => {
+    const ownSubdomains = [...sites].filter(other => !group.sites.includes(other)
+      && group.sites.some(site => other.endsWith(`.${site}`)));
+    return {
+      id: `${USER_SCRIPT_ID_PREFIX}${index}`,
+      matches: group.sites.flatMap(getSitePatterns),
+      excludeMatches: [...allowlisted, ...ownSubdomains.flatMap(getSitePatterns)],
+      js: [{ code: `(${runScriptlets})(${JSON.stringify(group.scriptlets)});` }],
+      world: "MAIN",
+      runAt: "document_start",
+      allFrames: true
+    };
+  });
+}
+
+/**
+ * Registers the scriptlets of every site again, after the filters or the allowlist changed.
+ * @returns {Promise<boolean>} False if user scripts are not allowed, and frames get their scriptlets when they commit.
+ */
+function updateScriptletRegistration() {
+  const run = registrationQueue.then(async () => {
+    if (!isUserScriptsAvailable()) return false;
+    const scripts = await buildScriptletUserScripts(await getAllowlist());
+    const ids = (await chrome.userScripts.getScripts())
+      .map(script => script.id)
+      .filter(id => id.startsWith(USER_SCRIPT_ID_PREFIX));
+    if (ids.length > 0) await chrome.userScripts.unregister({ ids });
+    if (scripts.length > 0) await chrome.userScripts.register(scripts);
+    console.log(`Registered the scriptlets of ${scripts.reduce((sum, script) => sum + script.matches.length / 2, 0)} sites.`);
+    return true;
+  });
+  registrationQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Runs the scriptlets of a frame's site in its MAIN world, unless they are registered as user scripts.
+ * Frames of allowlisted sites and non-web pages are left alone.
+ * @param {{tabId: number, frameId: number, url: string}} frame - The committed frame.
+ * @returns {Promise<number>} The number of scriptlets injected.
+ */
+async function applyScriptlets({ tabId, frameId, url }) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") return 0;
+  if (isUserScriptsAvailable()) return 0;
+  if (await isAllowlisted(hostname)) return 0;
+
+  const scriptlets = await getScriptletsForHost(hostname);
+  if (scriptlets.length === 0) return 0;
+  await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    world: "MAIN",
+    injectImmediately: true,
+    func: runScriptlets,
+    args: [scriptlets]
+  });
+  return scriptlets.length;
+}
+
+export {
+  SCRIPTLET_NAMES,
+  YTP_HOSTNAMES,
+  applyScriptlets,
+  buildYtpScriptletFilters,
+  matchesSite,
+  setScriptletFilters,
+  updateScriptletRegistration
+};
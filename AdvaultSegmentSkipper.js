@@ -0,0 +1,327 @@
+'use strict';
+
+/**
+ * @file AdvaultSegmentSkipper.js
+ * @description Skips segments of YouTube videos, such as sponsor reads and intros, for the YouTube content script.
+ * Segments come from the local store of the background worker (see AdvaultSegments.js), keyed by video ID.
+ * Depending on the settings a segment is skipped when playback reaches it, or a skip button is shown while
+ * it plays. Only the categories turned on in the settings count, and channels the user excluded are left alone.
+ * A button in the player's controls lets the user mark a segment: one click at its start, one at its end.
+ */
+
+import { Advault } from './AdvaultDOM.js';
+import { DEFAULT_SETTINGS } from './AdvaultSettings.js';
+import { isAdPlaying } from './AdvaultAdSkipper.js';
+
+const SEGMENT_CATEGORY_LABELS = {
+    sponsor: 'Sponsor',
+    selfpromo: 'Self-promotion',
+    interaction: 'Interaction reminder',
+    intro: 'Intro',
+    outro: 'Outro',
+    preview: 'Preview',
+    filler: 'Filler'
+};
+
+// A segment is only skipped if more than this much of it is left, so a skip never lands just short of its end
+const SKIP_END_MARGIN_SECONDS = 0.5;
+
+const SEGMENT_STYLE_ID = 'advault-segment-style';
+const SEGMENT_STYLES = `
+    .advault-segment-panel {
+        position: absolute;
+        right: 12px;
+        bottom: 64px;
+        z-index: 70;
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        max-width: 60%;
+        padding: 6px;
+        background: rgba(0, 0, 0, 0.75);
+        border-radius: 4px;
+        font: 13px Arial, sans-serif;
+    }
+    .advault-segment-panel button {
+        padding: 4px 8px;
+        color: #fff;
+        background: rgba(255, 255, 255, 0.15);
+        border: 1px solid rgba(255, 255, 255, 0.4);
+        border-radius: 3px;
+        cursor: pointer;
+    }
+    .advault-segment-mark {
+        width: auto;
+        padding: 0 8px;
+        font: 12px Arial, sans-serif;
+    }
+`;
+
+let segmentSettings = DEFAULT_SETTINGS.segments;
+let running = false;
+let currentVideoId = null;
+let videoElement = null;
+let segments = [];
+let skippedSegments = new WeakSet();
+let channelExcluded = null;
+let promptPanel = null;
+let markButton = null;
+let markStart = null;
+
+/**
+ * Sends a message to the background script.
+ * @param {string} type - The message type.
+ * @param {object} [payload] - Additional message fields.
+ * @returns {Promise<*>} The handler's result.
+ * @throws {Error} If the handler failed.
+ */
+async function sendMessage(type, payload = {}) {
+    const response = await chrome.runtime.sendMessage({ type, ...payload });
+    if (!response || !response.ok) {
+        throw new Error(response ? response.error : 'No response from the background script');
+    }
+    return response.result;
+}
+
+/**
+ * Reads the channel of the video being watched from the page: its handle or its channel id.
+ * @returns {string|null} The channel, or null if the page does not show it.
+ */
+function getChannelId() {
+    const ownerLink = Advault.query('ytd-video-owner-renderer a[href]');
+    const path = ownerLink ? new URL(ownerLink.href, location.href).pathname : '';
+    const match = /^\/(@[\w.-]+|channel\/(UC[\w-]{22}))/.exec(path);
+    if (match) return match[2] || match[1];
+    const meta = Advault.query('meta[itemprop="channelId"]');
+    return meta ? Advault.DOM.attr(meta, 'content') : null;
+}
+
+/**
+ * Tells whether the user excluded the channel of the video. Looked up once per video, when the
+ * first segment is reached, because YouTube updates the owner after in-page navigation.
+ * @returns {boolean} True if segments of this video are left alone.
+ */
+function isChannelExcluded() {
+    if (channelExcluded === null) {
+        const channel = getChannelId();
+        channelExcluded = Boolean(channel) && segmentSettings.excludedChannels.includes(channel);
+        if (channelExcluded) {
+            console.log(`[Advault AdvaultSegmentSkipper.js] Not skipping segments of excluded channel ${channel}.`);
+        }
+    }
+    return channelExcluded;
+}
+
+/**
+ * Adds the style sheet of the skip button and the mark button, once.
+ */
+function addSegmentStyles() {
+    if (document.getElementById(SEGMENT_STYLE_ID)) return;
+    const style = Advault.DOM.create('style');
+    Advault.DOM.attr(style, 'id', SEGMENT_STYLE_ID);
+    Advault.DOM.text(style, SEGMENT_STYLES);
+    document.documentElement.append(style);
+}
+
+/**
+ * Shows a panel of buttons over the player, replacing the one shown before.
+ * @param {{label: string, onClick: function(): void}[]} buttons - The buttons.
+ */
+function showPanel(buttons) {
+    hidePanel();
+    const player = videoElement && videoElement.closest('.html5-video-player');
+    if (!player) return;
+    addSegmentStyles();
+    promptPanel = Advault.DOM.create('div');
+    Advault.DOM.attr(promptPanel, 'class', 'advault-segment-panel');
+    for (const { label, onClick } of buttons) {
+        const button = Advault.DOM.create('button');
+        Advault.DOM.attr(button, 'type', 'button');
+        Advault.DOM.text(button, label);
+        Advault.DOM.on(button, 'click', event => {
+            event.stopPropagation();
+            onClick();
+        }, false);
+        promptPanel.append(button);
+    }
+    player.append(promptPanel);
+}
+
+/**
+ * Removes the panel over the player.
+ */
+function hidePanel() {
+    if (promptPanel) Advault.DOM.remove(promptPanel);
+    promptPanel = null;
+}
+
+/**
+ * Skips a segment.
+ * @param {object} segment - The segment.
+ */
+function skipSegment(segment) {
+    skippedSegments.add(segment);
+    videoElement.currentTime = segment.end;
+    hidePanel();
+    console.log(`[Advault AdvaultSegmentSkipper.js] Skipped ${segment.category} segment ${segment.start}s–${segment.end}s of video ${currentVideoId}.`);
+}
+
+/**
+ * Acts on the segment at the current playback position, on every `timeupdate` of the video.
+ */
+function checkSegments() {
+    if (!running || !videoElement || markStart !== null) return;
+    const player = videoElement.closest('.html5-video-player');
+    const time = videoElement.currentTime;
+    const segment = isAdPlaying(player)
+        ? null
+        : segments.find(entry => time >= entry.start && time < entry.end - SKIP_END_MARGIN_SECONDS);
+
+    if (!segment || skippedSegments.has(segment) || isChannelExcluded()) {
+        if (promptPanel && promptPanel.dataset.segment !== undefined) hidePanel();
+        return;
+    }
+    if (segmentSettings.mode === 'skip') {
+        skipSegment(segment);
+    } else if (!promptPanel || promptPanel.dataset.segment !== String(segment.start)) {
+        showPanel([{ label: `Skip ${SEGMENT_CATEGORY_LABELS[segment.category].toLowerCase()} ⏭`, onClick: () => skipSegment(segment) }]);
+        if (promptPanel) promptPanel.dataset.segment = String(segment.start);
+    }
+}
+
+/**
+ * Keeps the segments of the enabled categories.
+ * @param {object[]} stored - The video's stored segments.
+ */
+function setSegments(stored) {
+    segments = stored.filter(segment => segmentSettings.categories[segment.category]);
+}
+
+/**
+ * Handles the mark button: the first click marks the start of a segment, the second its end,
+ * after which the user picks the segment's category.
+ */
+function onMarkClick() {
+    if (!videoElement || !currentVideoId) return;
+    if (markStart === null) {
+        markStart = videoElement.currentTime;
+        Advault.DOM.text(markButton, '] End');
+        Advault.DOM.attr(markButton, 'title', 'Advault: mark the end of the segment');
+        return;
+    }
+
+    const start = Math.min(markStart, videoElement.currentTime);
+    const end = Math.max(markStart, videoElement.currentTime);
+    const videoId = currentVideoId;
+    resetMarkButton();
+    if (end - start < 1) {
+        console.warn('[Advault AdvaultSegmentSkipper.js] The marked segment is shorter than a second, ignoring it.');
+        return;
+    }
+    showPanel([
+        ...Object.keys(SEGMENT_CATEGORY_LABELS).map(category => ({
+            label: SEGMENT_CATEGORY_LABELS[category],
+            onClick: async () => {
+                hidePanel();
+                try {
+                    const stored = await sendMessage('addSegment', { videoId, segment: { start, end, category } });
+                    if (videoId === currentVideoId) setSegments(stored);
+                    console.log(`[Advault AdvaultSegmentSkipper.js] Saved ${category} segment ${start}s–${end}s of video ${videoId}.`);
+                } catch (error) {
+                    console.error('[Advault AdvaultSegmentSkipper.js] Could not save the segment:', error);
+                }
+            }
+        })),
+        { label: 'Cancel', onClick: hidePanel }
+    ]);
+}
+
+/**
+ * Puts the mark button back in its first state.
+ */
+function resetMarkButton() {
+    markStart = null;
+    if (!markButton) return;
+    Advault.DOM.text(markButton, '[ Mark');
+    Advault.DOM.attr(markButton, 'title', 'Advault: mark the start of a segment to skip');
+}
+
+/**
+ * Adds the mark button to the player's controls, once per player.
+ */
+function addMarkButton() {
+    const controls = videoElement && videoElement.closest('.html5-video-player')
+        ?.querySelector('.ytp-right-controls');
+    if (!controls || (markButton && controls.contains(markButton))) return;
+    addSegmentStyles();
+    markButton = Advault.DOM.create('button');
+    Advault.DOM.attr(markButton, 'class', 'ytp-button advault-segment-mark');
+    Advault.DOM.attr(markButton, 'type', 'button');
+    resetMarkButton();
+    Advault.DOM.on(markButton, 'click', onMarkClick, false);
+    controls.prepend(markButton);
+}
+
+/**
+ * Switches to the video of the page: loads its segments and watches its playback.
+ * Called on every change of the page state; the segments are only loaded again for another video,
+ * e.g. not when the same video moves to the miniplayer.
+ * @param {string|null} videoId - The video ID, null for pages without a video.
+ * @param {HTMLVideoElement|null} video - The page's video element.
+ */
+async function setSegmentVideo(videoId, video) {
+    if (!running) return;
+    if (video !== videoElement) {
+        if (videoElement) Advault.DOM.off(videoElement, 'timeupdate', checkSegments, false);
+        videoElement = video;
+        if (videoElement) Advault.DOM.on(videoElement, 'timeupdate', checkSegments, false);
+    }
+    if (videoId && videoElement) addMarkButton();
+    if (videoId === currentVideoId) return;
+
+    currentVideoId = videoId;
+    segments = [];
+    skippedSegments = new WeakSet();
+    channelExcluded = null;
+    hidePanel();
+    resetMarkButton();
+    if (!videoId || !videoElement) return;
+
+    try {
+        const stored = await sendMessage('getSegments', { videoId });
+        if (videoId !== currentVideoId) return;
+        setSegments(stored);
+        if (segments.length > 0) {
+            console.log(`[Advault AdvaultSegmentSkipper.js] ${segments.length} segments for video ${videoId}.`);
+        }
+    } catch (error) {
+        console.error('[Advault AdvaultSegmentSkipper.js] Could not load the segments:', error);
+    }
+}
+
+/**
+ * Starts the segment skipper.
+ * @param {object} settings - The segment settings.
+ */
+function startSegmentSkipper(settings) {
+    segmentSettings = settings;
+    running = settings.mode !== 'off';
+}
+
+/**
+ * Stops the segment skipper and removes its buttons from the page.
+ */
+function stopSegmentSkipper() {
+    running = false;
+    hidePanel();
+    if (markButton) Advault.DOM.remove(markButton);
+    markButton = null;
+    markStart = null;
+    if (videoElement) Advault.DOM.off(videoElement, 'timeupdate', checkSegments, false);
+    videoElement = null;
+    currentVideoId = null;
+    const style = document.getElementById(SEGMENT_STYLE_ID);
+    if (style) Advault.DOM.remove(style);
+}
+
+export { setSegmentVideo, startSegmentSkipper, stopSegmentSkipper };
@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * @file AdvaultSegments.js
+ * @description Local store of YouTube video segments (sponsor reads, intros, outros…) for Advault's
+ * segment skipping. Segments are keyed by video ID in `chrome.storage.local`; they are imported from
+ * JSON files on the options page or marked by the user on the player. Nothing is fetched from a server.
+ *
+ * Segment files are either Advault's own format,
+ * `{ "version": 1, "videos": { "<videoId>": [{ "start": 12.5, "end": 40, "category": "sponsor" }] } }`,
+ * or a SponsorBlock-style list, `[{ "videoID": "<videoId>", "segment": [12.5, 40], "category": "sponsor" }]`.
+ */
+
+import { DEFAULT_SETTINGS } from "./AdvaultSettings.js";
+
+const SEGMENTS_STORAGE_KEY = "videoSegments"; // { [videoId]: Segment[] }
+
+const SEGMENT_FILE_VERSION = 1;
+const SEGMENT_CATEGORIES = Object.keys(DEFAULT_SETTINGS.segments.categories);
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+// Sanity limits of the store
+const MAX_SEGMENT_VIDEOS = 20000;
+const MAX_SEGMENTS_PER_VIDEO = 50;
+
+// Store updates run one after another, so an import and a marked segment don't overwrite each other
+let storeQueue = Promise.resolve();
+
+/**
+ * @typedef {object} Segment
+ * @property {number} start - Start of the segment in seconds.
+ * @property {number} end - End of the segment in seconds.
+ * @property {string} category - One of SEGMENT_CATEGORIES.
+ * @property {string} source - "import" or "user".
+ */
+
+/**
+ * Checks a segment and brings it into the stored form.
+ * @param {*} segment - The segment.
+ * @param {string} source - Where it came from.
+ * @returns {Segment} The segment.
+ * @throws {Error} If it is invalid.
+ */
+function normalizeSegment({ start, end, category }, source) {
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+    throw new Error(`Invalid segment times: ${start}–${end}`);
+  }
+  if (!SEGMENT_CATEGORIES.includes(category)) {
+    throw new Error(`Unknown segment category: ${category}`);
+  }
+  return { start, end, category, source };
+}
+
+/**
+ * Reads a segment file.
+ * @param {string} text - The file contents.
+ * @returns {{segments: Object<string, Segment[]>, skipped: number}} The valid segments by video ID,
+ * and the number of invalid entries left out.
+ * @throws {Error} If the file is not a segment file.
+ */
+function parseSegmentFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not JSON: ${error.message}`);
+  }
+
+  let entries;
+  if (Array.isArray(data)) {
+    entries = data.map(entry => [entry && entry.videoID, {
+      start: entry && Array.isArray(entry.segment) ? entry.segment[0] : NaN,
+      end: entry && Array.isArray(entry.segment) ? entry.segment[1] : NaN,
+      category: entry && entry.category
+    }]);
+  } else if (data && data.version === SEGMENT_FILE_VERSION && data.videos && typeof data.videos === "object") {
+    entries = Object.entries(data.videos).flatMap(([videoId, segments]) =>
+      (Array.isArray(segments) ? segments : [null]).map(segment => [videoId, segment || {}]));
+  } else {
+    throw new Error(`Not a segment file: expected a list or { "version": ${SEGMENT_FILE_VERSION}, "videos": {…} }`);
+  }
+
+  const segments = {};
+  let skipped = 0;
+  for (const [videoId, segment] of entries) {
+    try {
+      if (typeof videoId !== "string" || !VIDEO_ID_PATTERN.test(videoId)) {
+        throw new Error(`Invalid video ID: ${videoId}`);
+      }
+      (segments[videoId] = segments[videoId] || []).push(normalizeSegment(segment, "import"));
+    } catch (error) {
+      skipped++;
+    }
+  }
+  return { segments, skipped };
+}
+
+/**
+ * Adds segments to a video's list, leaving out exact duplicates, sorted by start.
+ * @param {Segment[]} existing - The stored segments.
+ * @param {Segment[]} added - The new segments.
+ * @returns {Segment[]} The merged list, cut to the per-video limit.
+ */
+function mergeSegments(existing, added) {
+  const merged = new Map(existing.map(segment => [`${segment.start}:${segment.end}:${segment.category}`, segment]));
+  for (const segment of added) {
+    merged.set(`${segment.start}:${segment.end}:${segment.category}`, segment);
+  }
+  return [...merged.values()].sort((a, b) => a.start - b.start).slice(0, MAX_SEGMENTS_PER_VIDEO);
+}
+
+/**
+ * Runs a change of the stored segments.
+ * @param {function(Object<string, Segment[]>): *} change - Changes the segments in place; its result is returned.
+ * @returns {Promise<*>} The change's result.
+ */
+function updateSegmentStore(change) {
+  const run = storeQueue.then(async () => {
+    const data = await chrome.storage.local.get(SEGMENTS_STORAGE_KEY);
+    const store = data[SEGMENTS_STORAGE_KEY] || {};
+    const result = change(store);
+    if (Object.keys(store).length > MAX_SEGMENT_VIDEOS) {
+      throw new Error(`The segment store is limited to ${MAX_SEGMENT_VIDEOS} videos.`);
+    }
+    await chrome.storage.local.set({ [SEGMENTS_STORAGE_KEY]: store });
+    return result;
+  });
+  storeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Returns the segments of a video.
+ * @param {string} videoId - The video ID.
+ * @returns {Promise<Segment[]>} The segments, sorted by start.
+ */
+async function getSegments(videoId) {
+  const data = await chrome.storage.local.get(SEGMENTS_STORAGE_KEY);
+  return (data[SEGMENTS_STORAGE_KEY] || {})[videoId] || [];
+}
+
+/**
+ * Imports a segment file.
+ * @param {string} text - The file contents.
+ * @returns {Promise<{videos: number, segments: number, skipped: number}>} What was imported.
+ * @throws {Error} If the file is not a segment file or the store would grow too large.
+ */
+async function importSegments(text) {
+  const { segments, skipped } = parseSegmentFile(text);
+  return updateSegmentStore(store => {
+    for (const [videoId, added] of Object.entries(segments)) {
+      store[videoId] = mergeSegments(store[videoId] || [], added);
+    }
+    return {
+      videos: Object.keys(segments).length,
+      segments: Object.values(segments).reduce((sum, list) => sum + list.length, 0),
+      skipped
+    };
+  });
+}
+
+/**
+ * Saves a segment the user marked on the player.
+ * @param {string} videoId - The video ID.
+ * @param {{start: number, end: number, category: string}} segment - The segment.
+ * @returns {Promise<Segment[]>} The video's segments.
+ * @throws {Error} If the video ID or the segment is invalid.
+ */
+async function addSegment(videoId, segment) {
+  if (!VIDEO_ID_PATTERN.test(videoId)) {
+    throw new Error(`Invalid video ID: ${videoId}`);
+  }
+  const added = normalizeSegment(segment, "user");
+  return updateSegmentStore(store => {
+    store[videoId] = mergeSegments(store[videoId] || [], [added]);
+    return store[videoId];
+  });
+}
+
+/**
+ * Counts the stored segments, for the options page.
+ * @returns {Promise<{videos: number, segments: number}>} The counts.
+ */
+async function getSegmentSummary() {
+  const data = await chrome.storage.local.get(SEGMENTS_STORAGE_KEY);
+  const store = data[SEGMENTS_STORAGE_KEY] || {};
+  return {
+    videos: Object.keys(store).length,
+    segments: Object.values(store).reduce((sum, list) => sum + list.length, 0)
+  };
+}
+
+/**
+ * Deletes every stored segment.
+ */
+async function clearSegments() {
+  return updateSegmentStore(store => {
+    Object.keys(store).forEach(videoId => delete store[videoId]);
+  });
+}
+
+export { addSegment, clearSegments, getSegmentSummary, getSegments, importSegments };
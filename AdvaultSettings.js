@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * @file AdvaultSettings.js
+ * @description User settings of Advault, stored in `chrome.storage.local`.
+ * Stored settings are merged over the defaults, so settings added in later versions
+ * get their default value without a migration, and stored toggles that no longer exist are dropped.
+ */
+
+const SETTINGS_STORAGE_KEY = "settings";
+
+// Bounds of the default list refresh interval
+const MIN_UPDATE_INTERVAL_MINUTES = 60;
+const MAX_UPDATE_INTERVAL_MINUTES = 7 * 24 * 60;
+
+// What happens when a video reaches a segment: skipped, a skip button is shown, or nothing
+const SEGMENT_MODES = ["skip", "prompt", "off"];
+
+// Channels are named by their handle or their channel id
+const CHANNEL_PATTERN = /^(?:@[\w.-]{3,30}|UC[\w-]{22})$/;
+const MAX_EXCLUDED_CHANNELS = 500;
+
+/**
+ * @typedef {object} Settings
+ * @property {number} updateIntervalMinutes - Refresh interval of lists that don't announce their own
+ * `! Expires:` interval. Use MINUTES, as the alarms API expects minutes.
+ * @property {object} youtube - Behaviour of the YouTube content script.
+ * @property {boolean} youtube.pruneAdData - Remove ad data from player responses before the player reads them.
+ * @property {boolean} youtube.removeAdElements - Hide ad elements on the page, each with its selector's hide strategy.
+ * @property {boolean} youtube.skipAds - Skip video ads that play anyway, with the skip strategies of the YouTube config.
+ * @property {boolean} youtube.reloadAsLastResort - Reload the page when an ad plays anyway. Off by default;
+ * it replaced `reloadOnAd`, which was on by default and caused reload loops.
+ * @property {boolean} youtube.resumePlayback - Resume the video where it was after a reload.
+ * @property {object} segments - Skipping of sponsor reads, intros and other segments of YouTube videos.
+ * @property {string} segments.mode - One of SEGMENT_MODES.
+ * @property {Object<string, boolean>} segments.categories - Whether each segment category is acted on.
+ * @property {string[]} segments.excludedChannels - Channels whose segments are never skipped.
+ */
+
+/** @type {Settings} */
+const DEFAULT_SETTINGS = Object.freeze({
+  updateIntervalMinutes: 6 * 60, // Every 6 hours
+  youtube: Object.freeze({
+    pruneAdData: true,
+    removeAdElements: true,
+    skipAds: true,
+    reloadAsLastResort: false,
+    resumePlayback: true
+  }),
+  segments: Object.freeze({
+    mode: "skip",
+    categories: Object.freeze({
+      sponsor: true,
+      selfpromo: true,
+      interaction: false,
+      intro: false,
+      outro: false,
+      preview: false,
+      filler: false
+    }),
+    excludedChannels: Object.freeze([])
+  })
+});
+
+/**
+ * Loads the settings.
+ * @returns {Promise<Settings>} The stored settings merged over the defaults.
+ */
+async function getSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+  const stored = data[SETTINGS_STORAGE_KEY] || {};
+  const youtube = { ...DEFAULT_SETTINGS.youtube };
+  for (const [toggle, enabled] of Object.entries(stored.youtube || {})) {
+    if (toggle in youtube) youtube[toggle] = enabled;
+  }
+  const categories = { ...DEFAULT_SETTINGS.segments.categories };
+  for (const [category, enabled] of Object.entries((stored.segments || {}).categories || {})) {
+    if (category in categories) categories[category] = enabled;
+  }
+  const segments = { ...DEFAULT_SETTINGS.segments, ...stored.segments, categories };
+  return { ...DEFAULT_SETTINGS, ...stored, youtube, segments };
+}
+
+/**
+ * Checks changed segment settings.
+ * @param {object} segments - The changed segment settings.
+ * @throws {Error} If a setting is unknown or has an invalid value.
+ */
+function validateSegmentSettings(segments) {
+  for (const [name, value] of Object.entries(segments)) {
+    if (name === "mode") {
+      if (!SEGMENT_MODES.includes(value)) {
+        throw new Error(`Invalid segment mode: ${value}`);
+      }
+    } else if (name === "categories") {
+      for (const [category, enabled] of Object.entries(value)) {
+        if (!(category in DEFAULT_SETTINGS.segments.categories) || typeof enabled !== "boolean") {
+          throw new Error(`Invalid segment category: ${category}`);
+        }
+      }
+    } else if (name === "excludedChannels") {
+      if (!Array.isArray(value) || value.length > MAX_EXCLUDED_CHANNELS) {
+        throw new Error(`At most ${MAX_EXCLUDED_CHANNELS} channels can be excluded.`);
+      }
+      const invalid = value.find(channel => typeof channel !== "string" || !CHANNEL_PATTERN.test(channel));
+      if (invalid !== undefined) {
+        throw new Error(`"${invalid}" is not a channel handle (@name) or channel id (UC…).`);
+      }
+    } else {
+      throw new Error(`Unknown segment setting: ${name}`);
+    }
+  }
+}
+
+/**
+ * Checks changed settings against their type and bounds.
+ * @param {object} changes - The changed settings.
+ * @throws {Error} If a setting is unknown or has an invalid value.
+ */
+function validateSettings(changes) {
+  for (const [name, value] of Object.entries(changes)) {
+    if (name === "updateIntervalMinutes") {
+      if (!Number.isInteger(value) || value < MIN_UPDATE_INTERVAL_MINUTES || value > MAX_UPDATE_INTERVAL_MINUTES) {
+        throw new Error(`The update interval must be between ${MIN_UPDATE_INTERVAL_MINUTES} and ${MAX_UPDATE_INTERVAL_MINUTES} minutes.`);
+      }
+    } else if (name === "youtube") {
+      for (const [toggle, enabled] of Object.entries(value)) {
+        if (!(toggle in DEFAULT_SETTINGS.youtube) || typeof enabled !== "boolean") {
+          throw new Error(`Invalid YouTube setting: ${toggle}`);
+        }
+      }
+    } else if (name === "segments") {
+      validateSegmentSettings(value);
+    } else {
+      throw new Error(`Unknown setting: ${name}`);
+    }
+  }
+}
+
+/**
+ * Changes some settings.
+ * @param {Partial<Settings>} changes - The settings to change; `youtube` and `segments` may hold only some
+ * of their settings, and `segments.categories` only some categories.
+ * @returns {Promise<Settings>} The updated settings.
+ * @throws {Error} If a setting is unknown or has an invalid value.
+ */
+async function updateSettings(changes) {
+  validateSettings(changes);
+  const settings = await getSettings();
+  const updated = {
+    ...settings,
+    ...changes,
+    youtube: { ...settings.youtube, ...changes.youtube },
+    segments: {
+      ...settings.segments,
+      ...changes.segments,
+      categories: { ...settings.segments.categories, ...(changes.segments || {}).categories }
+    }
+  };
+  await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: updated });
+  return updated;
+}
+
+export { DEFAULT_SETTINGS, SEGMENT_MODES, getSettings, updateSettings };
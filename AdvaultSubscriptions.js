@@ -0,0 +1,402 @@
+'use strict';
+
+/**
+ * @file AdvaultSubscriptions.js
+ * @description Filter list subscriptions for Advault's background worker.
+ * Keeps the list of sources with their metadata in `chrome.storage.local`, fetches each
+ * list with conditional HTTP requests, verifies it and schedules one refresh alarm per list.
+ */
+
+import { clearQuarantinedList, getQuarantinedList, quarantineList, verifyList } from "./AdvaultListVerifier.js";
+import { clearListHistory, recordListVersion } from "./AdvaultListHistory.js";
+
+const SUBSCRIPTIONS_STORAGE_KEY = "subscriptions";
+const LIST_TEXT_KEY_PREFIX = "listText:"; // Raw text of each list, keyed by subscription id
+const SUBSCRIPTION_ALARM_PREFIX = "subscription:";
+
+// Bounds for `! Expires:` intervals so a list can neither hammer its server nor go stale for months.
+const MIN_EXPIRES_MINUTES = 60;
+const MAX_EXPIRES_MINUTES = 14 * 24 * 60;
+
+// Fields the options page may change through editSubscription
+const EDITABLE_FIELDS = ["enabled", "title", "url"];
+
+// Changes of the stored subscriptions run one after another, so lists refreshed at the same time
+// don't overwrite each other's metadata
+let subscriptionsQueue = Promise.resolve();
+
+/**
+ * @typedef {object} Subscription
+ * @property {string} id - Stable identifier, also used in alarm and storage key names.
+ * @property {string} title - Human readable name.
+ * @property {string} url - Where the list is downloaded from.
+ * @property {boolean} enabled - Whether the list contributes rules.
+ * @property {number|null} lastFetched - When the list was last checked successfully (ms since epoch).
+ * @property {string|null} etag - ETag of the cached copy.
+ * @property {string|null} lastModified - Last-Modified of the cached copy.
+ * @property {number|null} expiresMinutes - Refresh interval announced by the list (`! Expires:`).
+ * @property {{message: string, at: number, overridable: boolean}|null} error - The last fetch error, cleared on
+ * success. `overridable` is set when the list was only rejected for changing too much (see acceptQuarantinedList).
+ * @property {{checksumUrl?: string}} [integrity] - How downloads are authenticated (see AdvaultListVerifier.js).
+ * @property {object} [limits] - Overrides of the verification sanity limits.
+ * @property {number} [entryCount] - Number of rule entries in the last accepted version.
+ * @property {string|null} [verifiedBy] - How the last accepted version was authenticated, if at all.
+ * @property {string|null} [pinnedVersion] - History version the list is pinned to; scheduled
+ * updates leave a pinned list alone until it is unpinned.
+ */
+
+/**
+ * Loads all subscriptions.
+ * @returns {Promise<Subscription[]>} The subscriptions in display order.
+ */
+async function getSubscriptions() {
+  const data = await chrome.storage.local.get(SUBSCRIPTIONS_STORAGE_KEY);
+  return data[SUBSCRIPTIONS_STORAGE_KEY] || [];
+}
+
+/**
+ * Runs a change of the stored subscriptions: loads them, applies the change and stores the result.
+ * @param {function(Subscription[]): (Subscription[]|void)} change - Changes the subscriptions in place,
+ * or returns the new list.
+ * @returns {Promise<Subscription[]>} The stored subscriptions.
+ */
+function changeSubscriptions(change) {
+  const run = subscriptionsQueue.then(async () => {
+    const subscriptions = await getSubscriptions();
+    const changed = change(subscriptions) || subscriptions;
+    await chrome.storage.local.set({ [SUBSCRIPTIONS_STORAGE_KEY]: changed });
+    return changed;
+  });
+  subscriptionsQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Parses the address of a list.
+ * @param {string} value - The list URL.
+ * @returns {URL} The parsed URL.
+ * @throws {Error} If the value is not an http(s) URL.
+ */
+function parseListUrl(value) {
+  const url = new URL(value);
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Unsupported list URL protocol: ${url.protocol}`);
+  }
+  return url;
+}
+
+/**
+ * Creates a subscription record with empty fetch metadata.
+ * @param {{id?: string, title?: string, url: string, enabled?: boolean}} source - The list source.
+ * @returns {Subscription} The new subscription.
+ * @throws {Error} If the URL is not an http(s) URL.
+ */
+function createSubscription(source) {
+  const url = parseListUrl(source.url);
+  return {
+    id: source.id || crypto.randomUUID(),
+    title: source.title || url.hostname,
+    url: url.href,
+    enabled: source.enabled !== false,
+    integrity: source.integrity || null,
+    limits: source.limits || null,
+    lastFetched: null,
+    etag: null,
+    lastModified: null,
+    expiresMinutes: null,
+    pinnedVersion: null,
+    error: null
+  };
+}
+
+/**
+ * Adds the default subscriptions that are not stored yet.
+ * @param {{id: string, title: string, url: string}[]} defaults - The bundled sources.
+ * @returns {Promise<Subscription[]>} All subscriptions.
+ */
+function ensureDefaultSubscriptions(defaults) {
+  return changeSubscriptions(subscriptions => {
+    const missing = defaults.filter(source => !subscriptions.some(sub => sub.id === source.id));
+    subscriptions.push(...missing.map(createSubscription));
+  });
+}
+
+/**
+ * Adds a new subscription.
+ * @param {{title?: string, url: string, enabled?: boolean}} source - The list source.
+ * @returns {Promise<Subscription>} The stored subscription.
+ * @throws {Error} If the URL is invalid or already subscribed.
+ */
+async function addSubscription(source) {
+  const subscription = createSubscription({ ...source, id: undefined });
+  await changeSubscriptions(subscriptions => {
+    if (subscriptions.some(sub => sub.url === subscription.url)) {
+      throw new Error(`Already subscribed to ${subscription.url}`);
+    }
+    subscriptions.push(subscription);
+  });
+  return subscription;
+}
+
+/**
+ * Updates stored fields of a subscription.
+ * @param {string} id - The subscription id.
+ * @param {Partial<Subscription>} changes - The fields to change.
+ * @returns {Promise<Subscription>} The updated subscription.
+ * @throws {Error} If no subscription has this id.
+ */
+async function updateSubscription(id, changes) {
+  const subscriptions = await changeSubscriptions(stored => {
+    const index = stored.findIndex(sub => sub.id === id);
+    if (index === -1) {
+      throw new Error(`Unknown subscription: ${id}`);
+    }
+    stored[index] = { ...stored[index], ...changes, id };
+  });
+  return subscriptions.find(sub => sub.id === id);
+}
+
+/**
+ * Changes what the user may change of a subscription: whether it is enabled, its title and its URL.
+ * A new URL drops the fetch metadata of the old one.
+ * @param {string} id - The subscription id.
+ * @param {{enabled?: boolean, title?: string, url?: string}} changes - The fields to change.
+ * @returns {Promise<Subscription>} The updated subscription.
+ * @throws {Error} If a field can't be changed or a value is invalid, or no subscription has this id.
+ */
+async function editSubscription(id, changes) {
+  const unknown = Object.keys(changes).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`These subscription fields can't be changed: ${unknown.join(", ")}`);
+  }
+  const edit = {};
+  if ("enabled" in changes) {
+    if (typeof changes.enabled !== "boolean") {
+      throw new Error(`Invalid value for enabled: ${changes.enabled}`);
+    }
+    edit.enabled = changes.enabled;
+  }
+  if ("title" in changes) {
+    if (typeof changes.title !== "string" || !changes.title.trim()) {
+      throw new Error("A list title can't be empty.");
+    }
+    edit.title = changes.title.trim();
+  }
+  if ("url" in changes) {
+    edit.url = parseListUrl(changes.url).href;
+    Object.assign(edit, { lastFetched: null, etag: null, lastModified: null, expiresMinutes: null, error: null });
+  }
+
+  const subscriptions = await changeSubscriptions(stored => {
+    const index = stored.findIndex(sub => sub.id === id);
+    if (index === -1) {
+      throw new Error(`Unknown subscription: ${id}`);
+    }
+    if (edit.url && stored.some(sub => sub.id !== id && sub.url === edit.url)) {
+      throw new Error(`Already subscribed to ${edit.url}`);
+    }
+    stored[index] = { ...stored[index], ...edit };
+  });
+  return subscriptions.find(sub => sub.id === id);
+}
+
+/**
+ * Removes a subscription, its cached list, its history and its alarm.
+ * @param {string} id - The subscription id.
+ */
+async function removeSubscription(id) {
+  await changeSubscriptions(subscriptions => subscriptions.filter(sub => sub.id !== id));
+  await chrome.storage.local.remove(LIST_TEXT_KEY_PREFIX + id);
+  await clearQuarantinedList(id);
+  await clearListHistory(id);
+  await chrome.alarms.clear(SUBSCRIPTION_ALARM_PREFIX + id);
+}
+
+/**
+ * Loads the cached text of a list.
+ * @param {string} id - The subscription id.
+ * @returns {Promise<string|null>} The raw list text, or null if never fetched.
+ */
+async function getListText(id) {
+  const key = LIST_TEXT_KEY_PREFIX + id;
+  const data = await chrome.storage.local.get(key);
+  return data[key] ?? null;
+}
+
+/**
+ * Stores the text of a list.
+ * @param {string} id - The subscription id.
+ * @param {string} text - The raw list text.
+ */
+async function setListText(id, text) {
+  await chrome.storage.local.set({ [LIST_TEXT_KEY_PREFIX + id]: text });
+}
+
+/**
+ * Reads the `! Expires:` header of an Adblock Plus style list.
+ * @param {string} text - The raw list text.
+ * @returns {number|null} The refresh interval in minutes, or null if the list has none.
+ */
+function parseExpires(text) {
+  const match = /^!\s*Expires\s*:\s*(\d+)\s*(h|hours?|d|days?)?/im.exec(text.slice(0, 4096));
+  if (!match) return null;
+  const amount = parseInt(match[1], 10);
+  const minutes = match[2] && match[2].startsWith("h") ? amount * 60 : amount * 24 * 60;
+  return Math.min(Math.max(minutes, MIN_EXPIRES_MINUTES), MAX_EXPIRES_MINUTES);
+}
+
+/**
+ * Downloads a list with a conditional request, verifies it and stores it if it changed.
+ * Download and verification failures are recorded on the subscription and keep the
+ * last accepted copy in place; a list that fails verification is quarantined.
+ * A list pinned to a history version is not fetched at all.
+ * @param {string} id - The subscription id.
+ * @returns {Promise<{changed: boolean, subscription: Subscription}>} Whether new list text was stored.
+ */
+async function fetchSubscription(id) {
+  const subscription = (await getSubscriptions()).find(sub => sub.id === id);
+  if (!subscription) {
+    throw new Error(`Unknown subscription: ${id}`);
+  }
+  if (subscription.pinnedVersion) {
+    console.log(`List "${subscription.title}" is pinned to version ${subscription.pinnedVersion}, skipping update.`);
+    return { changed: false, subscription };
+  }
+
+  const headers = {};
+  const previousText = await getListText(id);
+  const hasCachedCopy = previousText !== null;
+  if (hasCachedCopy && subscription.etag) headers["If-None-Match"] = subscription.etag;
+  if (hasCachedCopy && subscription.lastModified) headers["If-Modified-Since"] = subscription.lastModified;
+
+  try {
+    const response = await fetch(subscription.url, { cache: "no-store", headers });
+    if (response.status === 304) {
+      console.log(`List "${subscription.title}" not modified.`);
+      return { changed: false, subscription: await updateSubscription(id, { lastFetched: Date.now(), error: null }) };
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const bytes = await response.arrayBuffer();
+    const text = new TextDecoder().decode(bytes);
+    const verification = await verifyList(bytes, text, subscription, previousText);
+    if (!verification.ok) {
+      await quarantineList(id, text, verification);
+      const error = new Error(`Verification failed: ${verification.reasons.join("; ")}`);
+      error.overridable = verification.overridable;
+      throw error;
+    }
+
+    await setListText(id, text);
+    await recordListVersion(id, text, {
+      source: subscription.url,
+      entryCount: verification.entryCount,
+      diff: verification.diff
+    });
+    console.log(`Fetched list "${subscription.title}" (${text.length} bytes, ${verification.entryCount} entries).`);
+    return {
+      changed: true,
+      subscription: await updateSubscription(id, {
+        lastFetched: Date.now(),
+        etag: response.headers.get("ETag"),
+        lastModified: response.headers.get("Last-Modified"),
+        expiresMinutes: parseExpires(text),
+        entryCount: verification.entryCount,
+        verifiedBy: verification.verifiedBy,
+        error: null
+      })
+    };
+  } catch (error) {
+    console.error(`Failed to fetch list "${subscription.title}":`, error);
+    return {
+      changed: false,
+      subscription: await updateSubscription(id, {
+        error: { message: error.message, at: Date.now(), overridable: error.overridable === true }
+      })
+    };
+  }
+}
+
+/**
+ * Accepts the update of a list that was rejected only because it changed more than the limit allows.
+ * The churn check compares against the last accepted version, so without this a legitimately large
+ * update would be rejected on every fetch.
+ * @param {string} id - The subscription id.
+ * @returns {Promise<Subscription>} The updated subscription.
+ * @throws {Error} If the subscription is unknown or has no rejected update that may be accepted.
+ */
+async function acceptQuarantinedList(id) {
+  const subscription = (await getSubscriptions()).find(sub => sub.id === id);
+  if (!subscription) {
+    throw new Error(`Unknown subscription: ${id}`);
+  }
+  const quarantined = await getQuarantinedList(id);
+  // A later fetch may have failed for another reason; only the rejection the user saw can be accepted
+  if (!subscription.error || !subscription.error.overridable || !quarantined || !quarantined.overridable) {
+    throw new Error(`List "${subscription.title}" has no rejected update that can be accepted.`);
+  }
+
+  await setListText(id, quarantined.text);
+  await recordListVersion(id, quarantined.text, {
+    source: subscription.url,
+    entryCount: quarantined.entryCount,
+    diff: quarantined.diff
+  });
+  await clearQuarantinedList(id);
+  console.log(`Accepted the rejected update of list "${subscription.title}" (${quarantined.entryCount} entries).`);
+  // The validators belong to the copy that was replaced
+  return updateSubscription(id, {
+    lastFetched: Date.now(),
+    etag: null,
+    lastModified: null,
+    expiresMinutes: parseExpires(quarantined.text),
+    entryCount: quarantined.entryCount,
+    verifiedBy: quarantined.verifiedBy,
+    error: null
+  });
+}
+
+/**
+ * Creates or replaces the refresh alarm of a subscription.
+ * The first run is due one interval after the last successful fetch.
+ * @param {Subscription} subscription - The subscription to schedule.
+ * @param {number} defaultIntervalMinutes - Interval used when the list has no `! Expires:` header.
+ */
+async function scheduleSubscriptionAlarm(subscription, defaultIntervalMinutes) {
+  const alarmName = SUBSCRIPTION_ALARM_PREFIX + subscription.id;
+  await chrome.alarms.clear(alarmName);
+  if (!subscription.enabled) return;
+
+  const periodInMinutes = subscription.expiresMinutes || defaultIntervalMinutes;
+  const elapsedMinutes = subscription.lastFetched ? (Date.now() - subscription.lastFetched) / 60000 : periodInMinutes;
+  chrome.alarms.create(alarmName, {
+    delayInMinutes: Math.max(1, periodInMinutes - elapsedMinutes),
+    periodInMinutes
+  });
+}
+
+/**
+ * Extracts the subscription id from a refresh alarm name.
+ * @param {string} alarmName - The alarm name.
+ * @returns {string|null} The subscription id, or null for other alarms.
+ */
+function getSubscriptionIdFromAlarm(alarmName) {
+  return alarmName.startsWith(SUBSCRIPTION_ALARM_PREFIX) ? alarmName.slice(SUBSCRIPTION_ALARM_PREFIX.length) : null;
+}
+
+export {
+  acceptQuarantinedList,
+  addSubscription,
+  editSubscription,
+  ensureDefaultSubscriptions,
+  fetchSubscription,
+  getListText,
+  getSubscriptionIdFromAlarm,
+  getSubscriptions,
+  removeSubscription,
+  scheduleSubscriptionAlarm,
+  setListText,
+  updateSubscription
+};
@@ -0,0 +1,346 @@
+'use strict';
+
+/**
+ * @file AdvaultSurfaces.js
+ * @description The YouTube surfaces the YouTube content script runs on: the desktop site, YouTube Music,
+ * mobile YouTube and the privacy-enhanced embeds of youtube-nocookie.com. They share the player but not
+ * the page markup, so each surface declares its own ad selectors and hide strategies, where its player is,
+ * how its pages map to page states and which events mark its in-page navigation, and its skip strategies.
+ * The removal and observer engine of content.js and the Advault DOM library are the same on all of them.
+ * Every host listed here must also be matched by the YouTube content scripts and by the web accessible
+ * resources of the content modules in manifest.json.
+ */
+
+// --- Desktop (www.youtube.com) ---
+// Core selectors for identifying YouTube ad elements in the DOM.
+const DESKTOP_AD_SELECTORS = [
+    // --- YouTube End Screen Selectors ---
+    ".ytp-endscreen-content",          // The main container for all end screen elements
+    ".ytp-player-content ytp-endscreen-content", // More specific if needed
+    ".ytp-videowall-still",            // Individual video thumbnails on the end screen
+    ".ytp-videowall-still-image",      // Image within the video thumbnail
+    ".ytp-videowall-still-info",       // Info overlay on the video thumbnail
+    ".ytp-subscribe-button-renderer",  // Subscribe button on the end screen
+    ".ytp-ce-video",                   // End screen video elements (often includes recommended videos)
+    ".ytp-ce-playlist",                // End screen playlist elements
+    ".ytp-ce-channel",                 // End screen channel promotion elements
+    ".ytp-ce-element",                 // A general class used for end screen elements
+    ".ytp-scroll-track-element",       // Sometimes related to the scrollable parts of end screens
+    "ytd-player-legacy-endscreen",     // A legacy element, might still exist for older videos
+    "ytd-watch-next-compact-video-renderer.ytd-player-legacy-endscreen", // Another specific legacy selector
+    "ytd-compact-video-renderer.ytd-player-legacy-endscreen", // Yet another legacy selector
+    // This one is very effective for the entire end screen overlay:
+    ".ytp-ce-element-show", // Often applied when the end screen elements become visible
+    // Potential overlap with "cards" (which are info cards, not end screens, but can be annoying)
+    ".ytp-cards-teaser",               // Info cards that pop up during the video
+    ".ytp-cards-button",               // Button to expand info cards
+    "ytd-ad-slot-renderer",            // Main ad slot element
+    "ytd-companion-slot-renderer",     // Companion banner ads
+    ".YTP-ad-player-overlay",          // Overlay over the video player during ads
+    ".video-ads",                      // Container for video ads
+    "div[class*='ad-overlay']",        // Generic ad overlay divs
+    ".ytp-ad-skip-button",
+    ".YTP-ad-text",
+    ".ytp-ad-progress",
+    "div[class*='ytp-ad-player-overlay']", // More specific ad overlay containers
+    "yt-mealbar-promo-renderer",       // Promotional meal bar (bottom of video)
+    "ytd-promoted-sparkles-text-search-renderer", // Promoted search results
+    "ytd-promoted-video-renderer",     // Promoted video suggestions
+    ".ytp-ad-module",                  // General ad module
+    ".ytp-ad-preview-container",       // Ad preview container
+    ".ytp-ad-player-overlay-skip-or-preview", // Skip/preview button overlay
+    "#player-ads",                     // Ads element within the player
+    ".ad-container",                   // Generic ad container
+    ".ytp-ad-message-container",       // Ad message container
+    ".ytp-paid-content-overlay",       // Paid content overlay
+    ".ytp-ad-player-instream-ad-slot", // In-stream ad slot
+    ".ytp-ad-overlay-container",               // Overlay container for ads
+    ".ytp-ad-overlay-image",                   // Image overlay in ads
+    ".ytp-ad-overlay-close-button",            // Close button for overlay ads
+    ".ytp-ad-overlay-slot",                    // Slot for overlay ads
+    ".ytp-ad-overlay-title",                   // Title in overlay ads
+    ".ytp-ad-overlay-text",                    // Text in overlay ads
+    ".ytp-ad-overlay-image-layout",            // Layout for image overlay ads
+    ".ytp-ad-overlay-companion",               // Companion overlay ads
+    ".ytp-ad-overlay-companion-slot",          // Slot for companion overlay ads
+    ".ytp-ad-overlay-companion-close-button",  // Close button for companion overlay ads
+    ".ytp-ad-overlay-companion-title",         // Title for companion overlay ads
+    ".ytp-ad-overlay-companion-text",          // Text for companion overlay ads
+    ".ytp-ad-overlay-companion-image",         // Image in companion overlay ads
+    ".ytp-ad-overlay-companion-layout",        // Layout for companion overlay ads
+    ".ytp-ad-overlay-companion-container",     // Container for companion overlay ads
+    ".ytp-ad-overlay-companion-background",    // Background for companion overlay ads
+    ".ytp-ad-overlay-companion-foreground",    // Foreground for companion overlay ads
+    ".ytp-ad-overlay-companion-border",        // Border for companion overlay ads
+    ".ytp-ad-overlay-companion-shadow",        // Shadow for companion overlay ads
+    ".ytp-ad-overlay-companion-icon",          // Icon in companion overlay ads
+    ".ytp-ad-overlay-companion-button",        // Button in companion overlay ads
+    ".ytp-ad-overlay-companion-link",          // Link in companion overlay ads
+    ".ytp-ad-overlay-companion-label",         // Label in companion overlay ads
+    ".ytp-ad-overlay-companion-description",   // Description in companion overlay ads
+    ".ytp-ad-overlay-companion-footer",        // Footer in companion overlay ads
+    ".ytp-ad-overlay-companion-header",        // Header in companion overlay ads
+    ".ytp-ad-overlay-companion-title-text",    // Title text in companion overlay ads
+    ".ytp-ad-overlay-companion-subtitle",      // Subtitle in companion overlay ads
+    ".ytp-ad-overlay-companion-caption",       // Caption in companion overlay ads
+    ".ytp-ad-overlay-companion-note",          // Note in companion overlay ads
+    ".ytp-ad-overlay-companion-alert",         // Alert in companion overlay ads
+    ".ytp-ad-overlay-companion-warning",       // Warning in companion overlay ads
+    ".ytp-ad-overlay-companion-info",          // Info in companion overlay ads
+    ".ytp-ad-overlay-companion-success",       // Success message in companion overlay ads
+    ".ytp-ad-overlay-companion-error",         // Error message in companion overlay ads
+    ".ytp-ad-overlay-companion-loading",       // Loading indicator in companion overlay ads
+    ".ytp-ad-overlay-companion-spinner",       // Spinner in companion overlay ads
+    ".ytp-ad-overlay-companion-progress",      // Progress bar in companion overlay ads
+    ".ytp-ad-overlay-companion-timer",         // Timer in companion overlay ads
+    ".ytp-ad-overlay-companion-countdown",     // Countdown in companion overlay ads
+    ".ytp-ad-overlay-companion-close-icon",    // Close icon in companion overlay ads
+    ".ytp-ad-overlay-companion-dismiss",       // Dismiss button in companion overlay ads
+    ".ytp-ad-overlay-companion-action",        // Action button in companion overlay ads
+    ".ytp-ad-overlay-companion-cta",           // Call-to-action in companion overlay ads
+    ".ytp-ad-overlay-companion-link-button",   // Link button in companion overlay ads
+    ".ytp-ad-overlay-companion-play-button",   // Play button in companion overlay ads
+    ".ytp-ad-overlay-companion-pause-button",  // Pause button in companion overlay ads
+    ".ytp-ad-overlay-companion-replay-button", // Replay button in companion overlay ads
+    ".ytp-ad-overlay-companion-skip-button",   // Skip button in companion overlay ads
+    ".ytp-ad-overlay-companion-learn-more",    // Learn more link in companion overlay ads
+    ".ytp-ad-overlay-companion-shop-now",      // Shop now link in companion overlay ads
+    ".ytp-ad-overlay-companion-download",      // Download link in companion overlay ads
+    ".ytp-ad-overlay-companion-install",       // Install link in companion overlay ads
+    ".ytp-ad-overlay-companion-subscribe",     // Subscribe link in companion overlay ads
+    ".ytp-ad-overlay-companion-signup",        // Signup link in companion overlay ads
+    ".ytp-ad-overlay-companion-register",      // Register link in companion overlay ads
+    ".ytp-ad-overlay-companion-join",          // Join link in companion overlay ads
+    ".ytp-ad-overlay-companion-visit",         // Visit link in companion overlay ads
+    ".ytp-ad-overlay-companion-contact",       // Contact link in companion overlay ads
+    ".ytp-ad-overlay-companion-support",       // Support link in companion overlay ads
+    ".ytp-ad-overlay-companion-help",          // Help link in companion overlay ads
+    ".ytp-ad-overlay-companion-feedback",      // Feedback link in companion overlay ads
+    ".ytp-ad-overlay-companion-survey",        // Survey link in companion overlay ads
+    ".ytp-ad-overlay-companion-review",        // Review link in companion overlay ads
+    ".ytp-ad-overlay-companion-rating",        // Rating link in companion overlay ads
+    ".ytp-ad-overlay-companion-testimonial",   // Testimonial link in companion overlay ads
+    ".ytp-ad-overlay-companion-case-study",    // Case study link in companion overlay ads
+    ".ytp-ad-overlay-companion-whitepaper",    // Whitepaper link in companion overlay ads
+    ".ytp-ad-overlay-companion-ebook",         // Ebook link in companion overlay ads
+    ".ytp-ad-overlay-companion-guide",         // Guide link in companion overlay ads
+    ".ytp-ad-overlay-companion-report",        // Report link in companion overlay ads
+    ".ytp-ad-overlay-companion-newsletter",    // Newsletter link in companion overlay ads
+    ".ytp-ad-overlay-companion-blog",          // Blog link in companion overlay ads
+    ".ytp-ad-overlay-companion-article",       // Article link in companion overlay ads
+    ".ytp-ad-overlay-companion-press-release", // Press release link in companion overlay ads
+    ".ytp-ad-overlay-companion-announcement",  // Announcement link in companion overlay ads
+    ".ytp-ad-overlay-companion-event",         // Event link in companion overlay ads
+    ".ytp-ad-overlay-companion-webinar",       // Webinar link in companion overlay ads
+    ".ytp-ad-overlay-companion-demo",          // Demo link in companion overlay ads
+    ".ytp-ad-overlay-companion-trial",         // Trial link in companion overlay ads
+    ".ytp-ad-overlay-companion-offer",         // Offer link in companion overlay ads
+    ".ytp-ad-overlay-companion-coupon",        // Coupon link in companion overlay ads
+    ".ytp-ad-overlay-companion-promo",         // Promo link in companion overlay ads
+    ".ytp-ad-overlay-companion-deal",          // Deal link in companion overlay ads
+    ".ytp-ad-overlay-companion-discount",      // Discount link in companion overlay ads
+    ".ytp-ad-overlay-companion-sale",          // Sale link in companion overlay ads
+    ".ytp-ad-overlay-companion-clearance",     // Clearance link in companion overlay ads
+    ".ytp-ad-overlay-companion-bundle",        // Bundle link in companion overlay ads
+    ".ytp-ad-overlay-companion-package",       // Package link in companion overlay ads
+    ".ytp-ad-overlay-companion-subscription",  // Subscription link in companion overlay ads
+    ".ytp-ad-overlay-companion-membership",    // Membership link in companion overlay ads
+    ".ytp-ad-overlay-companion-plan",          // Plan link in companion overlay ads
+    ".ytp-ad-overlay-companion-pricing",       // Pricing link in companion overlay ads
+    ".ytp-ad-overlay-companion-quote",         // Quote link in companion overlay ads
+    ".ytp-ad-overlay-companion-estimate",      // Estimate link in companion overlay ads
+    ".ytp-ad-overlay-companion-calculator",    // Calculator link in companion overlay ads
+    ".ytp-ad-overlay-companion-tool",          // Tool link in companion overlay ads
+    ".ytp-ad-overlay-companion-block",         // Ad block
+    ".ytp-ad-overlay-companion-resource",      // Resource link in companion overlay ads
+];
+
+// The player's ad containers and its skip and close buttons. Hidden, the buttons would never count as
+// visible and the skip strategies (see AdvaultAdSkipper.js) could only mute and speed up the ads; with
+// `neutralise` they stay displayed, and only ad videos in them are muted and ended.
+const PLAYER_AD_HIDE_STRATEGIES = {
+    '.video-ads': 'neutralise',
+    '.ytp-ad-module': 'neutralise',
+    '.ytp-ad-player-overlay': 'neutralise',
+    '.ytp-ad-overlay-container': 'neutralise'
+};
+
+// Hide strategy of the selectors that are not simply hidden. Page renderers the player code does not
+// reference can be removed; slots the page layout relies on are collapsed. The player's ad elements that
+// hold the skip and close buttons, and the buttons themselves, stay displayed (see PLAYER_AD_HIDE_STRATEGIES).
+const DESKTOP_HIDE_STRATEGIES = {
+    ...PLAYER_AD_HIDE_STRATEGIES,
+    '.YTP-ad-player-overlay': 'neutralise',
+    "div[class*='ad-overlay']": 'neutralise',
+    "div[class*='ytp-ad-player-overlay']": 'neutralise',
+    '.ytp-ad-player-overlay-skip-or-preview': 'neutralise',
+    '.ytp-ad-skip-button': 'neutralise',
+    '.ytp-ad-overlay-slot': 'neutralise',
+    '.ytp-ad-overlay-close-button': 'neutralise',
+    'ytd-ad-slot-renderer': 'collapse',
+    'ytd-companion-slot-renderer': 'collapse',
+    'ytd-promoted-sparkles-text-search-renderer': 'remove',
+    'ytd-promoted-video-renderer': 'remove',
+    'yt-mealbar-promo-renderer': 'remove'
+};
+
+// Ad elements of the player itself, the same on every surface
+const PLAYER_AD_SELECTORS = [
+    '.video-ads',                      // Container for video ads
+    '.ytp-ad-module',                  // General ad module
+    '.ytp-ad-player-overlay',          // Overlay over the video player during ads
+    '.ytp-ad-overlay-container',       // Overlay container for ads
+    '.ytp-ad-message-container',       // Ad message container
+    '.ytp-ad-preview-container'        // Ad preview container
+];
+
+// Skip buttons of the player, renamed a few times over the years
+const SKIP_BUTTON_SELECTORS = ['.ytp-ad-skip-button', '.ytp-ad-skip-button-modern', '.ytp-skip-ad-button'];
+
+// The skip chain of the surfaces that don't get one from the YouTube config
+const PLAYER_SKIP_STRATEGIES = [
+    { type: 'click', selectors: SKIP_BUTTON_SELECTORS },
+    { type: 'mute' },
+    { type: 'speed', rate: 16 },
+    { type: 'dismiss', selectors: ['.ytp-ad-overlay-close-button'] }
+];
+
+// --- YouTube Music (music.youtube.com) ---
+const MUSIC_AD_SELECTORS = [
+    ...PLAYER_AD_SELECTORS,
+    'ytmusic-mealbar-promo-renderer',       // Premium promotion bar at the bottom of the page
+    'ytmusic-statement-banner-renderer',    // Premium banner on the home page
+    'ytmusic-promoted-sparkles-web-renderer' // Promoted items in the home shelves
+];
+
+const MUSIC_HIDE_STRATEGIES = {
+    ...PLAYER_AD_HIDE_STRATEGIES,
+    'ytmusic-mealbar-promo-renderer': 'remove',
+    'ytmusic-statement-banner-renderer': 'collapse',
+    'ytmusic-promoted-sparkles-web-renderer': 'remove'
+};
+
+// --- Mobile YouTube (m.youtube.com) ---
+const MOBILE_AD_SELECTORS = [
+    ...PLAYER_AD_SELECTORS,
+    'ad-slot-renderer',                     // Ad slot in the feeds and below the player
+    'ytm-promoted-sparkles-web-renderer',   // Promoted item in the feeds
+    'ytm-promoted-video-renderer',          // Promoted video in the search results
+    'ytm-companion-ad-renderer',            // Companion banner below the player
+    'ytm-mealbar-promo-renderer'            // Premium promotion bar
+];
+
+const MOBILE_HIDE_STRATEGIES = {
+    ...PLAYER_AD_HIDE_STRATEGIES,
+    'ad-slot-renderer': 'collapse',
+    'ytm-companion-ad-renderer': 'collapse',
+    'ytm-promoted-sparkles-web-renderer': 'remove',
+    'ytm-promoted-video-renderer': 'remove',
+    'ytm-mealbar-promo-renderer': 'remove'
+};
+
+/**
+ * @typedef {object} Surface
+ * @property {string} name - The surface.
+ * @property {string[]} hosts - Hosts the surface runs on, subdomains included.
+ * @property {string[]} selectors - Ad element selectors.
+ * @property {Object<string, string>} hideStrategies - Hide strategy by selector; selectors without one are hidden.
+ * @property {[string, RegExp][]} pageStates - Page state of each path pattern, the first match wins;
+ * other paths are in the `other` state.
+ * @property {Object<string, string>} playerSelectors - The player of each page state that has one.
+ * @property {{selector: string, attribute: string}|null} miniplayer - The element and attribute that tell
+ * whether the miniplayer is open, null if the surface has none.
+ * @property {{start: string[], update: string[]}} navigationEvents - Events fired when an in-page navigation
+ * starts, and when it finished or the page data changed.
+ * @property {SkipStrategy[]} skipStrategies - The skip chain (see AdvaultAdSkipper.js).
+ * @property {boolean} usesYouTubeConfig - Whether the YouTube config's selectors, hide and skip strategies
+ * apply; they are written for the desktop markup.
+ */
+
+// The first surface with a matching host wins, so the desktop site comes last and takes
+// the other youtube.com hosts
+/** @type {Surface[]} */
+const SURFACES = [
+    {
+        name: 'music',
+        hosts: ['music.youtube.com'],
+        selectors: MUSIC_AD_SELECTORS,
+        hideStrategies: MUSIC_HIDE_STRATEGIES,
+        pageStates: [['watch', /^\/watch$/], ['home', /^\/$/], ['search', /^\/search$/]],
+        // The player bar stays on every page
+        playerSelectors: {
+            watch: '#movie_player',
+            home: '#movie_player',
+            search: '#movie_player',
+            other: '#movie_player'
+        },
+        miniplayer: null,
+        navigationEvents: { start: ['yt-navigate-start'], update: ['yt-navigate-finish', 'yt-page-data-updated'] },
+        skipStrategies: PLAYER_SKIP_STRATEGIES,
+        usesYouTubeConfig: false
+    },
+    {
+        name: 'mobile',
+        hosts: ['m.youtube.com'],
+        selectors: MOBILE_AD_SELECTORS,
+        hideStrategies: MOBILE_HIDE_STRATEGIES,
+        pageStates: [['watch', /^\/(?:watch$|live\/)/], ['shorts', /^\/shorts\//], ['home', /^\/$/], ['search', /^\/results$/]],
+        playerSelectors: {
+            watch: '#movie_player',
+            shorts: '.html5-video-player'
+        },
+        miniplayer: null,
+        navigationEvents: { start: ['state-navigatestart'], update: ['state-navigateend'] },
+        skipStrategies: PLAYER_SKIP_STRATEGIES,
+        usesYouTubeConfig: false
+    },
+    {
+        name: 'nocookie',
+        hosts: ['youtube-nocookie.com'],
+        selectors: DESKTOP_AD_SELECTORS,
+        hideStrategies: DESKTOP_HIDE_STRATEGIES,
+        pageStates: [['embed', /^\/embed\//]],
+        playerSelectors: { embed: '#movie_player' },
+        miniplayer: null,
+        // Embeds don't navigate in-page; the player is looked up again when it is replaced
+        navigationEvents: { start: [], update: [] },
+        skipStrategies: PLAYER_SKIP_STRATEGIES,
+        usesYouTubeConfig: true
+    },
+    {
+        name: 'desktop',
+        hosts: ['youtube.com'],
+        selectors: DESKTOP_AD_SELECTORS,
+        hideStrategies: DESKTOP_HIDE_STRATEGIES,
+        pageStates: [
+            ['embed', /^\/embed\//],
+            ['watch', /^\/(?:watch$|live\/)/],
+            ['shorts', /^\/shorts\//],
+            ['home', /^\/$/],
+            ['search', /^\/results$/]
+        ],
+        // The miniplayer shows the watch page's player
+        playerSelectors: {
+            watch: '#movie_player',
+            shorts: '#shorts-player',
+            embed: '#movie_player',
+            miniplayer: '#movie_player'
+        },
+        miniplayer: { selector: 'ytd-app', attribute: 'miniplayer-is-active' },
+        navigationEvents: { start: ['yt-navigate-start'], update: ['yt-navigate-finish', 'yt-page-data-updated'] },
+        skipStrategies: PLAYER_SKIP_STRATEGIES,
+        usesYouTubeConfig: true
+    }
+];
+
+/**
+ * Returns the surface of a host.
+ * @param {string} hostname - The page's host.
+ * @returns {Surface|null} The surface, or null if Advault has none for the host.
+ */
+function getSurface(hostname) {
+    return SURFACES.find(surface =>
+        surface.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) || null;
+}
+
+export { SURFACES, getSurface };
@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * @file AdvaultTabStats.js
+ * @description Per-tab blocking statistics for Advault's badge and popup.
+ * Counts blocked requests from `getMatchedRules`, broken down by ruleset and domain, plus the ad
+ * elements the YouTube content script removed or skipped and the time its observer spent.
+ * Counts live in `chrome.storage.session` and restart whenever the tab navigates to a new page.
+ *
+ * Matches are folded into the stored counts when the popup asks for them; the badge shows the
+ * browser's own live count. `getMatchedRules` is limited to a few calls per ten minutes
+ * (MAX_GETMATCHEDRULES_CALLS_PER_INTERVAL), so it is never called on navigation, and over the
+ * quota the stored counts are returned as they are. The browser only keeps matches for five
+ * minutes, so the popup's counts can miss older requests of long-open pages.
+ */
+
+import { getAnchoredHosts } from "./AdvaultListVerifier.js";
+
+const TAB_STATS_KEY_PREFIX = "tabStats:";
+
+// The error `getMatchedRules` throws over its quota names the quota
+const QUOTA_ERROR_PATTERN = /MAX_GETMATCHEDRULES_CALLS_PER_INTERVAL/;
+
+// Ruleset ids `getMatchedRules` reports for non-static rules
+const DYNAMIC_RULESET_ID = "_dynamic";
+const SESSION_RULESET_ID = "_session";
+
+// Rules of every ruleset, keyed by "<rulesetId>:<ruleId>"; built on first use
+let ruleIndex = null;
+
+// Stats updates run one after another, so concurrent reports don't overwrite each other's counts
+let statsQueue = Promise.resolve();
+
+/**
+ * @typedef {object} TabStats
+ * @property {number} navigatedAt - When the current page was committed (ms since epoch).
+ * @property {number} syncedUntil - Time stamp of the newest matched rule already counted.
+ * @property {number} blocked - Number of blocked requests.
+ * @property {Object<string, number>} rulesets - Blocked requests per ruleset id.
+ * @property {Object<string, number>} domains - Blocked requests per matched domain.
+ * @property {number} removedElements - Ad elements the content script hid, collapsed, removed or neutralised.
+ * @property {number} skippedAds - Video ads the content script skipped.
+ * @property {number} scanPasses - Observer passes the content script ran.
+ * @property {number} scanTimeMs - Time those passes took in total.
+ * @property {string} [syncError] - Why the blocked requests could not be counted just now; only in
+ * the stats returned by syncMatchedRules, never stored.
+ */
+
+/**
+ * Creates empty stats for a page.
+ * @param {number} navigatedAt - When the page was committed.
+ * @returns {TabStats} The stats.
+ */
+function createTabStats(navigatedAt) {
+  return {
+    navigatedAt,
+    syncedUntil: navigatedAt,
+    blocked: 0,
+    rulesets: {},
+    domains: {},
+    removedElements: 0,
+    skippedAds: 0,
+    scanPasses: 0,
+    scanTimeMs: 0
+  };
+}
+
+/**
+ * Loads the stats of a tab.
+ * @param {number} tabId - The tab id.
+ * @returns {Promise<TabStats>} The stats, empty if the tab has none yet.
+ */
+async function loadTabStats(tabId) {
+  const key = TAB_STATS_KEY_PREFIX + tabId;
+  const data = await chrome.storage.session.get(key);
+  return data[key] || createTabStats(0);
+}
+
+/**
+ * Stores the stats of a tab.
+ * @param {number} tabId - The tab id.
+ * @param {TabStats} stats - The stats.
+ */
+async function saveTabStats(tabId, stats) {
+  await chrome.storage.session.set({ [TAB_STATS_KEY_PREFIX + tabId]: stats });
+}
+
+/**
+ * Runs a stats update after the ones already queued.
+ * @param {function(): Promise<*>} task - The update.
+ * @returns {Promise<*>} The task's result.
+ */
+function enqueueStatsUpdate(task) {
+  const run = statsQueue.then(task);
+  statsQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Builds the lookup of every installed rule, so a matched rule id can be traced back
+ * to its action and domains.
+ * @returns {Promise<Map<string, object>>} The rules by "<rulesetId>:<ruleId>".
+ */
+async function getRuleIndex() {
+  if (ruleIndex) return ruleIndex;
+  const index = new Map();
+  const resources = chrome.runtime.getManifest().declarative_net_request?.rule_resources || [];
+  for (const resource of resources) {
+    const response = await fetch(chrome.runtime.getURL(resource.path));
+    for (const rule of await response.json()) {
+      index.set(`${resource.id}:${rule.id}`, rule);
+    }
+  }
+  ruleIndex = index;
+  return index;
+}
+
+/**
+ * Looks up a matched rule.
+ * @param {{ruleId: number, rulesetId: string}} matched - The rule reported by `getMatchedRules`.
+ * @param {Map<string, object>} staticRules - The static rule index.
+ * @param {Map<number, object>} dynamicRules - The current dynamic and session rules by id.
+ * @returns {object|undefined} The rule, if it still exists.
+ */
+function findMatchedRule({ ruleId, rulesetId }, staticRules, dynamicRules) {
+  if (rulesetId === DYNAMIC_RULESET_ID || rulesetId === SESSION_RULESET_ID) {
+    return dynamicRules.get(ruleId);
+  }
+  return staticRules.get(`${rulesetId}:${ruleId}`);
+}
+
+/**
+ * Names the domain a blocking rule stands for. Rules packing many domains cannot tell which
+ * one a request hit, so they are reported as a group.
+ * @param {object|undefined} rule - The matched rule.
+ * @returns {string} The domain label.
+ */
+function getDomainLabel(rule) {
+  const hosts = rule ? getAnchoredHosts(rule) : [];
+  if (hosts.length === 1) return hosts[0];
+  if (hosts.length > 1) return `one of ${hosts.length} domains (rule ${rule.id})`;
+  return "other";
+}
+
+/**
+ * Folds the rules matched in a tab since the last sync into its stats.
+ * Allow rules also show up as matches; only block and redirect rules are counted.
+ * @param {number} tabId - The tab id.
+ * @returns {Promise<TabStats>} The updated stats; over the `getMatchedRules` quota, the stored stats
+ * with a `syncError`.
+ */
+function syncMatchedRules(tabId) {
+  return enqueueStatsUpdate(async () => {
+    const stats = await loadTabStats(tabId);
+    let rulesMatchedInfo;
+    try {
+      ({ rulesMatchedInfo } = await chrome.declarativeNetRequest.getMatchedRules({
+        tabId,
+        minTimeStamp: stats.syncedUntil + 1
+      }));
+    } catch (error) {
+      if (!QUOTA_ERROR_PATTERN.test(error.message)) throw error;
+      console.warn(`Could not count the blocked requests of tab ${tabId}:`, error.message);
+      return { ...stats, syncError: "The browser limits how often blocked requests can be counted; try again in a few minutes." };
+    }
+    if (rulesMatchedInfo.length === 0) return stats;
+
+    const staticRules = await getRuleIndex();
+    const dynamicRules = new Map([
+      ...await chrome.declarativeNetRequest.getDynamicRules(),
+      ...await chrome.declarativeNetRequest.getSessionRules()
+    ].map(rule => [rule.id, rule]));
+
+    for (const { rule: matched, timeStamp } of rulesMatchedInfo) {
+      stats.syncedUntil = Math.max(stats.syncedUntil, timeStamp);
+      const rule = findMatchedRule(matched, staticRules, dynamicRules);
+      if (rule && rule.action.type !== "block" && rule.action.type !== "redirect") continue;
+
+      const domain = getDomainLabel(rule);
+      stats.blocked++;
+      stats.rulesets[matched.rulesetId] = (stats.rulesets[matched.rulesetId] || 0) + 1;
+      stats.domains[domain] = (stats.domains[domain] || 0) + 1;
+    }
+    await saveTabStats(tabId, stats);
+    return stats;
+  });
+}
+
+/**
+ * Starts fresh stats for a tab that committed a new page.
+ * @param {number} tabId - The tab id.
+ * @param {number} navigatedAt - When the page was committed.
+ */
+function resetTabStats(tabId, navigatedAt) {
+  return enqueueStatsUpdate(() => saveTabStats(tabId, createTabStats(navigatedAt)));
+}
+
+/**
+ * Adds the counts reported by a content script.
+ * @param {number} tabId - The tab id.
+ * @param {{removedElements?: number, skippedAds?: number, scanPasses?: number, scanTimeMs?: number}} counts
+ * Counts since the last report.
+ * @returns {Promise<TabStats>} The updated stats.
+ */
+function recordContentStats(tabId, { removedElements = 0, skippedAds = 0, scanPasses = 0, scanTimeMs = 0 }) {
+  return enqueueStatsUpdate(async () => {
+    const stats = await loadTabStats(tabId);
+    stats.removedElements += removedElements;
+    stats.skippedAds += skippedAds;
+    stats.scanPasses += scanPasses;
+    stats.scanTimeMs += scanTimeMs;
+    await saveTabStats(tabId, stats);
+    return stats;
+  });
+}
+
+/**
+ * Removes the stats of a closed tab.
+ * @param {number} tabId - The tab id.
+ */
+function clearTabStats(tabId) {
+  return enqueueStatsUpdate(() => chrome.storage.session.remove(TAB_STATS_KEY_PREFIX + tabId));
+}
+
+export {
+  clearTabStats,
+  recordContentStats,
+  resetTabStats,
+  syncMatchedRules
+};
@@ -0,0 +1,314 @@
+'use strict';
+
+/**
+ * @file AdvaultYouTubeConfig.js
+ * @description The YouTube config of Advault's background worker: ad selectors, scriptlets,
+ * ytcfg experiment flags and skip strategies for the YouTube content script.
+ * The config is a versioned JSON document fetched from Advault's server on its own schedule,
+ * validated against the schema this version understands and cached in `chrome.storage.local`.
+ * The copy bundled at data/YTP.json is used until a newer valid revision has been downloaded.
+ * Open YouTube tabs receive a new config by message, without a reload.
+ */
+
+import { isValidHostname } from "./AdvaultFilterParser.js";
+import {
+  SCRIPTLET_NAMES,
+  YTP_HOSTNAMES,
+  buildYtpScriptletFilters,
+  matchesSite,
+  setScriptletFilters
+} from "./AdvaultScriptlets.js";
+
+// Only over HTTPS: the config decides which scriptlets run in YouTube pages
+const YOUTUBE_CONFIG_URL = "https://185.107.97.246:8080/YTP.json";
+const BUNDLED_CONFIG_PATH = "data/YTP.json";
+const YOUTUBE_CONFIG_STORAGE_KEY = "youtubeConfig"; // { config, fetchedAt, etag, error }
+
+// Schema version of the config documents this version understands
+const YOUTUBE_CONFIG_SCHEMA_VERSION = 1;
+
+const YOUTUBE_CONFIG_ALARM = "youtubeConfigRefresh";
+const YOUTUBE_CONFIG_REFRESH_MINUTES = 12 * 60;
+
+// Tabs that get a new config pushed to them
+const YOUTUBE_TAB_PATTERNS = ["https://*.youtube.com/*", "https://*.youtube-nocookie.com/*"];
+
+// Skip strategies the content script knows (see AdvaultAdSkipper.js); the ones that click need selectors
+const SKIP_STRATEGY_TYPES = ["click", "mute", "seek", "speed", "dismiss"];
+const CLICKING_SKIP_STRATEGY_TYPES = ["click", "dismiss"];
+const MAX_PLAYBACK_RATE = 16;
+
+// Hide strategies the content script knows (see AdvaultHideStrategies.js)
+const HIDE_STRATEGY_TYPES = ["remove", "hide", "collapse", "neutralise"];
+
+// Sanity limits of a config document
+const MAX_CONFIG_SELECTORS = 1000;
+const MAX_SELECTOR_LENGTH = 500;
+
+/**
+ * @typedef {object} YouTubeConfig
+ * @property {number} schemaVersion - Version of the document format.
+ * @property {number} revision - Revision of the content; a higher revision replaces a lower one.
+ * @property {string} minExtensionVersion - Oldest Advault version that can use the document.
+ * @property {boolean} [enabled] - False turns off the flags and scriptlets.
+ * @property {string} [message] - A note logged by the content script.
+ * @property {string[]} selectors - Ad element selectors, added to the content script's own.
+ * @property {Object<string, boolean|number|string>} flags - ytcfg experiment flags to override.
+ * @property {{name: string, args?: string[], hostnames?: string[]}[]} scriptlets - Scriptlets for YouTube;
+ * their `hostnames` may only name YouTube hosts (YTP_HOSTNAMES and their subdomains).
+ * @property {{type: string, selectors?: string[], rate?: number}[]} skipStrategies - How to skip ads that
+ * play anyway: the chain of strategies, tried in order.
+ * @property {Object<string, string>} [hideStrategies] - Hide strategy by selector, overriding the content
+ * script's own; selectors without one are hidden.
+ */
+
+/**
+ * Compares two dotted version numbers.
+ * @param {string} a - The first version.
+ * @param {string} b - The second version.
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal.
+ */
+function compareVersions(a, b) {
+  const partsA = a.split(".").map(Number);
+  const partsB = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Checks a list of selectors.
+ * @param {*} selectors - The value to check.
+ * @param {string} field - The field name, for the error message.
+ * @throws {Error} If it is not a list of plausible selectors.
+ */
+function validateSelectors(selectors, field) {
+  if (!Array.isArray(selectors) || selectors.length > MAX_CONFIG_SELECTORS) {
+    throw new Error(`${field} must be a list of at most ${MAX_CONFIG_SELECTORS} selectors`);
+  }
+  for (const selector of selectors) {
+    if (typeof selector !== "string" || selector.trim() === "" || selector.length > MAX_SELECTOR_LENGTH || /[{}]/.test(selector)) {
+      throw new Error(`${field} has an invalid selector: ${JSON.stringify(selector)}`);
+    }
+  }
+}
+
+/**
+ * Checks a config document against the schema.
+ * @param {*} config - The parsed document.
+ * @returns {YouTubeConfig} The config.
+ * @throws {Error} If the document is invalid or needs a newer Advault.
+ */
+function validateYouTubeConfig(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("The config is not a JSON object");
+  }
+  if (config.schemaVersion !== YOUTUBE_CONFIG_SCHEMA_VERSION) {
+    throw new Error(`Unsupported schema version ${config.schemaVersion}, expected ${YOUTUBE_CONFIG_SCHEMA_VERSION}`);
+  }
+  if (!Number.isInteger(config.revision) || config.revision < 1) {
+    throw new Error("revision must be a positive integer");
+  }
+  if (typeof config.minExtensionVersion !== "string" || !/^\d+(?:\.\d+)*$/.test(config.minExtensionVersion)) {
+    throw new Error("minExtensionVersion must be a version number");
+  }
+  const extensionVersion = chrome.runtime.getManifest().version;
+  if (compareVersions(config.minExtensionVersion, extensionVersion) > 0) {
+    throw new Error(`The config needs Advault ${config.minExtensionVersion}, this is ${extensionVersion}`);
+  }
+  if ("enabled" in config && typeof config.enabled !== "boolean") {
+    throw new Error("enabled must be true or false");
+  }
+  if ("message" in config && typeof config.message !== "string") {
+    throw new Error("message must be a string");
+  }
+
+  validateSelectors(config.selectors, "selectors");
+
+  if (!config.flags || typeof config.flags !== "object" || Array.isArray(config.flags)) {
+    throw new Error("flags must be an object");
+  }
+  for (const [flag, value] of Object.entries(config.flags)) {
+    if (!/^\w+$/.test(flag) || !["boolean", "number", "string"].includes(typeof value)) {
+      throw new Error(`Invalid flag: ${flag}`);
+    }
+  }
+
+  if (!Array.isArray(config.scriptlets)) {
+    throw new Error("scriptlets must be a list");
+  }
+  for (const scriptlet of config.scriptlets) {
+    if (!scriptlet || !SCRIPTLET_NAMES.includes(scriptlet.name)) {
+      throw new Error(`Unknown scriptlet: ${scriptlet && scriptlet.name}`);
+    }
+    if ("args" in scriptlet && (!Array.isArray(scriptlet.args) || scriptlet.args.some(arg => typeof arg !== "string"))) {
+      throw new Error(`The arguments of ${scriptlet.name} must be strings`);
+    }
+    if ("hostnames" in scriptlet && (!Array.isArray(scriptlet.hostnames) || !scriptlet.hostnames.every(isValidHostname))) {
+      throw new Error(`The hostnames of ${scriptlet.name} are invalid`);
+    }
+    // A config must not run scriptlets anywhere but on YouTube
+    const foreign = (scriptlet.hostnames || []).find(hostname => !matchesSite(hostname, YTP_HOSTNAMES));
+    if (foreign !== undefined) {
+      throw new Error(`${scriptlet.name} may only run on YouTube, not on ${foreign}`);
+    }
+  }
+
+  if (!Array.isArray(config.skipStrategies)) {
+    throw new Error("skipStrategies must be a list");
+  }
+  for (const strategy of config.skipStrategies) {
+    if (!strategy || !SKIP_STRATEGY_TYPES.includes(strategy.type)) {
+      throw new Error(`Unknown skip strategy: ${strategy && strategy.type}`);
+    }
+    if (CLICKING_SKIP_STRATEGY_TYPES.includes(strategy.type)) {
+      validateSelectors(strategy.selectors, `The ${strategy.type} skip strategy`);
+    }
+    if ("rate" in strategy && (typeof strategy.rate !== "number" || strategy.rate < 1 || strategy.rate > MAX_PLAYBACK_RATE)) {
+      throw new Error(`The rate of the ${strategy.type} skip strategy must be between 1 and ${MAX_PLAYBACK_RATE}`);
+    }
+  }
+
+  if ("hideStrategies" in config) {
+    if (!config.hideStrategies || typeof config.hideStrategies !== "object" || Array.isArray(config.hideStrategies)) {
+      throw new Error("hideStrategies must be an object");
+    }
+    validateSelectors(Object.keys(config.hideStrategies), "hideStrategies");
+    for (const [selector, strategy] of Object.entries(config.hideStrategies)) {
+      if (!HIDE_STRATEGY_TYPES.includes(strategy)) {
+        throw new Error(`Unknown hide strategy for ${selector}: ${strategy}`);
+      }
+    }
+  }
+  return config;
+}
+
+/**
+ * Loads the config bundled with the extension.
+ * @returns {Promise<YouTubeConfig>} The bundled config.
+ */
+async function loadBundledConfig() {
+  const response = await fetch(chrome.runtime.getURL(BUNDLED_CONFIG_PATH));
+  return validateYouTubeConfig(await response.json());
+}
+
+/**
+ * Returns the config in effect: the downloaded one if it is still valid for this version and
+ * not older than the bundled one, the bundled one otherwise.
+ * @returns {Promise<{config: YouTubeConfig, source: string, fetchedAt: number|null, error: object|null}>}
+ * The config, where it came from ("remote" or "bundled"), when it was downloaded and the last download error.
+ */
+async function getYouTubeConfig() {
+  const bundled = await loadBundledConfig();
+  const data = await chrome.storage.local.get(YOUTUBE_CONFIG_STORAGE_KEY);
+  const cached = data[YOUTUBE_CONFIG_STORAGE_KEY] || {};
+  const error = cached.error || null;
+
+  if (cached.config) {
+    try {
+      const config = validateYouTubeConfig(cached.config);
+      if (config.revision >= bundled.revision) {
+        return { config, source: "remote", fetchedAt: cached.fetchedAt, error };
+      }
+    } catch (validationError) {
+      console.warn("Ignoring the cached YouTube config:", validationError.message);
+    }
+  }
+  return { config: bundled, source: "bundled", fetchedAt: null, error };
+}
+
+/**
+ * Sends the config to every open YouTube tab. Tabs without the content script are skipped.
+ * @param {YouTubeConfig} config - The config.
+ */
+async function pushConfigToTabs(config) {
+  const tabs = await chrome.tabs.query({ url: YOUTUBE_TAB_PATTERNS });
+  await Promise.all(tabs.map(tab =>
+    chrome.tabs.sendMessage(tab.id, { type: "youtubeConfigUpdated", config })
+      .catch(error => console.debug(`Could not send the YouTube config to tab ${tab.id}:`, error.message))));
+}
+
+/**
+ * Puts the config in effect in place: its scriptlets for new pages, and its selectors
+ * and skip strategies in the open YouTube tabs.
+ * @returns {Promise<YouTubeConfig>} The config applied.
+ */
+async function applyYouTubeConfig() {
+  const { config, source } = await getYouTubeConfig();
+  await setScriptletFilters("ytp", buildYtpScriptletFilters(config));
+  await pushConfigToTabs(config);
+  console.log(`Applied the ${source} YouTube config, revision ${config.revision}.`);
+  return config;
+}
+
+/**
+ * Downloads the config and applies it if it is valid and differs from the one in effect.
+ * A failed or invalid download, or one older than the config in effect, leaves the current config in place.
+ * @returns {Promise<{changed: boolean, error?: string}>} Whether a new config was applied.
+ */
+async function refreshYouTubeConfig() {
+  const data = await chrome.storage.local.get(YOUTUBE_CONFIG_STORAGE_KEY);
+  const cached = data[YOUTUBE_CONFIG_STORAGE_KEY] || {};
+  const headers = cached.config && cached.etag ? { "If-None-Match": cached.etag } : {};
+
+  try {
+    const response = await fetch(YOUTUBE_CONFIG_URL, { cache: "no-store", headers });
+    if (response.status === 304) {
+      await chrome.storage.local.set({ [YOUTUBE_CONFIG_STORAGE_KEY]: { ...cached, fetchedAt: Date.now(), error: null } });
+      return { changed: false };
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const config = validateYouTubeConfig(await response.json());
+    const { config: current } = await getYouTubeConfig();
+    // A replayed older document must not take back what a newer revision changed
+    if (config.revision < current.revision) {
+      throw new Error(`Revision ${config.revision} is older than revision ${current.revision} in effect`);
+    }
+    await chrome.storage.local.set({
+      [YOUTUBE_CONFIG_STORAGE_KEY]: { config, fetchedAt: Date.now(), etag: response.headers.get("ETag"), error: null }
+    });
+    if (config.revision === current.revision) {
+      return { changed: false };
+    }
+    const applied = await applyYouTubeConfig();
+    return { changed: applied.revision !== current.revision };
+  } catch (error) {
+    console.error("Failed to update the YouTube config:", error);
+    await chrome.storage.local.set({
+      [YOUTUBE_CONFIG_STORAGE_KEY]: { ...cached, error: { message: error.message, at: Date.now() } }
+    });
+    return { changed: false, error: error.message };
+  }
+}
+
+/**
+ * Creates the refresh alarm of the config, unless it exists already.
+ */
+async function scheduleYouTubeConfigRefresh() {
+  if (await chrome.alarms.get(YOUTUBE_CONFIG_ALARM)) return;
+  chrome.alarms.create(YOUTUBE_CONFIG_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: YOUTUBE_CONFIG_REFRESH_MINUTES
+  });
+}
+
+/**
+ * Tells whether an alarm is the config refresh alarm.
+ * @param {string} alarmName - The alarm name.
+ * @returns {boolean} True for the config refresh alarm.
+ */
+function isYouTubeConfigAlarm(alarmName) {
+  return alarmName === YOUTUBE_CONFIG_ALARM;
+}
+
+export {
+  applyYouTubeConfig,
+  getYouTubeConfig,
+  isYouTubeConfigAlarm,
+  refreshYouTubeConfig,
+  scheduleYouTubeConfigRefresh
+};
@@ -1,150 +1,722 @@
 'use strict';
 
+import { parseFilterList } from "./AdvaultFilterParser.js";
+import { compactRules } from "./AdvaultRuleCompactor.js";
+import { applyRuleSet } from "./AdvaultRuleUpdater.js";
+import { removeCriticalRules } from "./AdvaultListVerifier.js";
+import { getListHistory, getListVersionText } from "./AdvaultListHistory.js";
+import { getRulesetCategories, restoreRulesetPreferences, updateEnabledRulesets } from "./AdvaultRulesets.js";
+import { applyLintGate, lintRules } from "./AdvaultRuleLinter.js";
+import {
+  MAX_ALLOWLIST_ENTRIES,
+  addToAllowlist,
+  applyAllowlistRules,
+  getAllowlist,
+  isAllowlisted,
+  normalizeSite,
+  removeFromAllowlist
+} from "./AdvaultAllowlist.js";
+import { applyCosmeticFilters, hideSelectorInFrame, removeCosmeticFilters, setCosmeticFilters } from "./AdvaultCosmetic.js";
+import {
+  MAX_CUSTOM_RULES,
+  addCustomFilter,
+  applyCustomFilters,
+  getCustomFilters,
+  saveCustomFilters,
+  validateCustomFilters
+} from "./AdvaultCustomFilters.js";
+import { applyScriptlets, setScriptletFilters, updateScriptletRegistration } from "./AdvaultScriptlets.js";
+import { removeLegacyResumePoint, saveResumePoint, takeResumePoint } from "./AdvaultResumeStore.js";
+import { addSegment, clearSegments, getSegmentSummary, getSegments, importSegments } from "./AdvaultSegments.js";
+import { getPrivacySettings, restorePrivacySettings, setPrivacySetting } from "./AdvaultPrivacy.js";
+import { getSettings, updateSettings } from "./AdvaultSettings.js";
+import { clearTabStats, recordContentStats, resetTabStats, syncMatchedRules } from "./AdvaultTabStats.js";
+import {
+  acceptQuarantinedList,
+  addSubscription,
+  editSubscription,
+  ensureDefaultSubscriptions,
+  fetchSubscription,
+  getListText,
+  getSubscriptionIdFromAlarm,
+  getSubscriptions,
+  removeSubscription,
+  scheduleSubscriptionAlarm,
+  setListText,
+  updateSubscription
+} from "./AdvaultSubscriptions.js";
+import {
+  applyYouTubeConfig,
+  getYouTubeConfig,
+  isYouTubeConfigAlarm,
+  refreshYouTubeConfig,
+  scheduleYouTubeConfigRefresh
+} from "./AdvaultYouTubeConfig.js";
+
 // *** CRITICAL DO NOT CHANGE ***
 const ADVAULT_LIST_URL = "http://185.107.97.246:8080/full_blocklist.txt"; // Points to Advault's endpoint.
 // **************************
 
-const BLOCK_LIST_STORAGE_KEY = "blockedDomains"; // For caching the raw domains
+const BLOCK_LIST_STORAGE_KEY = "blockedDomains"; // Raw list cache of versions before subscriptions
+const PARSE_REPORT_STORAGE_KEY = "blockListParseReport"; // Parse and compaction report of the last list
+// Number of lint findings kept in a parse report
+const MAX_REPORTED_FINDINGS = 100;
 const DNR_RULE_ID_OFFSET = 1; 
+// List rules use ids below this limit; the ids above it are reserved for other rule sources
+const LIST_RULE_ID_LIMIT = 1000000;
+
+// Dynamic rule id range and id bookkeeping of the block list rules
+const LIST_RULE_SCOPE = {
+  firstId: DNR_RULE_ID_OFFSET,
+  lastId: LIST_RULE_ID_LIMIT - 1,
+  storageKey: "listRuleState"
+};
+
+// Context menu entry that starts the element picker
+const PICKER_MENU_ID = "advault-block-element";
 
-// Set up an alarm to regularly fetch and update the block list
-// Use MINUTES, as the API expects minutes. 6 hours = 360 minutes
-const UPDATE_INTERVAL_MINUTES = 6 * 60; // Every 6 hours
+// The MAIN world player response pruner, registered while ad data pruning is on (see updatePlayerPrunerRegistration)
+const PLAYER_PRUNER_SCRIPT = {
+  id: "playerPruner",
+  matches: ["https://*.youtube.com/*", "https://*.youtube-nocookie.com/*"],
+  js: ["AdvaultPlayerPruner.js"],
+  allFrames: true,
+  runAt: "document_start",
+  world: "MAIN"
+};
+
+// Subscriptions created on install. More lists are added at runtime through the
+// `addSubscription` message, without touching this file.
+const DEFAULT_SUBSCRIPTIONS = [
+  { id: "advault", title: "Advault full blocklist", url: ADVAULT_LIST_URL }
+];
 
 /**
- * Fetches the block list from AdVault, converts it to declarativeNetRequest rules,
- * and applies them dynamically.
+ * Reads the browser's dynamic rule limits available to list rules, falling back to the
+ * documented minimums. The budgets of the allowlist and the custom filters are set aside.
+ * @returns {{maxRules: number, maxUnsafeRules: number, maxRegexRules: number}} The limits.
  */
-async function fetchAndApplyBlockList() {
-  console.log("Attempting to fetch and apply block list from AdVault...");
-  try {
-    const response = await fetch(ADVAULT_LIST_URL);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+function getDynamicRuleLimits() {
+  const dnr = chrome.declarativeNetRequest;
+  const maxRules = dnr.MAX_NUMBER_OF_DYNAMIC_RULES ?? dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES ?? 5000;
+  return {
+    maxRules: maxRules - MAX_ALLOWLIST_ENTRIES - MAX_CUSTOM_RULES,
+    maxUnsafeRules: dnr.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES ?? 5000,
+    maxRegexRules: dnr.MAX_NUMBER_OF_REGEX_RULES ?? 1000
+  };
+}
+
+/**
+ * Validates regex filters with the browser's RE2 engine, for the rule linter.
+ * @param {{regex: string, isCaseSensitive: boolean}} options - The regex to check.
+ * @returns {Promise<{isSupported: boolean, reason?: string}>} The result.
+ */
+function isRegexSupported(options) {
+  return chrome.declarativeNetRequest.isRegexSupported(options);
+}
+
+/**
+ * Parses a raw filter list, lints it and compacts it to fit the dynamic rule limits.
+ * Accepts hosts files, plain domain lists and Adblock Plus/uBlock network, element hiding and scriptlet filters.
+ * Rules with lint errors (over-broad, protected domains, invalid regexes) are never applied.
+ * @param {string} listText - The raw list text.
+ * @returns {Promise<{entries: {key: string, rule: object}[], cosmetic: object[], scriptlets: object[], report: object}>}
+ * The keyed rules, the element hiding and scriptlet filters and a parse report.
+ */
+async function buildRulesFromList(listText) {
+  const { rules: parsedRules, cosmetic, scriptlets, stats, unsupported } = parseFilterList(listText);
+  const { rules: safeRules, rejected } = removeCriticalRules(parsedRules);
+  const findings = await lintRules(safeRules, { isRegexSupported });
+  const { rules, rejected: lintRejected } = applyLintGate(safeRules, findings);
+  const compaction = compactRules(rules, getDynamicRuleLimits());
+
+  if (stats.unsupported > 0) {
+    console.warn(`Skipped ${stats.unsupported} list lines that cannot be converted to rules:`, unsupported);
+  }
+  if (rejected.length > 0) {
+    console.warn(`Rejected ${rejected.length} rules that would block critical domains:`, rejected);
+  }
+  if (lintRejected.length > 0) {
+    console.warn(`Rejected ${lintRejected.length} rules with lint errors:`, findings.filter(finding => finding.severity === "error"));
+  }
+  if (compaction.stats.droppedRules > 0) {
+    console.warn(`Dropped ${compaction.stats.droppedRules} rules (${compaction.stats.droppedDomains} domains) to stay within the dynamic rule limit:`, compaction.dropped);
+  }
+  return {
+    entries: compaction.entries,
+    cosmetic,
+    scriptlets,
+    report: {
+      ...stats,
+      unsupportedSample: unsupported,
+      rejectedCriticalRules: rejected,
+      lint: {
+        errors: findings.filter(finding => finding.severity === "error").length,
+        warnings: findings.filter(finding => finding.severity === "warning").length,
+        findingsSample: findings.slice(0, MAX_REPORTED_FINDINGS).map(finding => ({ ...finding, rule: safeRules[finding.index] }))
+      },
+      compaction: { ...compaction.stats, droppedSample: compaction.dropped },
+      parsedAt: Date.now()
     }
-    const text = await response.text();
-    // Split by newline and filter out empty lines or comments (starting with #)
-    const rawDomains = text.split('\n')
-                               .map(line => line.trim())
-                               .filter(line => line.length > 0 && !line.startsWith('#'));
-
-    // FIX: Corrected typo from 'Workspaceed' to 'Fetched'
-    console.log(`Workspaceed ${rawDomains.length} domains from AdVault.`); // Corrected typo here
-
-    // Convert raw domains to declarativeNetRequest rules
-    const newRules = rawDomains.map((domain, index) => ({
-      id: DNR_RULE_ID_OFFSET + index, // Unique ID for each rule
-      priority: 1, // Lower numbers are higher priority, 1 is a good default
-      action: { type: "block" }, // Block the request
-      condition: {
-        urlFilter: `||${domain}^`, // Block specific domain and its subdomains
-        resourceTypes: [
-          "main_frame", "sub_frame", "stylesheet", "script",
-          "image", "font", "media", "websocket",
-          "xmlhttprequest", "ping", "csp_report", "other"
-        ]
-      }
-    }));
-
-    // Get current dynamic rules to remove old ones before adding new ones
-    const currentRules = await chrome.declarativeNetRequest.getDynamicRules();
-    const oldRuleIds = currentRules.map(rule => rule.id);
-
-    // Update dynamic rules: remove old, add new
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: oldRuleIds,
-      addRules: newRules
-    });
+  };
+}
 
-    console.log(`Successfully updated ${newRules.length} declarativeNetRequest rules.`);
+/**
+ * Applies list rules incrementally. Rules that did not change keep their id and stay in place,
+ * so blocking never pauses during a refresh and a failed update leaves the previous rules active.
+ * @param {{key: string, rule: object}[]} entries - The keyed rules to apply.
+ * @returns {Promise<object>} What the update changed.
+ */
+async function applyListRules(entries) {
+  const result = await applyRuleSet(entries, LIST_RULE_SCOPE);
+  console.log(`Dynamic rules updated: ${result.added} added, ${result.replaced} replaced, ${result.removed} removed, ${result.unchanged} unchanged.`);
+  return result;
+}
 
-    // Store the raw list in local storage for persistence and quick loading on restart
-    await chrome.storage.local.set({ [BLOCK_LIST_STORAGE_KEY]: rawDomains });
-    console.log("Raw block list stored locally.");
+let ruleUpdateQueue = Promise.resolve();
 
-  } catch (error) {
-    console.error("Failed to fetch or apply block list:", error);
-    // If fetching fails, try to load from storage and apply as a fallback
-    await loadBlockListFromStorageAndApply();
+/**
+ * Runs rule updates one after another. Alarms of several lists can fire together,
+ * and two overlapping incremental updates would compute their diffs against the same state.
+ * @param {function(): Promise<*>} task - The update to run.
+ * @returns {Promise<*>} The task's result.
+ */
+function enqueueRuleUpdate(task) {
+  const run = ruleUpdateQueue.then(task);
+  ruleUpdateQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Merges the cached text of every enabled subscription.
+ * @returns {Promise<{listText: string, listCount: number}>} The combined list text.
+ */
+async function getMergedListText() {
+  const subscriptions = await getSubscriptions();
+  const texts = [];
+  for (const subscription of subscriptions.filter(sub => sub.enabled)) {
+    const text = await getListText(subscription.id);
+    if (text) texts.push(text);
   }
+  return { listText: texts.join("\n"), listCount: texts.length };
 }
 
 /**
- * Loads the raw block list from local storage and applies it as declarativeNetRequest rules.
- * This is used for quick startup and as a fallback if fetching from AdVault fails.
+ * Loads the cached lists of all enabled subscriptions from local storage and applies them
+ * as declarativeNetRequest rules, element hiding filters and scriptlets.
+ * This is used for quick startup and whenever a subscription changes.
  */
 async function loadBlockListFromStorageAndApply() {
-  console.log("Attempting to load block list from storage and apply...");
-  try {
-    const data = await chrome.storage.local.get(BLOCK_LIST_STORAGE_KEY);
-    if (data[BLOCK_LIST_STORAGE_KEY] && data[BLOCK_LIST_STORAGE_KEY].length > 0) {
-      const rawDomains = data[BLOCK_LIST_STORAGE_KEY];
-      console.log(`Loaded ${rawDomains.length} domains from storage.`);
-
-      const newRules = rawDomains.map((domain, index) => ({
-        id: DNR_RULE_ID_OFFSET + index,
-        priority: 1,
-        action: { type: "block" },
-        condition: {
-          urlFilter: `||${domain}^`,
-          resourceTypes: [
-            "main_frame", "sub_frame", "stylesheet", "script",
-            "image", "font", "media", "websocket",
-            "xmlhttprequest", "ping", "csp_report", "other"
-          ]
-        }
-      }));
-
-      const currentRules = await chrome.declarativeNetRequest.getDynamicRules();
-      const oldRuleIds = currentRules.map(rule => rule.id);
-
-      await chrome.declarativeNetRequest.updateDynamicRules({
-        removeRuleIds: oldRuleIds,
-        addRules: newRules
-      });
-      console.log(`Successfully applied ${newRules.length} rules from storage.`);
-    } else {
-      console.log("No block list found in storage.");
+  console.log("Attempting to load block lists from storage and apply...");
+  await enqueueRuleUpdate(async () => {
+    try {
+      const { listText, listCount } = await getMergedListText();
+      const { entries, cosmetic, scriptlets, report } = await buildRulesFromList(listText);
+      console.log(`Loaded ${report.lines} list entries from ${listCount} enabled lists.`);
+
+      await applyListRules(entries);
+      report.elementHiding = await setCosmeticFilters("lists", cosmetic);
+      await setScriptletFilters("lists", scriptlets);
+      await chrome.storage.local.set({ [PARSE_REPORT_STORAGE_KEY]: report });
+      console.log(`Successfully applied ${entries.length} rules from storage.`);
+    } catch (error) {
+      console.error("Failed to load or apply block lists from storage:", error);
+    }
+  });
+}
+
+/**
+ * Reads the refresh interval of lists that don't announce their own `! Expires:` interval.
+ * @returns {Promise<number>} The interval in minutes.
+ */
+async function getUpdateIntervalMinutes() {
+  return (await getSettings()).updateIntervalMinutes;
+}
+
+/**
+ * Re-creates the refresh alarms of all subscriptions, e.g. after the update interval changed.
+ */
+async function rescheduleSubscriptionAlarms() {
+  const intervalMinutes = await getUpdateIntervalMinutes();
+  for (const subscription of await getSubscriptions()) {
+    await scheduleSubscriptionAlarm(subscription, intervalMinutes);
+  }
+}
+
+/**
+ * Changes settings, re-scheduling list refreshes if the update interval changed.
+ * @param {object} changes - The settings to change.
+ * @returns {Promise<object>} The updated settings.
+ */
+async function changeSettings(changes) {
+  const previous = await getSettings();
+  const settings = await updateSettings(changes);
+  if (settings.updateIntervalMinutes !== previous.updateIntervalMinutes) {
+    await rescheduleSubscriptionAlarms();
+  }
+  if (settings.youtube.pruneAdData !== previous.youtube.pruneAdData) {
+    await updatePlayerPrunerRegistration();
+  }
+  return settings;
+}
+
+/**
+ * Registers the player response pruner for YouTube pages while ad data pruning is on, minus the
+ * allowlisted sites. The content script can only turn pruning off once it has read the settings,
+ * after the page's first player response was already pruned; registering it accordingly keeps
+ * the pruner out of those pages from the start.
+ */
+async function updatePlayerPrunerRegistration() {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PLAYER_PRUNER_SCRIPT.id] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [PLAYER_PRUNER_SCRIPT.id] });
+  }
+  if (!(await getSettings()).youtube.pruneAdData) return;
+  const allowlist = await getAllowlist();
+  await chrome.scripting.registerContentScripts([{
+    ...PLAYER_PRUNER_SCRIPT,
+    excludeMatches: allowlist.flatMap(site => [`*://${site}/*`, `*://*.${site}/*`])
+  }]);
+}
+
+/**
+ * Refreshes one subscription and re-applies the merged rules if its list changed.
+ * @param {string} id - The subscription id.
+ * @returns {Promise<object>} The updated subscription.
+ */
+async function refreshSubscription(id) {
+  const { changed, subscription } = await fetchSubscription(id);
+  if (changed && subscription.enabled) {
+    await loadBlockListFromStorageAndApply();
+  }
+  // The list may have announced a different `! Expires:` interval
+  await scheduleSubscriptionAlarm(subscription, await getUpdateIntervalMinutes());
+  return subscription;
+}
+
+/**
+ * Lints every installed rule: the static rulesets declared in the manifest and the dynamic rules.
+ * Rules are linted together so shadowing across rulesets is found too.
+ * @returns {Promise<object[]>} The findings, each with the rule and the ruleset it belongs to.
+ */
+async function lintInstalledRules() {
+  const rules = [];
+  const sources = [];
+  const resources = chrome.runtime.getManifest().declarative_net_request?.rule_resources || [];
+  for (const resource of resources) {
+    const response = await fetch(chrome.runtime.getURL(resource.path));
+    for (const rule of await response.json()) {
+      rules.push(rule);
+      sources.push(resource.id);
+    }
+  }
+  for (const rule of await chrome.declarativeNetRequest.getDynamicRules()) {
+    rules.push(rule);
+    sources.push("dynamic");
+  }
+
+  const findings = await lintRules(rules, { isRegexSupported });
+  return findings.map(({ index, ...finding }) => ({ ...finding, source: sources[index], rule: rules[index] }));
+}
+
+/**
+ * Collects what the options page shows in its status panel.
+ * @returns {Promise<object>} Last update, rule counts, the last parse report and list errors.
+ */
+async function getStatus() {
+  const subscriptions = await getSubscriptions();
+  const data = await chrome.storage.local.get(PARSE_REPORT_STORAGE_KEY);
+  const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
+  const listRuleCount = dynamicRules.filter(rule => rule.id < LIST_RULE_ID_LIMIT).length;
+  const allowlistRuleCount = (await getAllowlist()).length;
+  const fetchTimes = subscriptions.map(sub => sub.lastFetched).filter(Boolean);
+  const youtubeConfig = await getYouTubeConfig();
+
+  return {
+    lastUpdated: fetchTimes.length > 0 ? Math.max(...fetchTimes) : null,
+    rules: {
+      list: listRuleCount,
+      allowlist: allowlistRuleCount,
+      custom: dynamicRules.length - listRuleCount - allowlistRuleCount,
+      enabledRulesets: await chrome.declarativeNetRequest.getEnabledRulesets(),
+      availableStaticRules: await chrome.declarativeNetRequest.getAvailableStaticRuleCount()
+    },
+    report: data[PARSE_REPORT_STORAGE_KEY] || null,
+    youtubeConfig: {
+      revision: youtubeConfig.config.revision,
+      source: youtubeConfig.source,
+      fetchedAt: youtubeConfig.fetchedAt
+    },
+    errors: subscriptions
+      .filter(sub => sub.error)
+      .map(sub => ({ id: sub.id, title: sub.title, message: sub.error.message, at: sub.error.at }))
+      .concat(youtubeConfig.error ? [{ id: "youtubeConfig", title: "YouTube config", ...youtubeConfig.error }] : [])
+  };
+}
+
+/**
+ * Starts the element picker in a frame. The picker is an ES module, so it is loaded with a
+ * dynamic import from a small injected function; importing it again just restarts it.
+ * @param {number} tabId - The tab id.
+ * @param {number} frameId - The frame the context menu was opened in.
+ */
+async function startElementPicker(tabId, frameId) {
+  await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    func: async pickerUrl => {
+      const { startElementPicker } = await import(pickerUrl);
+      startElementPicker();
+    },
+    args: [chrome.runtime.getURL("picker.js")]
+  });
+}
+
+/**
+ * Finds the site a picked element belongs to. Frames without a hostname of their own (`about:blank`,
+ * `about:srcdoc`, `data:`) count as their origin's site or else the tab's, so a filter never loses
+ * its site and hides the element everywhere.
+ * @param {object} sender - The picker's message sender.
+ * @returns {string|null} The hostname, or null if neither the frame nor the tab is a website.
+ */
+function getPickerHostname(sender) {
+  for (const url of [sender.url, sender.origin, sender.tab && sender.tab.url]) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if ((protocol === "http:" || protocol === "https:") && hostname) return hostname;
+    } catch (error) {
+      // Missing, or an opaque origin ("null")
     }
-  } catch (error) {
-    console.error("Failed to load or apply block list from storage:", error);
   }
+  return null;
 }
 
+/**
+ * Saves a selector chosen with the element picker as a `site##selector` filter of the user's
+ * own filters, and hides the matching elements in the frame right away.
+ * @param {string} selector - The CSS selector.
+ * @param {object} sender - The picker's message sender.
+ * @returns {Promise<{filter: string}>} The saved filter.
+ */
+async function addCosmeticFilter(selector, sender) {
+  const hostname = getPickerHostname(sender);
+  if (!hostname) {
+    throw new Error("Elements can only be blocked on websites.");
+  }
+  const filter = `${hostname.replace(/^www\./, "")}##${selector.trim()}`;
+  const { problems } = await enqueueRuleUpdate(() => addCustomFilter(filter, { isRegexSupported }));
+  const problem = problems.find(entry => entry.line === filter && entry.severity === "error");
+  if (problem) {
+    throw new Error(problem.message);
+  }
+  await hideSelectorInFrame({ tabId: sender.tab.id, frameId: sender.frameId }, selector);
+  return { filter };
+}
+
+/**
+ * Undoes what Advault changed in the pages of a tab: removes the element hiding style sheets and
+ * has the content script of every frame restore the elements it hid, collapsed, removed or muted.
+ * Blocked requests and scriptlets that already ran stay in effect until the page reloads.
+ * @param {number} tabId - The tab id.
+ * @returns {Promise<{restored: number}>} The number of changes undone.
+ */
+async function restorePage(tabId) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+  const counts = await Promise.all(frames.map(async ({ frameId, url }) => {
+    const removedStyles = await removeCosmeticFilters({ tabId, frameId, url })
+      .catch(error => console.debug(`Could not remove the hiding styles of frame ${frameId}:`, error.message));
+    const response = await chrome.tabs.sendMessage(tabId, { type: "restorePage" }, { frameId })
+      .catch(() => null); // Frames without the content script
+    return (removedStyles ? 1 : 0) + (response ? response.restored : 0);
+  }));
+  return { restored: counts.reduce((sum, count) => sum + count, 0) };
+}
+
+/**
+ * Tells whether blocking is turned off for the site of a URL.
+ * @param {string} url - The page URL.
+ * @returns {Promise<{site: string|null, allowlisted: boolean}>} The site, or null for pages
+ * that are not websites (e.g. chrome:// pages).
+ */
+async function getSiteStatus(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") {
+    return { site: null, allowlisted: false };
+  }
+  return { site: normalizeSite(hostname), allowlisted: await isAllowlisted(hostname) };
+}
+
+/**
+ * Switches a subscription back to a recorded version and pins it there,
+ * so scheduled updates don't replace it until it is unpinned.
+ * @param {string} id - The subscription id.
+ * @param {string} versionId - The history version to restore.
+ * @returns {Promise<object>} The updated subscription.
+ */
+async function rollbackSubscription(id, versionId) {
+  const version = (await getListHistory(id)).find(entry => entry.versionId === versionId);
+  if (!version) {
+    throw new Error(`Unknown version ${versionId} of list ${id}`);
+  }
+  await setListText(id, await getListVersionText(id, versionId));
+  // The validators belong to the replaced copy; keeping them would make the fetch after unpinning
+  // a conditional one, answered 304, and the old version would stay active
+  const subscription = await updateSubscription(id, {
+    pinnedVersion: versionId,
+    entryCount: version.entryCount,
+    etag: null,
+    lastModified: null
+  });
+  console.log(`Rolled back list "${subscription.title}" to the version of ${new Date(version.acceptedAt).toISOString()}.`);
+  await loadBlockListFromStorageAndApply();
+  return subscription;
+}
+
+/**
+ * Unpins a subscription and fetches its latest version right away.
+ * @param {string} id - The subscription id.
+ * @returns {Promise<object>} The updated subscription.
+ */
+async function unpinSubscription(id) {
+  await updateSubscription(id, { pinnedVersion: null });
+  return refreshSubscription(id);
+}
+
+/**
+ * Fetches every enabled subscription, converts the merged lists to declarativeNetRequest rules,
+ * and applies them dynamically. Lists that fail to download keep their cached copy.
+ */
+async function fetchAndApplyBlockList() {
+  console.log("Attempting to fetch and apply all enabled block lists...");
+  const subscriptions = await getSubscriptions();
+  const intervalMinutes = await getUpdateIntervalMinutes();
+  let changed = false;
+  for (const subscription of subscriptions.filter(sub => sub.enabled)) {
+    const result = await fetchSubscription(subscription.id);
+    changed = changed || result.changed;
+    await scheduleSubscriptionAlarm(result.subscription, intervalMinutes);
+  }
+  if (changed) {
+    await loadBlockListFromStorageAndApply();
+  }
+}
+
+/**
+ * Creates the default subscriptions and moves a list cached by older versions
+ * (under `BLOCK_LIST_STORAGE_KEY`) over to the Advault subscription.
+ */
+async function initializeSubscriptions() {
+  await ensureDefaultSubscriptions(DEFAULT_SUBSCRIPTIONS);
+
+  const data = await chrome.storage.local.get(BLOCK_LIST_STORAGE_KEY);
+  const legacyList = data[BLOCK_LIST_STORAGE_KEY];
+  if (legacyList) {
+    if ((await getListText("advault")) === null) {
+      await setListText("advault", Array.isArray(legacyList) ? legacyList.join("\n") : legacyList);
+    }
+    await chrome.storage.local.remove(BLOCK_LIST_STORAGE_KEY);
+  }
+}
+
+// --- Messages ---
+
+// Handlers for `chrome.runtime.sendMessage({ type, ... })` requests from extension pages.
+// Each handler returns a promise; its result is sent back as `{ ok: true, result }`.
+const messageHandlers = {
+  getSubscriptions: () => getSubscriptions(),
+  addSubscription: async ({ source }) => {
+    const subscription = await addSubscription(source);
+    return refreshSubscription(subscription.id);
+  },
+  updateSubscription: async ({ id, changes }) => {
+    const subscription = await editSubscription(id, changes);
+    await scheduleSubscriptionAlarm(subscription, await getUpdateIntervalMinutes());
+    await loadBlockListFromStorageAndApply();
+    return subscription;
+  },
+  removeSubscription: async ({ id }) => {
+    await removeSubscription(id);
+    await loadBlockListFromStorageAndApply();
+  },
+  refreshSubscription: ({ id }) => refreshSubscription(id),
+  getListHistory: ({ id }) => getListHistory(id),
+  rollbackSubscription: ({ id, versionId }) => rollbackSubscription(id, versionId),
+  unpinSubscription: ({ id }) => unpinSubscription(id),
+  acceptListUpdate: async ({ id }) => {
+    const subscription = await acceptQuarantinedList(id);
+    if (subscription.enabled) {
+      await loadBlockListFromStorageAndApply();
+    }
+    await scheduleSubscriptionAlarm(subscription, await getUpdateIntervalMinutes());
+    return subscription;
+  },
+  getRulesetCategories: () => getRulesetCategories(),
+  updateEnabledRulesets: ({ enable, disable }) => updateEnabledRulesets({ enable, disable }),
+  lintRules: () => lintInstalledRules(),
+  getAllowlist: () => getAllowlist(),
+  addToAllowlist: ({ site }) => enqueueRuleUpdate(async () => {
+    const allowlist = await addToAllowlist(site);
+    await updateScriptletRegistration();
+    await updatePlayerPrunerRegistration();
+    return allowlist;
+  }),
+  removeFromAllowlist: ({ site }) => enqueueRuleUpdate(async () => {
+    const allowlist = await removeFromAllowlist(site);
+    await updateScriptletRegistration();
+    await updatePlayerPrunerRegistration();
+    return allowlist;
+  }),
+  // Content scripts ask about their own page; the popup passes the active tab's URL
+  getSiteStatus: ({ url }, sender) => getSiteStatus(url || sender.url),
+  getTabStats: ({ tabId }) => syncMatchedRules(tabId),
+  restorePage: ({ tabId }) => restorePage(tabId),
+  getStatus: () => getStatus(),
+  getSettings: () => getSettings(),
+  getYouTubeConfig: async () => (await getYouTubeConfig()).config,
+  updateSettings: ({ changes }) => changeSettings(changes),
+  getCustomFilters: () => getCustomFilters(),
+  validateCustomFilters: ({ text }) => validateCustomFilters(text, { isRegexSupported }),
+  addCosmeticFilter: ({ selector }, sender) => addCosmeticFilter(selector, sender),
+  saveCustomFilters: ({ text }) => enqueueRuleUpdate(() => saveCustomFilters(text, { isRegexSupported })),
+  saveResumePoint: ({ videoId, time }, sender) => saveResumePoint(sender.tab.id, videoId, time),
+  takeResumePoint: ({ videoId }, sender) => takeResumePoint(sender.tab.id, videoId),
+  getSegments: ({ videoId }) => getSegments(videoId),
+  addSegment: ({ videoId, segment }) => addSegment(videoId, segment),
+  importSegments: ({ text }) => importSegments(text),
+  getSegmentSummary: () => getSegmentSummary(),
+  clearSegments: () => clearSegments(),
+  getPrivacySettings: () => getPrivacySettings(),
+  setPrivacySetting: ({ id, hardened }) => setPrivacySetting(id, hardened),
+  restorePrivacySettings: () => restorePrivacySettings(),
+  reportContentStats: ({ removedElements, skippedAds, scanPasses, scanTimeMs }, sender) =>
+    recordContentStats(sender.tab.id, { removedElements, skippedAds, scanPasses, scanTimeMs })
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = message && messageHandlers[message.type];
+  if (!handler) return false;
+
+  Promise.resolve()
+    .then(() => handler(message, sender))
+    .then(result => sendResponse({ ok: true, result }))
+    .catch(error => {
+      console.error(`Message "${message.type}" failed:`, error);
+      sendResponse({ ok: false, error: error.message });
+    });
+  return true; // Keep the channel open for the asynchronous response
+});
+
+// --- Per-tab statistics ---
+
+// A new page in the tab starts from zero
+chrome.webNavigation.onCommitted.addListener(details => {
+  if (details.frameId === 0) {
+    resetTabStats(details.tabId, details.timeStamp);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  clearTabStats(tabId);
+});
+
+// --- YouTube in-page navigation ---
+
+// YouTube changes videos without loading a page; the content script of the frame is told about
+// the new URL, so it can resume the video there
+chrome.webNavigation.onHistoryStateUpdated.addListener(({ tabId, frameId, url }) => {
+  chrome.tabs.sendMessage(tabId, { type: "youtubeNavigated", url }, { frameId })
+    .catch(error => console.debug(`Could not tell tab ${tabId} about its navigation:`, error.message));
+}, { url: [{ hostSuffix: "youtube.com" }] });
+
+// --- Element hiding ---
+
+// Every committed frame gets the element hiding filters of its site
+// Scriptlets go first, they must run before the page's own scripts; frames only get them here while
+// user scripts are not allowed (see AdvaultScriptlets.js)
+chrome.webNavigation.onCommitted.addListener(details => {
+  applyScriptlets(details).catch(error => {
+    console.debug(`Could not run scriptlets in tab ${details.tabId}, frame ${details.frameId}:`, error.message);
+  });
+  applyCosmeticFilters(details).catch(error => {
+    console.debug(`Could not hide elements in tab ${details.tabId}, frame ${details.frameId}:`, error.message);
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === PICKER_MENU_ID && tab) {
+    startElementPicker(tab.id, info.frameId ?? 0).catch(error => console.error("Failed to start the element picker:", error));
+  }
+});
+
 // --- Initialization ---
 
+/**
+ * Registers the context menu entries. Menus persist, so they are recreated on install and update only.
+ */
+async function createContextMenus() {
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: PICKER_MENU_ID,
+    title: "Block element…",
+    contexts: ["page", "frame", "image", "link", "video", "audio"],
+    documentUrlPatterns: ["http://*/*", "https://*/*"]
+  });
+}
+
+/**
+ * Shows the number of blocked requests of each tab on the toolbar icon.
+ */
+async function enableBlockedCountBadge() {
+  await chrome.declarativeNetRequest.setExtensionActionOptions({ displayActionCountAsBadgeText: true });
+}
+
 // On extension installation or update
 chrome.runtime.onInstalled.addListener(async () => {
-  console.log('Ad Blocker Installed or Updated. Initializing block list...');
-  await fetchAndApplyBlockList();
-  // Clear any existing alarm and create a new one after installation/update
+  console.log('Ad Blocker Installed or Updated. Initializing block lists...');
+  await enableBlockedCountBadge();
+  await createContextMenus();
+  // Versions before subscriptions used a single global alarm
   chrome.alarms.clear("updateBlockList");
-  chrome.alarms.create("updateBlockList", {
-    // No delayInMinutes if you want it to fire based on period from now
-    // Or set a short delay like 1 minute if you want first recurring check soon after install
-    periodInMinutes: UPDATE_INTERVAL_MINUTES // Set the recurring period
-  });
+  // Updates reset the static rulesets to the manifest defaults
+  await restoreRulesetPreferences();
+  await initializeSubscriptions();
+  await loadBlockListFromStorageAndApply();
+  await enqueueRuleUpdate(applyAllowlistRules);
+  await enqueueRuleUpdate(() => applyCustomFilters({ isRegexSupported }));
+  await applyYouTubeConfig();
+  await scheduleYouTubeConfigRefresh();
+  await removeLegacyResumePoint();
+  // User scripts may have been allowed or withdrawn since the scriptlets were last registered
+  await updateScriptletRegistration().catch(error => console.error("Could not register the scriptlets:", error));
+  await updatePlayerPrunerRegistration();
+  // Fetches every list and (re)creates one refresh alarm per list
+  await fetchAndApplyBlockList();
 });
 
 // On browser startup
 chrome.runtime.onStartup.addListener(async () => {
-  console.log('Browser started. Loading block list from storage and fetching latest...');
+  console.log('Browser started. Loading block lists from storage...');
+  await enableBlockedCountBadge();
   await loadBlockListFromStorageAndApply(); // Quick load from storage first
-  await fetchAndApplyBlockList();           // Then fetch latest in background
-  // Clear any existing alarm and create a new one on startup
-  chrome.alarms.clear("updateBlockList");
-  chrome.alarms.create("updateBlockList", {
-    delayInMinutes: 1, // Give it a short delay to ensure startup tasks complete
-    periodInMinutes: UPDATE_INTERVAL_MINUTES
-  });
+  await updateScriptletRegistration().catch(error => console.error("Could not register the scriptlets:", error));
+  // Alarms survive restarts, but re-create them so lists that went stale while
+  // the browser was closed are refreshed shortly after startup
+  await rescheduleSubscriptionAlarms();
+  await scheduleYouTubeConfigRefresh();
 });
 
-// Listen for the periodic update alarm
+// Listen for the per-list and YouTube config refresh alarms
 chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name === "updateBlockList") {
-    console.log("Alarm triggered: Updating block list...");
-    await fetchAndApplyBlockList();
+  if (isYouTubeConfigAlarm(alarm.name)) {
+    await refreshYouTubeConfig();
+    return;
+  }
+  const subscriptionId = getSubscriptionIdFromAlarm(alarm.name);
+  if (subscriptionId) {
+    console.log(`Alarm triggered: Updating list ${subscriptionId}...`);
+    // The list may have been removed meanwhile, or its rules may fail to apply
+    await refreshSubscription(subscriptionId)
+      .catch(error => console.error(`Could not update list ${subscriptionId}:`, error));
   }
 });
 
-console.log("Background service worker started.");
\ No newline at end of file
+console.log("Background service worker started.");
@@ -1,425 +1,559 @@
-'use strict';
-
-/**
- * @file content.js
- * @description Advault's content script for YouTube-specific ad blocking and DOM manipulation.
- * Works in conjunction with the background script's declarativeNetRequest rules
- * and the external Advault DNS/HTTP server.
- * Added functionality for ad detection, timestamping, page refresh, and video resume.
- */
-
-// Import the Advault DOM utility library
-// Make sure 'AdvaultDOM.js' is in the same directory or adjust the path accordingly.
-import { Advault } from './AdvaultDOM.js';
-
-
-// --- Configuration & Selectors ---
-// Paths to extension resources
-const YTP_CONFIG_PATH = 'data/YTP.json';
-
-// Core selectors for identifying YouTube ad elements in the DOM.
-let advaultAdSelectors = [
-    // --- YouTube End Screen Selectors ---
-    ".ytp-endscreen-content",          // The main container for all end screen elements
-    ".ytp-player-content ytp-endscreen-content", // More specific if needed
-    ".ytp-videowall-still",            // Individual video thumbnails on the end screen
-    ".ytp-videowall-still-image",      // Image within the video thumbnail
-    ".ytp-videowall-still-info",       // Info overlay on the video thumbnail
-    ".ytp-subscribe-button-renderer",  // Subscribe button on the end screen
-    ".ytp-ce-video",                   // End screen video elements (often includes recommended videos)
-    ".ytp-ce-playlist",                // End screen playlist elements
-    ".ytp-ce-channel",                 // End screen channel promotion elements
-    ".ytp-ce-element",                 // A general class used for end screen elements
-    ".ytp-scroll-track-element",       // Sometimes related to the scrollable parts of end screens
-    "ytd-player-legacy-endscreen",     // A legacy element, might still exist for older videos
-    "ytd-watch-next-compact-video-renderer.ytd-player-legacy-endscreen", // Another specific legacy selector
-    "ytd-compact-video-renderer.ytd-player-legacy-endscreen", // Yet another legacy selector
-    // This one is very effective for the entire end screen overlay:
-    ".ytp-ce-element-show", // Often applied when the end screen elements become visible
-    // Potential overlap with "cards" (which are info cards, not end screens, but can be annoying)
-    ".ytp-cards-teaser",               // Info cards that pop up during the video
-    ".ytp-cards-button",               // Button to expand info cards
-    "ytd-ad-slot-renderer",            // Main ad slot element
-    "ytd-companion-slot-renderer",     // Companion banner ads
-    ".ad-showing",                     // Common class for active ads
-    ".YTP-ad-player-overlay",          // Overlay over the video player during ads
-    ".video-ads",                      // Container for video ads
-    "div[class*='ad-overlay']",        // Generic ad overlay divs
-    ".ytp-ad-skip-button",
-    ".YTP-ad-text",
-    ".ytp-ad-progress",
-    "div[class*='ytp-ad-player-overlay']", // More specific ad overlay containers
-    "yt-mealbar-promo-renderer",       // Promotional meal bar (bottom of video)
-    "ytd-promoted-sparkles-text-search-renderer", // Promoted search results
-    "ytd-promoted-video-renderer",     // Promoted video suggestions
-    ".ytp-ad-module",                  // General ad module
-    ".ytp-ad-preview-container",       // Ad preview container
-    ".ytp-ad-player-overlay-skip-or-preview", // Skip/preview button overlay
-    "#player-ads",                     // Ads element within the player
-    ".ad-container",                   // Generic ad container
-    ".ad-interrupting",                // Ad interrupting the video
-    ".ytp-ad-message-container",       // Ad message container
-    ".ytp-paid-content-overlay",       // Paid content overlay
-    ".ytp-ad-player-instream-ad-slot", // In-stream ad slot
-    "ytd-ad-slot-renderer",                    // Main ad slot element
-    "ytd-companion-slot-renderer",             // Companion banner ads
-    ".ad-showing",                             // Common class for active ads
-    ".YTP-ad-player-overlay",                  // Overlay over the video player during ads
-    ".video-ads",                              // Container for video ads
-    "div[class*='ad-overlay']",                // Generic ad overlay divs
-    ".ytp-ad-skip-button",                     // Skip ad button
-    ".YTP-ad-text",                            // Ad text overlay
-    ".ytp-ad-progress",                        // Ad progress bar
-    "div[class*='ytp-ad-player-overlay']",     // Specific ad overlay containers
-    "yt-mealbar-promo-renderer",               // Promotional meal bar (bottom of video)
-    "ytd-promoted-sparkles-text-search-renderer", // Promoted search results
-    "ytd-promoted-video-renderer",             // Promoted video suggestions
-    ".ytp-ad-module",                          // General ad module
-    ".ytp-ad-preview-container",               // Ad preview container
-    ".ytp-ad-player-overlay-skip-or-preview",  // Skip/preview button overlay
-    "#player-ads",                             // Ads element within the player
-    ".ad-container",                           // Generic ad container
-    ".ad-interrupting",                        // Ad interrupting the video
-    ".ytp-ad-message-container",               // Ad message container
-    ".ytp-paid-content-overlay",               // Paid content overlay
-    ".ytp-ad-player-instream-ad-slot",         // In-stream ad slot
-    ".ytp-ad-overlay-container",               // Overlay container for ads
-    ".ytp-ad-overlay-image",                   // Image overlay in ads
-    ".ytp-ad-overlay-close-button",            // Close button for overlay ads
-    ".ytp-ad-overlay-slot",                    // Slot for overlay ads
-    ".ytp-ad-overlay-title",                   // Title in overlay ads
-    ".ytp-ad-overlay-text",                    // Text in overlay ads
-    ".ytp-ad-overlay-image-layout",            // Layout for image overlay ads
-    ".ytp-ad-overlay-companion",               // Companion overlay ads
-    ".ytp-ad-overlay-companion-slot",          // Slot for companion overlay ads
-    ".ytp-ad-overlay-companion-close-button",  // Close button for companion overlay ads
-    ".ytp-ad-overlay-companion-title",         // Title for companion overlay ads
-    ".ytp-ad-overlay-companion-text",          // Text for companion overlay ads
-    ".ytp-ad-overlay-companion-image",         // Image in companion overlay ads
-    ".ytp-ad-overlay-companion-layout",        // Layout for companion overlay ads
-    ".ytp-ad-overlay-companion-container",     // Container for companion overlay ads
-    ".ytp-ad-overlay-companion-background",    // Background for companion overlay ads
-    ".ytp-ad-overlay-companion-foreground",    // Foreground for companion overlay ads
-    ".ytp-ad-overlay-companion-border",        // Border for companion overlay ads
-    ".ytp-ad-overlay-companion-shadow",        // Shadow for companion overlay ads
-    ".ytp-ad-overlay-companion-icon",          // Icon in companion overlay ads
-    ".ytp-ad-overlay-companion-button",        // Button in companion overlay ads
-    ".ytp-ad-overlay-companion-link",          // Link in companion overlay ads
-    ".ytp-ad-overlay-companion-label",         // Label in companion overlay ads
-    ".ytp-ad-overlay-companion-description",   // Description in companion overlay ads
-    ".ytp-ad-overlay-companion-footer",        // Footer in companion overlay ads
-    ".ytp-ad-overlay-companion-header",        // Header in companion overlay ads
-    ".ytp-ad-overlay-companion-title-text",    // Title text in companion overlay ads
-    ".ytp-ad-overlay-companion-subtitle",      // Subtitle in companion overlay ads
-    ".ytp-ad-overlay-companion-caption",       // Caption in companion overlay ads
-    ".ytp-ad-overlay-companion-note",          // Note in companion overlay ads
-    ".ytp-ad-overlay-companion-alert",         // Alert in companion overlay ads
-    ".ytp-ad-overlay-companion-warning",       // Warning in companion overlay ads
-    ".ytp-ad-overlay-companion-info",          // Info in companion overlay ads
-    ".ytp-ad-overlay-companion-success",       // Success message in companion overlay ads
-    ".ytp-ad-overlay-companion-error",         // Error message in companion overlay ads
-    ".ytp-ad-overlay-companion-loading",       // Loading indicator in companion overlay ads
-    ".ytp-ad-overlay-companion-spinner",       // Spinner in companion overlay ads
-    ".ytp-ad-overlay-companion-progress",      // Progress bar in companion overlay ads
-    ".ytp-ad-overlay-companion-timer",         // Timer in companion overlay ads
-    ".ytp-ad-overlay-companion-countdown",     // Countdown in companion overlay ads
-    ".ytp-ad-overlay-companion-close-icon",    // Close icon in companion overlay ads
-    ".ytp-ad-overlay-companion-dismiss",       // Dismiss button in companion overlay ads
-    ".ytp-ad-overlay-companion-action",        // Action button in companion overlay ads
-    ".ytp-ad-overlay-companion-cta",           // Call-to-action in companion overlay ads
-    ".ytp-ad-overlay-companion-link-button",   // Link button in companion overlay ads
-    ".ytp-ad-overlay-companion-play-button",   // Play button in companion overlay ads
-    ".ytp-ad-overlay-companion-pause-button",  // Pause button in companion overlay ads
-    ".ytp-ad-overlay-companion-replay-button", // Replay button in companion overlay ads
-    ".ytp-ad-overlay-companion-skip-button",   // Skip button in companion overlay ads
-    ".ytp-ad-overlay-companion-learn-more",    // Learn more link in companion overlay ads
-    ".ytp-ad-overlay-companion-shop-now",      // Shop now link in companion overlay ads
-    ".ytp-ad-overlay-companion-download",      // Download link in companion overlay ads
-    ".ytp-ad-overlay-companion-install",       // Install link in companion overlay ads
-    ".ytp-ad-overlay-companion-subscribe",     // Subscribe link in companion overlay ads
-    ".ytp-ad-overlay-companion-signup",        // Signup link in companion overlay ads
-    ".ytp-ad-overlay-companion-register",      // Register link in companion overlay ads
-    ".ytp-ad-overlay-companion-join",          // Join link in companion overlay ads
-    ".ytp-ad-overlay-companion-visit",         // Visit link in companion overlay ads
-    ".ytp-ad-overlay-companion-contact",       // Contact link in companion overlay ads
-    ".ytp-ad-overlay-companion-support",       // Support link in companion overlay ads
-    ".ytp-ad-overlay-companion-help",          // Help link in companion overlay ads
-    ".ytp-ad-overlay-companion-feedback",      // Feedback link in companion overlay ads
-    ".ytp-ad-overlay-companion-survey",        // Survey link in companion overlay ads
-    ".ytp-ad-overlay-companion-review",        // Review link in companion overlay ads
-    ".ytp-ad-overlay-companion-rating",        // Rating link in companion overlay ads
-    ".ytp-ad-overlay-companion-testimonial",   // Testimonial link in companion overlay ads
-    ".ytp-ad-overlay-companion-case-study",    // Case study link in companion overlay ads
-    ".ytp-ad-overlay-companion-whitepaper",    // Whitepaper link in companion overlay ads
-    ".ytp-ad-overlay-companion-ebook",         // Ebook link in companion overlay ads
-    ".ytp-ad-overlay-companion-guide",         // Guide link in companion overlay ads
-    ".ytp-ad-overlay-companion-report",        // Report link in companion overlay ads
-    ".ytp-ad-overlay-companion-newsletter",    // Newsletter link in companion overlay ads
-    ".ytp-ad-overlay-companion-blog",          // Blog link in companion overlay ads
-    ".ytp-ad-overlay-companion-article",       // Article link in companion overlay ads
-    ".ytp-ad-overlay-companion-press-release", // Press release link in companion overlay ads
-    ".ytp-ad-overlay-companion-announcement",  // Announcement link in companion overlay ads
-    ".ytp-ad-overlay-companion-event",         // Event link in companion overlay ads
-    ".ytp-ad-overlay-companion-webinar",       // Webinar link in companion overlay ads
-    ".ytp-ad-overlay-companion-demo",          // Demo link in companion overlay ads
-    ".ytp-ad-overlay-companion-trial",         // Trial link in companion overlay ads
-    ".ytp-ad-overlay-companion-offer",         // Offer link in companion overlay ads
-    ".ytp-ad-overlay-companion-coupon",        // Coupon link in companion overlay ads
-    ".ytp-ad-overlay-companion-promo",         // Promo link in companion overlay ads
-    ".ytp-ad-overlay-companion-deal",          // Deal link in companion overlay ads
-    ".ytp-ad-overlay-companion-discount",      // Discount link in companion overlay ads
-    ".ytp-ad-overlay-companion-sale",          // Sale link in companion overlay ads
-    ".ytp-ad-overlay-companion-clearance",     // Clearance link in companion overlay ads
-    ".ytp-ad-overlay-companion-bundle",        // Bundle link in companion overlay ads
-    ".ytp-ad-overlay-companion-package",       // Package link in companion overlay ads
-    ".ytp-ad-overlay-companion-subscription",  // Subscription link in companion overlay ads
-    ".ytp-ad-overlay-companion-membership",    // Membership link in companion overlay ads
-    ".ytp-ad-overlay-companion-plan",          // Plan link in companion overlay ads
-    ".ytp-ad-overlay-companion-pricing",       // Pricing link in companion overlay ads
-    ".ytp-ad-overlay-companion-quote",         // Quote link in companion overlay ads
-    ".ytp-ad-overlay-companion-estimate",      // Estimate link in companion overlay ads
-    ".ytp-ad-overlay-companion-calculator",    // Calculator link in companion overlay ads
-    ".ytp-ad-overlay-companion-tool",          // Tool link in companion overlay ads
-    ".ytp-ad-overlay-companion-block",         // Ad block
-    ".ytp-ad-overlay-companion-resource",      // Resource link in companion overlay ads
-];
-
-// Selectors for key YouTube video player elements
-const ADV_PLAYER_SELECTOR = '.html5-video-player';
-const ADV_VIDEO_ELEMENT_SELECTOR = 'video';
-
-// Storage key for video timestamp
-const TIMESTAMP_STORAGE_KEY = 'advault_video_timestamp';
-const VIDEO_URL_STORAGE_KEY = 'advault_video_url';
-
-// --- Utility Functions (Leveraging Advault.DOM) ---
-
-/**
- * Advault-specific function to load a JSON file from the extension's bundled resources.
- * @param {string} path - The path to the resource, relative to the extension's root.
- * @returns {Promise<object|null>} The parsed JSON object or null if loading fails.
- */
-async function loadAdvaultResource(path) {
-    try {
-        const resourceURL = chrome.runtime.getURL(path);
-        const response = await fetch(resourceURL);
-        if (!response.ok) {
-            throw new Error(`Advault: Failed to load resource '${path}': ${response.statusText}`);
-        }
-        return await response.json();
-    } catch (error) {
-        console.error(`[Advault content.js] Error loading JSON resource from ${path}:`, error);
-        return null;
-    }
-}
-
-/**
- * Removes elements matching a set of CSS selectors from the DOM.
- * Utilizes Advault.DOM for robust element removal.
- * @param {string[]} selectors - An array of CSS selectors for elements to remove.
- * @param {string} logPrefix - A prefix for console messages.
- */
-function removeAdvaultElements(selectors, logPrefix = '[Advault content.js] ') {
-    let removedCount = 0;
-    selectors.forEach(selector => {
-        const elements = Advault.queryAll(selector); // Use Advault.queryAll
-        elements.forEach(element => {
-            try {
-                Advault.DOM.remove(element); // Use Advault.DOM.remove
-                console.debug(`${logPrefix}Removed element with selector: '${selector}'`);
-                removedCount++;
-            } catch (error) {
-                console.error(`${logPrefix}Error removing ad elements with selector: '${selector}'`, error);
-            }
-        });
-    });
-    return removedCount > 0; // Return true if any elements were removed
-}
-
-/**
- * Checks if an ad is currently present on the page based on DOM selectors.
- * @returns {boolean} True if an ad element is found, false otherwise.
- */
-function isAdPresent() {
-    return advaultAdSelectors.some(selector => Advault.query(selector) !== null);
-}
-
-/**
- * Saves the current video timestamp and URL to Chrome's local storage.
- * @param {HTMLVideoElement} videoElement - The video element.
- */
-async function saveVideoTimestamp(videoElement) {
-    if (videoElement && videoElement.currentTime > 0) {
-        const url = window.location.href;
-        await chrome.storage.local.set({
-            [TIMESTAMP_STORAGE_KEY]: videoElement.currentTime,
-            [VIDEO_URL_STORAGE_KEY]: url
-        });
-        console.log(`[Advault content.js] Saved timestamp: ${videoElement.currentTime}s for URL: ${url}`);
-    }
-}
-
-/**
- * Retrieves and applies the stored video timestamp if the URL matches.
- * @param {HTMLVideoElement} videoElement - The video element to seek.
- */
-async function resumeVideoPlayback(videoElement) {
-    if (!videoElement) {
-        console.warn("[Advault content.js] Video element not found to resume playback.");
-        return;
-    }
-
-    const data = await chrome.storage.local.get([TIMESTAMP_STORAGE_KEY, VIDEO_URL_STORAGE_KEY]);
-    const storedTimestamp = data[TIMESTAMP_STORAGE_KEY];
-    const storedUrl = data[VIDEO_URL_STORAGE_KEY];
-    const currentUrl = window.location.href;
-
-    if (storedTimestamp && storedUrl && currentUrl.includes(storedUrl.split('&t=')[0].split('?t=')[0])) { // Compare base URLs
-        // Wait for video to be ready for seeking
-        videoElement.oncanplaythrough = () => {
-            if (videoElement.readyState >= 3) { // Enough data to play through
-                videoElement.currentTime = storedTimestamp;
-                videoElement.play().catch(e => console.error("[Advault content.js] Error resuming video playback:", e));
-                console.log(`[Advault content.js] Resumed video from timestamp: ${storedTimestamp}s`);
-                // Clear storage after successful resume
-                chrome.storage.local.remove([TIMESTAMP_STORAGE_KEY, VIDEO_URL_STORAGE_KEY]);
-                console.log("[Advault content.js] Cleared stored timestamp.");
-            }
-        };
-
-        // If video is already ready (e.g., cached), trigger manually
-        if (videoElement.readyState >= 3) {
-            videoElement.oncanplaythrough();
-        }
-    } else {
-        console.log("[Advault content.js] No relevant timestamp found or URL mismatch.");
-    }
-}
-
-
-// --- Mutation Observer Callback ---
-const advaultObserverCallback = (mutationsList, observer) => {
-    let playerElement = Advault.query(ADV_PLAYER_SELECTOR);
-    let videoElement = Advault.query(ADV_VIDEO_ELEMENT_SELECTOR);
-
-    // Re-check for player if it seems to have disappeared
-    if (!playerElement) {
-        console.debug('[Advault content.js] YouTube player not found, re-checking...');
-        playerElement = Advault.query(ADV_PLAYER_SELECTOR);
-        videoElement = Advault.query(ADV_VIDEO_ELEMENT_SELECTOR); // Re-query video element as well
-    }
-
-    if (playerElement) {
-        // Aggressively remove known ad elements whenever DOM changes
-        const adsRemoved = removeAdvaultElements(advaultAdSelectors);
-
-        // Ensure player and video remain visible if they were manipulated by ad scripts
-        Advault.DOM.prop(playerElement, 'style.display', 'block');
-        Advault.DOM.prop(videoElement, 'style.display', 'block');
-
-        // Check for ad presence and refresh if detected
-        if (isAdPresent()) {
-            console.warn("[Advault content.js] 🚨 Ad detected! Attempting to refresh page and save timestamp...");
-            if (videoElement) {
-                saveVideoTimestamp(videoElement);
-            }
-            // Trigger a full page reload to clear ads
-            window.location.reload(true);
-            observer.disconnect(); // Disconnect observer to prevent re-triggering during reload
-        }
-    }
-};
-
-// --- Main Execution Logic ---
-(async function initAdvaultContentScript() {
-    console.log("[Advault content.js] 🚀 YouTube-specific AdBlocker injected!");
-
-    // Load YouTube-specific configuration from YTP.json
-    const ytpConfig = await loadAdvaultResource(YTP_CONFIG_PATH);
-    if (ytpConfig) {
-        console.log("[Advault content.js] Loaded YTP.json config:", ytpConfig);
-
-        if (Array.isArray(ytpConfig.selectors)) {
-            // Add dynamically loaded selectors to our main list
-            advaultAdSelectors.push(...ytpConfig.selectors);
-            console.log("[Advault content.js] Added YouTube specific selectors from YTP.json.");
-        }
-        if (ytpConfig.message) {
-            console.log(`[Advault content.js] YTP Message: ${ytpConfig.message}`);
-        }
-    } else {
-        console.warn("[Advault content.js] YTP.json could not be loaded. Running with default Advault selectors.");
-    }
-
-    // Initialize Mutation Observer to watch for DOM changes and remove ads
-    const observer = new MutationObserver(advaultObserverCallback);
-    // Observe the entire document for changes, including subtree modifications
-    observer.observe(document.documentElement, {
-        childList: true,   // Observe direct children additions/removals
-        subtree: true,     // Observe all descendants
-        attributes: true   // Observe attribute changes (e.g., style, class)
-    });
-    console.log("[Advault content.js] Mutation Observer initialized for ad removal.");
-
-    // Attempt to resume video playback immediately after page load if a timestamp exists
-    const videoElementOnLoad = Advault.query(ADV_VIDEO_ELEMENT_SELECTOR);
-    if (videoElementOnLoad) {
-        // Use a slight delay to ensure the player is fully initialized
-        setTimeout(() => resumeVideoPlayback(videoElementOnLoad), 1000);
-    } else {
-        // If video element isn't immediately available, wait for it to appear
-        const playerObserver = new MutationObserver((mutations, obs) => {
-            const video = Advault.query(ADV_VIDEO_ELEMENT_SELECTOR);
-            if (video) {
-                setTimeout(() => resumeVideoPlayback(video), 500);
-                obs.disconnect(); // Disconnect once video is found
-            }
-        });
-        playerObserver.observe(document.documentElement, { childList: true, subtree: true });
-    }
-
-    // --- Aggressive Video Ad Management (Use with caution - experimental) ---
-    // This part attempts to skip/manage video ads directly in the player.
-    // While powerful, it can be fragile and might break legitimate video playback.
-    // The Python DNS server's "fake playback" via DNS resolution is generally more robust for video ads.
-    setInterval(() => {
-        const videoElement = Advault.query(ADV_VIDEO_ELEMENT_SELECTOR);
-        if (videoElement && !videoElement.paused && !videoElement.ended && videoElement.duration > 0) {
-
-            // Attempt to click the skip button if available
-            const skipButton = Advault.query(".ytp-ad-skip-button");
-            if (skipButton) {
-                skipButton.click();
-                console.log("[Advault content.js] ⏭ Attempted to skip ad via button click!");
-                return; // Ad potentially skipped, no need for further checks
-            }
-
-            // More aggressive tactics (uncomment and test if needed)
-            // Example: Try to fast-forward if a short ad is detected (highly heuristic)
-            // if (videoElement.currentTime < 5 && videoElement.duration > 15 && videoElement.duration < 60) {
-            //      videoElement.currentTime = videoElement.duration;
-            //      console.log("[Advault content.js] ⏩ Fast-forwarded short ad!");
-            // }
-
-            // Example: If a detected ad is playing, set playback speed higher to rush through
-            // You'd need a more reliable way to detect "ad playing" state.
-            // if (Advault.DOM.has(videoElement, 'ytp-ad-playing')) { // Hypothetical class for ad state
-            //      videoElement.playbackRate = 16; // Max speed
-            //      console.log("[Advault content.js] ⚡️ Increased playback speed for ad!");
-            // } else {
-            //      videoElement.playbackRate = 1; // Reset to normal for content
-            // }
-
-            // The following `removeAttribute("src")` and `load()` can be very disruptive
-            // and should be used as a last resort, as they often break video playback.
-            // if (videoElement.src && videoElement.src.includes('googlesyndication.com')) {
-            //      videoElement.removeAttribute("src");
-            //      videoElement.load();
-            //      console.log("[Advault content.js] 🛑 Blocked Video Ad Injection by clearing source!");
-            // }
-        }
-    }, 500); // Check every 0.5 seconds for video ad elements
-
-    console.log("[Advault content.js] 🎉 Advault YouTube Ad Blocking Initialized!");
-
+'use strict';
+
+/**
+ * @file content.js
+ * @description Advault's content script for YouTube: hides ad elements, has the ad and segment skippers
+ * act on the player and resumes videos, on every YouTube surface (see AdvaultSurfaces.js).
+ * It is an ES module, loaded by contentLoader.js with a dynamic import.
+ */
+
+import { Advault } from './AdvaultDOM.js';
+import { DEFAULT_SETTINGS, getSettings } from './AdvaultSettings.js';
+import { getVideoIdFromUrl } from './AdvaultResumeStore.js';
+import { isAdPlaying, releaseAdPlayer, setSkipChain, startAdSkipper, stopAdSkipper, updateAdSkipper } from './AdvaultAdSkipper.js';
+import { setSegmentVideo, startSegmentSkipper, stopSegmentSkipper } from './AdvaultSegmentSkipper.js';
+import { HIDE_STRATEGY_NAMES, applyHideStrategy, forgetLostChanges, recordChange, restoreChanges } from './AdvaultHideStrategies.js';
+import { addPageCleanup, refreshPageState, startLifecycle, stopLifecycle } from './AdvaultLifecycle.js';
+import { getSurface } from './AdvaultSurfaces.js';
+
+
+// --- Configuration & Selectors ---
+// The YouTube surface of this page (see AdvaultSurfaces.js): its ad selectors, hide and skip strategies,
+// player locations and navigation events. The script does nothing on hosts without one.
+const advaultSurface = getSurface(location.hostname);
+
+// Hide strategy of the selectors that neither the surface nor the YouTube config gives one
+const ADV_DEFAULT_STRATEGY = 'hide';
+let advaultSelectorStrategies = {};
+
+// The surface's selectors plus the ones of the YouTube config, deduplicated and validated; rebuilt whenever
+// the background sends a new config. advaultStrategySelectors holds them as one selector list per strategy.
+let advaultAdSelectors = [];
+let advaultStrategySelectors = new Map();
+
+// Elements already handled, so a later pass over the same subtree changes and counts them only once
+let advaultHandledElements = new WeakSet();
+
+// Set once the user restored the page from the popup; nothing is changed afterwards
+let advaultRestored = false;
+
+// Classes the player carries while an ad plays. They mark a state, not an ad element,
+// so they are never hidden or removed
+const ADV_AD_STATE_SELECTORS = new Set(['.ad-showing', '.ad-interrupting']);
+
+// The style sheet that hides every ad element before the observer gets to remove it
+const ADV_HIDING_STYLE_ID = 'advault-hiding-style';
+
+// Observer passes slower than this (one frame at 60 Hz) are logged
+const ADV_SLOW_PASS_MS = 16;
+
+// The video element inside the player
+const ADV_VIDEO_ELEMENT_SELECTOR = 'video';
+
+// Minimum time between two last-resort reloads of a tab, so an ad that survives a reload can't loop
+const AD_RELOAD_COOLDOWN_MS = 60 * 1000;
+const AD_RELOAD_SESSION_KEY = 'advault_last_ad_reload';
+
+// The video whose resume point was last looked up, so a video that moves to the miniplayer
+// and back isn't resumed again
+let advaultResumeVideoId = null;
+
+// YouTube behaviour toggles and segment settings from the options page, replaced by the stored ones on start
+let advaultYouTubeSettings = DEFAULT_SETTINGS.youtube;
+let advaultSegmentSettings = DEFAULT_SETTINGS.segments;
+
+// Removed and skipped ads and observer pass timings are reported to the background script in batches for the popup
+const STATS_REPORT_DELAY_MS = 1000;
+const pendingAdvaultStats = { removedElements: 0, skippedAds: 0, scanPasses: 0, scanTimeMs: 0 };
+let advaultStatsTimer = null;
+
+// Observer state: subtrees added since the last pass, and the player of the current page state,
+// watched for ad classes
+const pendingAdvaultRoots = new Set();
+let advaultPassScheduled = false;
+let advaultPlayerElement = null;
+let advaultPlayerChanged = false;
+let advaultPlayerObserver = null;
+let advaultObserver = null;
+
+// --- Utility Functions (Leveraging Advault.DOM) ---
+
+/**
+ * Asks the background script for the YouTube config in effect (downloaded or bundled).
+ * @returns {Promise<object|null>} The config, or null if it could not be loaded.
+ */
+async function requestYouTubeConfig() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'getYouTubeConfig' });
+        if (!response || !response.ok) {
+            throw new Error(response ? response.error : 'No response from the background script');
+        }
+        return response.result;
+    } catch (error) {
+        console.error('[Advault content.js] Could not load the YouTube config:', error);
+        return null;
+    }
+}
+
+/**
+ * Applies a YouTube config: its selectors are added to the surface's ones, its hide strategies override
+ * the surface's ones and its skip strategies become the skip chain. Only surfaces with the desktop
+ * markup use it.
+ * Called on start and whenever the config changes.
+ * @param {object} config - The validated config from the background script.
+ */
+function applyYouTubeConfig(config) {
+    advaultSelectorStrategies = { ...advaultSurface.hideStrategies, ...config.hideStrategies };
+    updateAdSelectors([...advaultSurface.selectors, ...config.selectors]);
+    setSkipChain(config.skipStrategies);
+    console.log(`[Advault content.js] Applied YouTube config revision ${config.revision}.`);
+    if (config.message) {
+        console.log(`[Advault content.js] YTP Message: ${config.message}`);
+    }
+}
+
+/**
+ * Asks the background script whether the user turned blocking off for this site.
+ * @returns {Promise<boolean>} True if the site is allowlisted.
+ */
+async function isSiteAllowlisted() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'getSiteStatus' });
+        return Boolean(response && response.ok && response.result.allowlisted);
+    } catch (error) {
+        console.error('[Advault content.js] Could not check the allowlist:', error);
+        return false;
+    }
+}
+
+/**
+ * Counts removed or skipped ads and observer passes, and reports them to the background script
+ * shortly after, so a burst of DOM mutations results in a single message.
+ * @param {{removedElements?: number, skippedAds?: number, scanPasses?: number, scanTimeMs?: number}} counts - The counts to add.
+ */
+function countAdvaultStats(counts) {
+    for (const [name, value] of Object.entries(counts)) {
+        pendingAdvaultStats[name] += value;
+    }
+    if (advaultStatsTimer) return;
+
+    advaultStatsTimer = setTimeout(() => {
+        const counts = { ...pendingAdvaultStats };
+        Object.keys(pendingAdvaultStats).forEach(name => { pendingAdvaultStats[name] = 0; });
+        advaultStatsTimer = null;
+        chrome.runtime.sendMessage({ type: 'reportContentStats', ...counts })
+            .catch(error => console.debug('[Advault content.js] Could not report stats:', error));
+    }, STATS_REPORT_DELAY_MS);
+}
+
+/**
+ * Deduplicates the ad selectors, drops invalid ones and ad state classes, and rebuilds
+ * the combined selector of each strategy and the hiding style sheet from them.
+ * An invalid selector would make the whole combined selector invalid, so each one is tried alone first.
+ * @param {string[]} selectors - The ad selectors.
+ */
+function updateAdSelectors(selectors) {
+    const fragment = document.createDocumentFragment();
+    advaultAdSelectors = [...new Set(selectors)].filter(selector => {
+        if (ADV_AD_STATE_SELECTORS.has(selector)) return false;
+        try {
+            fragment.querySelector(selector);
+            return true;
+        } catch (error) {
+            console.warn(`[Advault content.js] Ignoring invalid selector: '${selector}'`);
+            return false;
+        }
+    });
+    const selectorsByStrategy = new Map();
+    for (const selector of advaultAdSelectors) {
+        const strategy = HIDE_STRATEGY_NAMES.includes(advaultSelectorStrategies[selector])
+            ? advaultSelectorStrategies[selector]
+            : ADV_DEFAULT_STRATEGY;
+        selectorsByStrategy.set(strategy, [...(selectorsByStrategy.get(strategy) || []), selector]);
+    }
+    advaultStrategySelectors = new Map(
+        Array.from(selectorsByStrategy, ([strategy, list]) => [strategy, list.join(', ')]));
+    updateHidingStyle();
+}
+
+/**
+ * Injects or updates the style sheet that hides the elements to hide or remove, so ads never show
+ * while the observer waits for the next animation frame. Collapsed and neutralised elements stay
+ * displayed, so they are left out.
+ */
+function updateHidingStyle() {
+    const selector = ['hide', 'remove']
+        .map(strategy => advaultStrategySelectors.get(strategy))
+        .filter(Boolean)
+        .join(', ');
+    if (advaultRestored || !advaultYouTubeSettings.removeAdElements || !selector) return;
+    let style = document.getElementById(ADV_HIDING_STYLE_ID);
+    if (!style) {
+        style = Advault.DOM.create('style');
+        Advault.DOM.attr(style, 'id', ADV_HIDING_STYLE_ID);
+        document.documentElement.append(style);
+        recordChange('style sheet', style, () => Advault.DOM.remove(style));
+    }
+    Advault.DOM.text(style, `${selector} { display: none !important; }`);
+}
+
+/**
+ * Applies the hide strategies to the ad elements of a subtree, the root included. Each selector has a
+ * strategy (see AdvaultHideStrategies.js); player internals are never removed, and every change is
+ * recorded so the popup can restore the page.
+ * @param {Element} root - The subtree.
+ * @param {string[]} [strategies] - The strategies to apply; all of them by default.
+ * @returns {number} The number of elements changed.
+ */
+function applyAdvaultStrategies(root, strategies = Array.from(advaultStrategySelectors.keys())) {
+    if (!root.isConnected) return 0;
+    let changed = 0;
+    for (const strategy of strategies) {
+        const selector = advaultStrategySelectors.get(strategy);
+        if (!selector) continue;
+        const elements = root.matches(selector) ? [root] : Array.from(root.querySelectorAll(selector));
+        for (const element of elements) {
+            // Neutralising runs again for every ad the same video plays
+            if (strategy !== 'neutralise' && advaultHandledElements.has(element)) continue;
+            if (applyHideStrategy(strategy, element)) {
+                advaultHandledElements.add(element);
+                changed++;
+            }
+        }
+    }
+    return changed;
+}
+
+/**
+ * Undoes every change this script made to the page and stops making new ones.
+ * Player response pruning is turned off too, for the requests the page makes from now on.
+ * @returns {number} The number of changes undone.
+ */
+function restoreAdvaultPage() {
+    advaultRestored = true;
+    if (advaultObserver) advaultObserver.disconnect();
+    stopLifecycle();
+    stopAdSkipper();
+    stopSegmentSkipper();
+    pendingAdvaultRoots.clear();
+    disablePlayerPruning();
+    const restored = restoreChanges();
+    advaultHandledElements = new WeakSet();
+    console.log(`[Advault content.js] Restored the page, ${restored} changes undone.`);
+    return restored;
+}
+
+/**
+ * Checks if a video ad is currently playing. Ad containers like `.ytp-ad-module` are always
+ * in the page, so only the player's ad state counts.
+ * @returns {boolean} True if the player shows an ad, false otherwise.
+ */
+function isAdPresent() {
+    return isAdPlaying(advaultPlayerElement);
+}
+
+/**
+ * Checks whether the tab was reloaded for an ad recently.
+ * @returns {boolean} True if a reload is allowed now.
+ */
+function canReloadForAd() {
+    const lastReload = Number(sessionStorage.getItem(AD_RELOAD_SESSION_KEY)) || 0;
+    return Date.now() - lastReload > AD_RELOAD_COOLDOWN_MS;
+}
+
+/**
+ * Turns off the MAIN-world player response pruning for this page. AdvaultPlayerPruner.js keeps most
+ * video ads from being scheduled at all; the skip strategies handle the ones that get through.
+ */
+function disablePlayerPruning() {
+    Advault.DOM.attr(document.documentElement, 'data-advault-prune', 'off');
+}
+
+/**
+ * Saves where the current video is, keyed by its video ID, through the background script.
+ * @param {HTMLVideoElement} videoElement - The video element.
+ */
+async function saveVideoTimestamp(videoElement) {
+    const videoId = getVideoIdFromUrl(window.location.href);
+    if (!videoElement || videoElement.currentTime <= 0 || !videoId) return;
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'saveResumePoint',
+            videoId,
+            time: videoElement.currentTime
+        });
+        if (!response || !response.ok) {
+            throw new Error(response ? response.error : 'No response from the background script');
+        }
+        console.log(`[Advault content.js] Saved timestamp: ${videoElement.currentTime}s for video ${videoId}`);
+    } catch (error) {
+        console.error('[Advault content.js] Could not save the timestamp:', error);
+    }
+}
+
+/**
+ * Seeks the video to a resume point once it has loaded and no ad plays. Gives up if the page
+ * state changes first.
+ * @param {HTMLVideoElement} videoElement - The video element.
+ * @param {string} videoId - The video the resume point belongs to.
+ * @param {number} time - The playback position in seconds.
+ */
+function seekWhenReady(videoElement, videoId, time) {
+    const events = ['loadedmetadata', 'playing'];
+    const stopWaiting = () => events.forEach(type => Advault.DOM.off(videoElement, type, trySeek, false));
+    const trySeek = () => {
+        if (videoElement.readyState < HTMLMediaElement.HAVE_METADATA || isAdPresent()) return;
+        stopWaiting();
+        videoElement.currentTime = time;
+        videoElement.play().catch(e => console.error("[Advault content.js] Error resuming video playback:", e));
+        console.log(`[Advault content.js] Resumed video ${videoId} from timestamp: ${time}s`);
+    };
+    events.forEach(type => Advault.DOM.on(videoElement, type, trySeek, false));
+    addPageCleanup(stopWaiting);
+    trySeek();
+}
+
+/**
+ * Resumes the video of a page state if a resume point was saved for it (see AdvaultResumeStore.js),
+ * once per video; in-page navigation to another video brings a new page state.
+ * @param {string|null} videoId - The video ID.
+ * @param {HTMLVideoElement|null} videoElement - The video element.
+ */
+async function resumeVideoPlayback(videoId, videoElement) {
+    if (!advaultYouTubeSettings.resumePlayback || advaultRestored || !videoId || !videoElement
+        || videoId === advaultResumeVideoId) return;
+    advaultResumeVideoId = videoId;
+
+    let time = null;
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'takeResumePoint', videoId });
+        time = response && response.ok ? response.result : null;
+    } catch (error) {
+        console.error('[Advault content.js] Could not load the resume point:', error);
+    }
+    if (!time) {
+        console.log(`[Advault content.js] No timestamp saved for video ${videoId}.`);
+        return;
+    }
+    // The page may have moved on while the resume point was loaded
+    if (videoElement.isConnected && getVideoIdFromUrl(window.location.href) === videoId) {
+        seekWhenReady(videoElement, videoId, time);
+    }
+}
+
+/**
+ * Attaches the player and video handlers to a new page state (see AdvaultLifecycle.js): the player
+ * observer and the ad skipper follow its player, and its video is resumed and has its segments skipped.
+ * The handlers of the previous state were detached by its cleanups.
+ * @param {object} page - The page state (see PageState in AdvaultLifecycle.js).
+ */
+function handlePageChange(page) {
+    if (advaultRestored) return;
+    // Elements of the state that ends can't be restored any more
+    addPageCleanup(forgetLostChanges);
+    if (page.player && advaultObserver) {
+        watchPlayer(page.player);
+        scheduleAdvaultPass();
+    }
+    resumeVideoPlayback(page.videoId, page.video);
+    setSegmentVideo(page.videoId, page.video);
+}
+
+
+// --- Mutation Observer ---
+
+/**
+ * Runs the observer work at most once per animation frame.
+ */
+function scheduleAdvaultPass() {
+    if (advaultPassScheduled) return;
+    advaultPassScheduled = true;
+    requestAnimationFrame(runAdvaultPass);
+}
+
+/**
+ * Starts watching the player's class and style attributes, which change when an ad starts,
+ * instead of every attribute in the document.
+ * @param {Element} player - The player element.
+ */
+function watchPlayer(player) {
+    advaultPlayerElement = player;
+    advaultPlayerChanged = true;
+    if (!advaultPlayerObserver) {
+        advaultPlayerObserver = new MutationObserver(() => {
+            advaultPlayerChanged = true;
+            scheduleAdvaultPass();
+        });
+    }
+    advaultPlayerObserver.disconnect();
+    advaultPlayerObserver.observe(player, { attributes: true, attributeFilter: ['class', 'style'] });
+    addPageCleanup(() => {
+        advaultPlayerObserver.disconnect();
+        advaultPlayerElement = null;
+        advaultPlayerChanged = false;
+        releaseAdPlayer();
+    });
+}
+
+/**
+ * Shows an element that ad scripts hid with an inline `display: none`, by dropping that declaration
+ * rather than forcing a display value of our own. The change is recorded like the others.
+ * @param {Element} element - The player or video element.
+ */
+function unhidePlayerElement(element) {
+    if (!element || element.style.display !== 'none') return;
+    const previous = Advault.DOM.attr(element, 'style');
+    element.style.removeProperty('display');
+    recordChange('unhide player', element, () => Advault.DOM.attr(element, 'style', previous));
+}
+
+/**
+ * Keeps the player visible, lets the skip strategies act on its ad state and, as an opt-in
+ * last resort, reloads the page when an ad plays anyway.
+ */
+function checkPlayer() {
+    const videoElement = Advault.query(ADV_VIDEO_ELEMENT_SELECTOR, advaultPlayerElement);
+
+    // Ensure player and video remain visible if they were manipulated by ad scripts
+    unhidePlayerElement(advaultPlayerElement);
+    unhidePlayerElement(videoElement);
+
+    updateAdSkipper(advaultPlayerElement);
+
+    // Last resort: an ad got past the response pruning, reload the page
+    if (advaultYouTubeSettings.reloadAsLastResort && isAdPresent() && canReloadForAd()) {
+        console.warn("[Advault content.js] 🚨 Ad detected! Attempting to refresh page and save timestamp...");
+        sessionStorage.setItem(AD_RELOAD_SESSION_KEY, String(Date.now()));
+        const saved = videoElement && advaultYouTubeSettings.resumePlayback
+            ? saveVideoTimestamp(videoElement)
+            : Promise.resolve();
+        // Trigger a full page reload to clear ads, once the timestamp is stored
+        saved.finally(() => window.location.reload(true));
+    }
+}
+
+/**
+ * One observer pass: applies the hide strategies to the subtrees added since the last pass,
+ * then checks the player if it changed. A player that left the page makes the lifecycle look for
+ * the page state's new one. The time spent is measured and reported.
+ */
+function runAdvaultPass() {
+    advaultPassScheduled = false;
+    if (advaultRestored) return;
+    const started = performance.now();
+
+    let removedElements = 0;
+    if (advaultYouTubeSettings.removeAdElements) {
+        pendingAdvaultRoots.forEach(root => { removedElements += applyAdvaultStrategies(root); });
+    }
+    pendingAdvaultRoots.clear();
+
+    if (advaultPlayerElement && !advaultPlayerElement.isConnected) {
+        refreshPageState('player replaced');
+    } else if (advaultPlayerElement && advaultPlayerChanged) {
+        advaultPlayerChanged = false;
+        checkPlayer();
+    }
+
+    const elapsed = performance.now() - started;
+    if (elapsed > ADV_SLOW_PASS_MS) {
+        console.debug(`[Advault content.js] Slow observer pass: ${elapsed.toFixed(1)} ms, ${removedElements} elements changed.`);
+    }
+    countAdvaultStats({ removedElements, scanPasses: 1, scanTimeMs: elapsed });
+}
+
+/**
+ * Collects the element subtrees added to the page; the work happens in the next pass.
+ * @param {MutationRecord[]} mutationsList - The mutations.
+ */
+const advaultObserverCallback = mutationsList => {
+    for (const mutation of mutationsList) {
+        for (const node of mutation.addedNodes) {
+            if (node.nodeType === Node.ELEMENT_NODE) pendingAdvaultRoots.add(node);
+        }
+    }
+    if (pendingAdvaultRoots.size > 0) scheduleAdvaultPass();
+};
+
+// --- Main Execution Logic ---
+(async function initAdvaultContentScript() {
+    console.log("[Advault content.js] 🚀 YouTube-specific AdBlocker injected!");
+
+    if (!advaultSurface) {
+        console.log(`[Advault content.js] No YouTube surface for ${location.hostname}, leaving the page untouched.`);
+        return;
+    }
+
+    if (await isSiteAllowlisted()) {
+        console.log(`[Advault content.js] ${location.hostname} is allowlisted, leaving the page untouched.`);
+        disablePlayerPruning();
+        return;
+    }
+
+    try {
+        const settings = await getSettings();
+        advaultYouTubeSettings = settings.youtube;
+        advaultSegmentSettings = settings.segments;
+    } catch (error) {
+        console.error('[Advault content.js] Could not load settings, using the defaults:', error);
+    }
+    if (!advaultYouTubeSettings.pruneAdData) {
+        disablePlayerPruning();
+    }
+
+    // Start with the surface's own selectors and skip chain. Surfaces with the desktop markup load
+    // the YouTube config, and pick up new revisions while the page stays open
+    advaultSelectorStrategies = advaultSurface.hideStrategies;
+    updateAdSelectors(advaultSurface.selectors);
+    setSkipChain(advaultSurface.skipStrategies);
+    console.log(`[Advault content.js] Running on the ${advaultSurface.name} surface.`);
+    const ytpConfig = advaultSurface.usesYouTubeConfig ? await requestYouTubeConfig() : null;
+    if (ytpConfig) {
+        applyYouTubeConfig(ytpConfig);
+    } else if (advaultSurface.usesYouTubeConfig) {
+        console.warn("[Advault content.js] The YouTube config could not be loaded. Running with default Advault selectors.");
+    }
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (!message) return false;
+        if (message.type === 'youtubeConfigUpdated' && !advaultRestored && advaultSurface.usesYouTubeConfig) {
+            applyYouTubeConfig(message.config);
+            pendingAdvaultRoots.add(document.documentElement);
+            scheduleAdvaultPass();
+        } else if (message.type === 'restorePage') {
+            // Sent by the background script when the user restores the page from the popup
+            sendResponse({ restored: restoreAdvaultPage() });
+        } else if (message.type === 'youtubeNavigated') {
+            // In-page navigation, reported by the background script's webNavigation listener
+            refreshPageState('history');
+        }
+        return false;
+    });
+
+    // Initialize Mutation Observer to watch for added elements and hide ads; attribute changes
+    // are only watched on the player (see watchPlayer)
+    if (advaultYouTubeSettings.skipAds) {
+        startAdSkipper(() => countAdvaultStats({ skippedAds: 1 }));
+    }
+    if (advaultYouTubeSettings.removeAdElements || advaultYouTubeSettings.skipAds || advaultYouTubeSettings.reloadAsLastResort) {
+        advaultObserver = new MutationObserver(advaultObserverCallback);
+        advaultObserver.observe(document.documentElement, {
+            childList: true,   // Observe direct children additions/removals
+            subtree: true      // Observe all descendants
+        });
+        // The first pass covers what is already in the page
+        pendingAdvaultRoots.add(document.documentElement);
+        scheduleAdvaultPass();
+        console.log("[Advault content.js] Mutation Observer initialized for ad hiding.");
+    }
+
+    // Follow the page through YouTube's in-page navigation: each page state gets its player watched,
+    // its video resumed if a timestamp was saved for it, and its segments skipped
+    if (!advaultYouTubeSettings.resumePlayback) {
+        console.log("[Advault content.js] Resuming playback is turned off.");
+    }
+    startSegmentSkipper(advaultSegmentSettings);
+    startLifecycle(advaultSurface, handlePageChange);
+
+    console.log("[Advault content.js] 🎉 Advault YouTube Ad Blocking Initialized!");
+
 })(); // End of Advault content script IIFE
\ No newline at end of file
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * @file contentLoader.js
+ * @description Loads Advault's YouTube content script. Content scripts listed in the manifest run as
+ * classic scripts, so content.js and the modules it imports are loaded with a dynamic import instead;
+ * they are listed under `web_accessible_resources` for that. The module runs in this script's isolated world.
+ */
+
+import(chrome.runtime.getURL('content.js'))
+    .catch(error => console.error('[Advault contentLoader.js] Could not load the content script:', error));
@@ -0,0 +1,614 @@
+'use strict';
+
+/**
+ * @file options.js
+ * @description Script of Advault's options page.
+ * Talks to the background worker through its message router, which answers
+ * `{ ok: true, result }` or `{ ok: false, error }`. Every setting is stored by the background
+ * worker; this page only renders and edits it.
+ */
+
+/**
+ * Sends a message to the background worker.
+ * @param {string} type - The message type.
+ * @param {object} [payload] - Additional message fields.
+ * @returns {Promise<*>} The handler's result.
+ * @throws {Error} If the handler failed.
+ */
+async function sendMessage(type, payload = {}) {
+  const response = await chrome.runtime.sendMessage({ type, ...payload });
+  if (!response || !response.ok) {
+    throw new Error(response ? response.error : `No handler for message "${type}"`);
+  }
+  return response.result;
+}
+
+/**
+ * Runs an action triggered from the page and shows its outcome next to it.
+ * @param {string} messageId - Id of the element that shows the outcome.
+ * @param {function(): Promise<string|void>} action - The action; may return a success message.
+ */
+async function runAction(messageId, action) {
+  const message = document.getElementById(messageId);
+  message.className = "message";
+  message.textContent = "Working…";
+  try {
+    message.textContent = (await action()) || "";
+  } catch (error) {
+    message.className = "message severity-error";
+    message.textContent = error.message;
+  }
+}
+
+/**
+ * Creates an element with text content.
+ * @param {string} tagName - The element name.
+ * @param {string} [text] - The text content.
+ * @returns {HTMLElement} The element.
+ */
+function createElement(tagName, text = "") {
+  const element = document.createElement(tagName);
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Creates a button that runs an action.
+ * @param {string} label - The button text.
+ * @param {function(): Promise<*>} onClick - The action.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createButton(label, onClick) {
+  const button = createElement("button", label);
+  button.type = "button";
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Formats a time stamp for display.
+ * @param {number|null} timestamp - Milliseconds since epoch.
+ * @returns {string} The local date and time, or "never".
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : "never";
+}
+
+/**
+ * Describes a rule in one line for the findings table.
+ * @param {object} rule - The rule.
+ * @returns {string} The rule id with its main condition.
+ */
+function describeRule(rule) {
+  const { urlFilter, regexFilter, requestDomains } = rule.condition;
+  const condition = urlFilter || (regexFilter && `/${regexFilter}/`) ||
+    (requestDomains && `${requestDomains.length} domains (${requestDomains.slice(0, 3).join(", ")}…)`) || "";
+  return `#${rule.id} ${rule.action.type} ${condition}`;
+}
+
+// --- Status ---
+
+/**
+ * Shows the background worker's status.
+ */
+async function renderStatus() {
+  const status = await sendMessage("getStatus");
+  const { rules, report } = status;
+
+  document.getElementById("status-last-updated").textContent = formatTime(status.lastUpdated);
+  document.getElementById("status-list-rules").textContent = `${rules.list} dynamic rules`;
+  document.getElementById("status-other-rules").textContent =
+    `${rules.allowlist} allowlisted sites, ${rules.custom} custom rules`;
+  document.getElementById("status-static-rules").textContent =
+    `${rules.enabledRulesets.length} enabled (${rules.enabledRulesets.join(", ") || "none"}), ` +
+    `room for ${rules.availableStaticRules} more rules`;
+  document.getElementById("status-report").textContent = report
+    ? `${formatTime(report.parsedAt)}: ${report.converted} filters converted, ${report.cosmetic || 0} element hiding filters, ` +
+      `${report.scriptlets || 0} scriptlets, ${report.unsupported} unsupported, ` +
+      `${report.lint ? report.lint.errors : 0} rejected by the linter, ${report.compaction.droppedRules} dropped over the limit`
+    : "no list parsed yet";
+  document.getElementById("status-youtube-config").textContent = status.youtubeConfig.source === "remote"
+    ? `revision ${status.youtubeConfig.revision}, downloaded ${formatTime(status.youtubeConfig.fetchedAt)}`
+    : `revision ${status.youtubeConfig.revision}, bundled with the extension`;
+
+  document.getElementById("status-errors").replaceChildren(...status.errors.map(error =>
+    createElement("li", `${error.title}: ${error.message} (${formatTime(error.at)})`)));
+}
+
+// --- Filter lists ---
+
+/**
+ * Shows the recorded versions of a subscription in a row below it, each with a button to roll back to it.
+ * Clicking the subscription's "Versions" button again hides them.
+ * @param {object} subscription - The subscription.
+ * @param {HTMLTableRowElement} row - The subscription's row.
+ */
+async function toggleListHistory(subscription, row) {
+  const next = row.nextElementSibling;
+  if (next && next.dataset.historyOf === subscription.id) {
+    next.remove();
+    return;
+  }
+  const versions = await sendMessage("getListHistory", { id: subscription.id });
+  const list = document.createElement("ul");
+  list.replaceChildren(...versions.map((version, index) => {
+    const current = subscription.pinnedVersion ? version.versionId === subscription.pinnedVersion : index === 0;
+    const item = createElement("li",
+      `${formatTime(version.acceptedAt)}: ${version.entryCount} entries ` +
+      `(+${version.diff.added} / −${version.diff.removed})${current ? ", active" : ""} `);
+    if (!current) {
+      item.append(createButton("Roll back", () => runAction("subscription-message", async () => {
+        await sendMessage("rollbackSubscription", { id: subscription.id, versionId: version.versionId });
+        await refreshPage();
+        return `Rolled back "${subscription.title}" to the version of ${formatTime(version.acceptedAt)}; it stays there until unpinned.`;
+      })));
+    }
+    return item;
+  }));
+  if (versions.length === 0) {
+    list.append(createElement("li", "No versions recorded yet."));
+  }
+
+  const cell = createElement("td");
+  cell.colSpan = 6;
+  cell.append(list);
+  const historyRow = document.createElement("tr");
+  historyRow.dataset.historyOf = subscription.id;
+  historyRow.append(cell);
+  row.after(historyRow);
+}
+
+/**
+ * Builds the state cell of a list that is up to date: how its last version was authenticated.
+ * A list without a checksum is only as trustworthy as the connection it came over, and one
+ * downloaded over plain HTTP (such as the default Advault list) is flagged as unverified.
+ * @param {object} subscription - The subscription.
+ * @returns {HTMLTableCellElement} The cell.
+ */
+function createVerificationCell(subscription) {
+  if (subscription.verifiedBy) {
+    return createElement("td", `verified (${subscription.verifiedBy})`);
+  }
+  if (new URL(subscription.url).protocol === "https:") {
+    return createElement("td", "ok, no checksum");
+  }
+  return Object.assign(
+    createElement("td", "unverified: downloaded over plain HTTP without a checksum, anyone on the network path can change it"),
+    { className: "severity-warning" });
+}
+
+/**
+ * Shows the subscriptions with their controls.
+ */
+async function renderSubscriptions() {
+  const subscriptions = await sendMessage("getSubscriptions");
+  const rows = subscriptions.map(subscription => {
+    const row = document.createElement("tr");
+
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.checked = subscription.enabled;
+    toggle.addEventListener("change", () => runAction("subscription-message", async () => {
+      await sendMessage("updateSubscription", { id: subscription.id, changes: { enabled: toggle.checked } });
+      await refreshPage();
+    }));
+    const toggleCell = createElement("td");
+    toggleCell.append(toggle);
+
+    const listCell = createElement("td", subscription.title);
+    listCell.append(document.createElement("br"), Object.assign(createElement("span", subscription.url), { className: "url" }));
+
+    const state = subscription.error
+      ? Object.assign(createElement("td", subscription.error.message), { className: "severity-error" })
+      : subscription.pinnedVersion ? createElement("td", "pinned") : createVerificationCell(subscription);
+
+    const actions = createElement("td");
+    actions.append(createButton("Update now", () => runAction("subscription-message", async () => {
+      await sendMessage("refreshSubscription", { id: subscription.id });
+      await refreshPage();
+    })));
+    if (subscription.error && subscription.error.overridable) {
+      actions.append(createButton("Accept update", () => runAction("subscription-message", async () => {
+        if (!confirm(`Apply the rejected update of "${subscription.title}" anyway?`)) return;
+        await sendMessage("acceptListUpdate", { id: subscription.id });
+        await refreshPage();
+        return `Accepted the update of "${subscription.title}".`;
+      })));
+    }
+    actions.append(createButton("Versions", () => runAction("subscription-message", () => toggleListHistory(subscription, row))));
+    if (subscription.pinnedVersion) {
+      actions.append(createButton("Unpin", () => runAction("subscription-message", async () => {
+        await sendMessage("unpinSubscription", { id: subscription.id });
+        await refreshPage();
+      })));
+    }
+    actions.append(createButton("Remove", () => runAction("subscription-message", async () => {
+      if (!confirm(`Remove "${subscription.title}"?`)) return;
+      await sendMessage("removeSubscription", { id: subscription.id });
+      await refreshPage();
+    })));
+
+    row.append(
+      toggleCell,
+      listCell,
+      createElement("td", formatTime(subscription.lastFetched)),
+      createElement("td", String(subscription.entryCount ?? "")),
+      state,
+      actions
+    );
+    return row;
+  });
+  document.getElementById("subscription-rows").replaceChildren(...rows);
+}
+
+document.getElementById("subscription-form").addEventListener("submit", event => {
+  event.preventDefault();
+  const url = document.getElementById("subscription-url");
+  const title = document.getElementById("subscription-title");
+  runAction("subscription-message", async () => {
+    const subscription = await sendMessage("addSubscription", {
+      source: { url: url.value.trim(), title: title.value.trim() || undefined }
+    });
+    url.value = "";
+    title.value = "";
+    await refreshPage();
+    return `Added "${subscription.title}".`;
+  });
+});
+
+// --- Updates ---
+
+/**
+ * Shows the update interval.
+ * @param {object} settings - The settings.
+ */
+function renderUpdateInterval(settings) {
+  document.getElementById("update-interval").value = String(settings.updateIntervalMinutes / 60);
+}
+
+document.getElementById("update-interval-save").addEventListener("click", () => {
+  runAction("update-message", async () => {
+    const hours = Number(document.getElementById("update-interval").value);
+    await sendMessage("updateSettings", { changes: { updateIntervalMinutes: Math.round(hours * 60) } });
+    return "Saved.";
+  });
+});
+
+// --- Categories ---
+
+/**
+ * Shows the static ruleset categories as toggles.
+ */
+async function renderCategories() {
+  const categories = await sendMessage("getRulesetCategories");
+  document.getElementById("category-list").replaceChildren(...categories.map(({ category, enabled }) => {
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.checked = enabled;
+    toggle.addEventListener("change", () => runAction("category-message", async () => {
+      await sendMessage("updateEnabledRulesets", toggle.checked ? { enable: [category] } : { disable: [category] });
+      return "Saved.";
+    }));
+    const label = createElement("label");
+    label.append(toggle, ` ${category}`);
+    const paragraph = createElement("p");
+    paragraph.append(label);
+    return paragraph;
+  }));
+}
+
+// --- Allowlist ---
+
+/**
+ * Shows the allowlisted sites.
+ */
+async function renderAllowlist() {
+  const allowlist = await sendMessage("getAllowlist");
+  document.getElementById("allowlist-entries").replaceChildren(...allowlist.map(site => {
+    const item = createElement("li", `${site} `);
+    item.append(createButton("Remove", () => runAction("allowlist-message", async () => {
+      await sendMessage("removeFromAllowlist", { site });
+      await renderAllowlist();
+    })));
+    return item;
+  }));
+}
+
+document.getElementById("allowlist-form").addEventListener("submit", event => {
+  event.preventDefault();
+  const input = document.getElementById("allowlist-site");
+  runAction("allowlist-message", async () => {
+    await sendMessage("addToAllowlist", { site: input.value });
+    input.value = "";
+    await renderAllowlist();
+  });
+});
+
+// --- My filters ---
+
+// Delay between the last keystroke and validating the filters
+const FILTER_VALIDATION_DELAY_MS = 400;
+let filterValidationTimer = null;
+
+/**
+ * Lists the problems found in the custom filters.
+ * @param {object[]} problems - The problems, each with line number, severity and message.
+ */
+function renderFilterProblems(problems) {
+  document.getElementById("custom-filters-problems").replaceChildren(...problems.map(problem =>
+    Object.assign(createElement("li", `Line ${problem.lineNumber} (${problem.line}): ${problem.message}`), {
+      className: `severity-${problem.severity}`
+    })));
+}
+
+/**
+ * Validates the filters in the editor and shows the problems of each line.
+ */
+async function validateFilterEditor() {
+  const text = document.getElementById("custom-filters-text").value;
+  const message = document.getElementById("custom-filters-message");
+  try {
+    const { problems, ruleCount, cosmeticCount, scriptletCount, error } = await sendMessage("validateCustomFilters", { text });
+    renderFilterProblems(problems);
+    const errorLines = new Set(problems.filter(problem => problem.severity === "error").map(problem => problem.lineNumber));
+    message.className = error ? "message severity-error" : "message";
+    message.textContent = error ||
+      `${ruleCount} rules, ${cosmeticCount} element hiding filters, ${scriptletCount} scriptlets` + (errorLines.size > 0 ? `, ${errorLines.size} lines with errors will be skipped` : "") + ". Not saved yet.";
+  } catch (error) {
+    message.className = "message severity-error";
+    message.textContent = error.message;
+  }
+}
+
+document.getElementById("custom-filters-text").addEventListener("input", () => {
+  clearTimeout(filterValidationTimer);
+  filterValidationTimer = setTimeout(validateFilterEditor, FILTER_VALIDATION_DELAY_MS);
+});
+
+document.getElementById("custom-filters-save").addEventListener("click", () => {
+  clearTimeout(filterValidationTimer);
+  runAction("custom-filters-message", async () => {
+    const text = document.getElementById("custom-filters-text").value;
+    const { problems, ruleCount, cosmeticCount, scriptletCount } = await sendMessage("saveCustomFilters", { text });
+    renderFilterProblems(problems);
+    return `Saved, ${ruleCount} rules, ${cosmeticCount} element hiding filters and ${scriptletCount} scriptlets active.`;
+  });
+});
+
+// --- YouTube ---
+
+/**
+ * Shows the YouTube behaviour toggles.
+ * @param {object} settings - The settings.
+ */
+function renderYouTubeSettings(settings) {
+  for (const toggle of document.querySelectorAll("[data-youtube-setting]")) {
+    toggle.checked = settings.youtube[toggle.dataset.youtubeSetting];
+  }
+}
+
+for (const toggle of document.querySelectorAll("[data-youtube-setting]")) {
+  toggle.addEventListener("change", () => runAction("youtube-message", async () => {
+    await sendMessage("updateSettings", { changes: { youtube: { [toggle.dataset.youtubeSetting]: toggle.checked } } });
+    return "Saved. Reload YouTube tabs to apply.";
+  }));
+}
+
+// --- Video segments ---
+
+// Segment categories, in the order they are listed
+const SEGMENT_CATEGORY_LABELS = {
+  sponsor: "Sponsor",
+  selfpromo: "Self-promotion",
+  interaction: "Interaction reminder",
+  intro: "Intro",
+  outro: "Outro",
+  preview: "Preview",
+  filler: "Filler"
+};
+
+/**
+ * Saves some segment settings.
+ * @param {object} changes - The changed segment settings.
+ * @returns {Promise<object>} The updated settings.
+ */
+function updateSegmentSettings(changes) {
+  return sendMessage("updateSettings", { changes: { segments: changes } });
+}
+
+/**
+ * Shows the segment settings.
+ * @param {object} settings - The settings.
+ */
+function renderSegmentSettings(settings) {
+  const { mode, categories, excludedChannels } = settings.segments;
+  document.getElementById("segment-mode").value = mode;
+
+  document.getElementById("segment-categories").replaceChildren(...Object.entries(SEGMENT_CATEGORY_LABELS).map(([category, label]) => {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = categories[category];
+    checkbox.addEventListener("change", () => runAction("segment-message", async () => {
+      await updateSegmentSettings({ categories: { [category]: checkbox.checked } });
+      return "Saved. Reload YouTube tabs to apply.";
+    }));
+    const item = createElement("label");
+    item.append(checkbox, ` ${label} `);
+    return item;
+  }));
+
+  document.getElementById("segment-channels").replaceChildren(...excludedChannels.map(channel => {
+    const item = createElement("li", `${channel} `);
+    item.append(createButton("Remove", () => runAction("segment-message", async () => {
+      const updated = await updateSegmentSettings({ excludedChannels: excludedChannels.filter(entry => entry !== channel) });
+      renderSegmentSettings(updated);
+    })));
+    return item;
+  }));
+}
+
+/**
+ * Shows how many segments are stored.
+ */
+async function renderSegmentSummary() {
+  const { videos, segments } = await sendMessage("getSegmentSummary");
+  document.getElementById("segment-summary").textContent = `${segments} segments of ${videos} videos.`;
+}
+
+document.getElementById("segment-mode").addEventListener("change", event => {
+  runAction("segment-message", async () => {
+    await updateSegmentSettings({ mode: event.target.value });
+    return "Saved. Reload YouTube tabs to apply.";
+  });
+});
+
+document.getElementById("segment-channel-form").addEventListener("submit", event => {
+  event.preventDefault();
+  const input = document.getElementById("segment-channel");
+  runAction("segment-message", async () => {
+    const { segments } = await sendMessage("getSettings");
+    const channel = input.value.trim();
+    if (!segments.excludedChannels.includes(channel)) {
+      renderSegmentSettings(await updateSegmentSettings({ excludedChannels: [...segments.excludedChannels, channel] }));
+    }
+    input.value = "";
+  });
+});
+
+document.getElementById("segment-import").addEventListener("change", event => {
+  const [file] = event.target.files;
+  if (!file) return;
+  runAction("segment-message", async () => {
+    try {
+      const { videos, segments, skipped } = await sendMessage("importSegments", { text: await file.text() });
+      await renderSegmentSummary();
+      return `Imported ${segments} segments of ${videos} videos` + (skipped > 0 ? `, skipped ${skipped} invalid entries.` : ".");
+    } finally {
+      event.target.value = "";
+    }
+  });
+});
+
+document.getElementById("segment-clear").addEventListener("click", () => runAction("segment-message", async () => {
+  await sendMessage("clearSegments");
+  await renderSegmentSummary();
+  return "Deleted all segments.";
+}));
+
+// --- Privacy ---
+
+// Privacy settings, in the order they are listed, with what turning each one on does
+const PRIVACY_SETTING_LABELS = {
+  networkPrediction: "Turn off network prediction and prefetching",
+  webRTCIPHandling: "Keep WebRTC from revealing local IP addresses",
+  hyperlinkAuditing: "Turn off hyperlink auditing (<a ping>)",
+  topics: "Turn off the Topics API",
+  fledge: "Turn off FLEDGE (Protected Audience) ad auctions",
+  adMeasurement: "Turn off ad measurement",
+  thirdPartyCookies: "Block third-party cookies"
+};
+
+/**
+ * Shows the privacy settings with who controls them.
+ */
+async function renderPrivacySettings() {
+  const statuses = await sendMessage("getPrivacySettings");
+  document.getElementById("privacy-settings").replaceChildren(...statuses.map(status => {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = status.hardened;
+    checkbox.disabled = !status.supported || status.controlledBy !== null;
+    checkbox.addEventListener("change", () => runAction("privacy-message", async () => {
+      await sendMessage("setPrivacySetting", { id: status.id, hardened: checkbox.checked });
+      await renderPrivacySettings();
+      return "Saved.";
+    }));
+    let note = "";
+    if (!status.supported) note = "(not supported by this browser)";
+    else if (status.controlledBy === "policy") note = "(set by a policy)";
+    else if (status.controlledBy === "extension") note = "(controlled by another extension)";
+    const label = createElement("label");
+    label.append(checkbox, ` ${PRIVACY_SETTING_LABELS[status.id]} ${note}`);
+    const item = createElement("div");
+    item.append(label);
+    return item;
+  }));
+}
+
+document.getElementById("privacy-restore").addEventListener("click", () => runAction("privacy-message", async () => {
+  const restored = await sendMessage("restorePrivacySettings");
+  await renderPrivacySettings();
+  return `Restored ${restored} settings.`;
+}));
+
+// --- Rule health ---
+
+/**
+ * Lints the installed rules and shows the findings.
+ */
+async function runRuleLint() {
+  const button = document.getElementById("lint-run");
+  const summary = document.getElementById("lint-summary");
+  const table = document.getElementById("lint-findings");
+  const body = table.querySelector("tbody");
+
+  button.disabled = true;
+  summary.textContent = "Checking…";
+  try {
+    const findings = await sendMessage("lintRules");
+    const errors = findings.filter(finding => finding.severity === "error").length;
+    summary.textContent = findings.length === 0
+      ? "No problems found."
+      : `${errors} errors, ${findings.length - errors} warnings.`;
+
+    body.replaceChildren(...findings.map(finding => {
+      const row = document.createElement("tr");
+      for (const text of [finding.severity, finding.source, describeRule(finding.rule), finding.message]) {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.append(cell);
+      }
+      row.className = `severity-${finding.severity}`;
+      return row;
+    }));
+    table.hidden = findings.length === 0;
+  } catch (error) {
+    summary.textContent = `Could not check rules: ${error.message}`;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+document.getElementById("lint-run").addEventListener("click", runRuleLint);
+
+// --- Page ---
+
+/**
+ * Re-renders the parts of the page that the background worker changes.
+ */
+async function refreshPage() {
+  await Promise.all([renderStatus(), renderSubscriptions()]);
+}
+
+/**
+ * Renders the whole page.
+ */
+async function initOptionsPage() {
+  const settings = await sendMessage("getSettings");
+  renderUpdateInterval(settings);
+  renderYouTubeSettings(settings);
+  renderSegmentSettings(settings);
+  document.getElementById("custom-filters-text").value = await sendMessage("getCustomFilters");
+  await Promise.all([
+    refreshPage(),
+    renderCategories(),
+    renderAllowlist(),
+    renderSegmentSummary(),
+    renderPrivacySettings()
+  ]);
+}
+
+initOptionsPage().catch(error => {
+  console.error("Failed to load the options page:", error);
+  document.getElementById("status-errors").replaceChildren(createElement("li", error.message));
+});
@@ -0,0 +1,369 @@
+'use strict';
+
+/**
+ * @file picker.js
+ * @description Advault's element picker, started from the "Block element…" context menu.
+ * Highlights the element under the mouse, turns a clicked element into a CSS selector that can
+ * be widened or narrowed, previews hiding it, and saves it as a `site##selector` filter.
+ * The background script loads this module on demand with a dynamic import, so it can use the
+ * Advault.DOM helpers like the content script does.
+ */
+
+import { Advault } from './AdvaultDOM.js';
+
+// Highest z-index, so the picker stays above page overlays
+const PICKER_Z_INDEX = '2147483647';
+
+// Largest number of matches outlined at once
+const MAX_HIGHLIGHTS = 100;
+
+// Class and id names with long digit runs are usually generated per page load
+const GENERATED_NAME_PATTERN = /\d{3,}|^[a-f0-9]{8,}$/i;
+
+const PICKER_STYLES = `
+    .highlight {
+        position: fixed;
+        pointer-events: none;
+        background: rgba(255, 64, 64, 0.25);
+        outline: 2px solid #ff4040;
+    }
+    .panel {
+        position: fixed;
+        right: 16px;
+        bottom: 16px;
+        width: 360px;
+        padding: 12px;
+        pointer-events: auto;
+        background: #fff;
+        color: #222;
+        border: 1px solid #999;
+        border-radius: 6px;
+        box-shadow: 0 2px 12px rgba(0, 0, 0, 0.3);
+        font: 13px Arial, sans-serif;
+    }
+    .panel input {
+        box-sizing: border-box;
+        width: 100%;
+        margin: 6px 0;
+        font: 12px monospace;
+    }
+    .panel button {
+        margin: 2px 4px 2px 0;
+    }
+    .status {
+        min-height: 1.4em;
+        color: #555;
+    }
+`;
+
+let activePicker = null;
+
+/**
+ * Returns the selector segment of one element: its id, or its tag with its stable classes.
+ * @param {Element} element - The element.
+ * @returns {string} The selector segment.
+ */
+function describeElement(element) {
+    const id = Advault.DOM.attr(element, 'id');
+    if (id && !GENERATED_NAME_PATTERN.test(id)) {
+        return `#${CSS.escape(id)}`;
+    }
+    const classes = Array.from(element.classList)
+        .filter(name => !GENERATED_NAME_PATTERN.test(name))
+        .slice(0, 3)
+        .map(name => `.${CSS.escape(name)}`);
+    return element.localName + classes.join('');
+}
+
+/**
+ * Returns the selector segment of an element, made unique among its siblings with `:nth-of-type`.
+ * @param {Element} element - The element.
+ * @returns {string} The selector segment.
+ */
+function describeElementPosition(element) {
+    const segment = describeElement(element);
+    if (segment.startsWith('#') || !element.parentElement) return segment;
+    const sameType = Array.from(element.parentElement.children).filter(child => child.localName === element.localName);
+    return sameType.length > 1 ? `${segment}:nth-of-type(${sameType.indexOf(element) + 1})` : segment;
+}
+
+/**
+ * Counts the elements a selector matches.
+ * @param {string} selector - The selector.
+ * @returns {number} The number of matches, or -1 if the selector is invalid.
+ */
+function countMatches(selector) {
+    try {
+        return Advault.queryAll(selector).length;
+    } catch (error) {
+        return -1;
+    }
+}
+
+/**
+ * Builds the selectors that match an element, from the narrowest (only this element)
+ * to the broadest (every element with the same classes).
+ * @param {Element} element - The picked element.
+ * @returns {{selector: string, matches: number}[]} The candidates, by increasing number of matches.
+ */
+function buildSelectorCandidates(element) {
+    const ancestors = [];
+    for (let node = element; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+        ancestors.unshift(node);
+        if (describeElement(node).startsWith('#')) break; // An id anchors the path
+    }
+
+    const selectors = new Set();
+    // Paths with positions, from the full path down to the element alone
+    for (let start = 0; start < ancestors.length; start++) {
+        selectors.add(ancestors.slice(start).map(describeElementPosition).join(' > '));
+    }
+    // Paths without positions
+    for (let start = 0; start < ancestors.length; start++) {
+        selectors.add(ancestors.slice(start).map(describeElement).join(' > '));
+    }
+    const classes = Array.from(element.classList).filter(name => !GENERATED_NAME_PATTERN.test(name));
+    if (classes.length > 0) {
+        selectors.add(classes.map(name => `.${CSS.escape(name)}`).join(''));
+    }
+
+    const candidates = [];
+    for (const selector of selectors) {
+        const matches = countMatches(selector);
+        if (matches > 0 && !candidates.some(candidate => candidate.matches === matches)) {
+            candidates.push({ selector, matches });
+        }
+    }
+    return candidates.sort((a, b) => a.matches - b.matches || a.selector.length - b.selector.length);
+}
+
+/**
+ * The on-page picker: an overlay in a closed shadow root, so page styles don't reach it.
+ */
+class ElementPicker {
+    constructor() {
+        this.host = Advault.DOM.create('div');
+        this.host.style.cssText = `position: fixed; inset: 0; pointer-events: none; z-index: ${PICKER_Z_INDEX};`;
+        this.root = this.host.attachShadow({ mode: 'closed' });
+
+        const style = Advault.DOM.create('style');
+        Advault.DOM.text(style, PICKER_STYLES);
+        this.highlightLayer = Advault.DOM.create('div');
+        this.panel = this.createPanel();
+        this.root.append(style, this.highlightLayer, this.panel);
+
+        this.previewStyle = null;
+        this.pickedElement = null;
+        this.candidates = [];
+        this.candidateIndex = 0;
+
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    /**
+     * Builds the control panel.
+     * @returns {Element} The panel.
+     */
+    createPanel() {
+        const panel = Advault.DOM.create('div');
+        Advault.DOM.attr(panel, 'class', 'panel');
+
+        const title = Advault.DOM.create('strong');
+        Advault.DOM.text(title, 'Advault: Block element');
+        this.selectorInput = Advault.DOM.create('input');
+        Advault.DOM.attr(this.selectorInput, 'type', 'text');
+        Advault.DOM.attr(this.selectorInput, 'placeholder', 'Click an element on the page');
+        this.status = Advault.DOM.create('div');
+        Advault.DOM.attr(this.status, 'class', 'status');
+
+        const buttons = Advault.DOM.create('div');
+        const addButton = (label, handler) => {
+            const button = Advault.DOM.create('button');
+            Advault.DOM.attr(button, 'type', 'button');
+            Advault.DOM.text(button, label);
+            Advault.DOM.on(button, 'click', handler, false);
+            buttons.append(button);
+            return button;
+        };
+        addButton('Narrower', () => this.moveCandidate(-1));
+        addButton('Wider', () => this.moveCandidate(1));
+        this.previewButton = addButton('Preview', () => this.togglePreview());
+        addButton('Save', () => this.save());
+        addButton('Cancel', () => this.stop());
+
+        Advault.DOM.on(this.selectorInput, 'input', () => this.showSelector(this.selectorInput.value), false);
+        panel.append(title, this.selectorInput, this.status, buttons);
+        return panel;
+    }
+
+    /**
+     * Shows the picker and starts following the mouse.
+     */
+    start() {
+        document.documentElement.append(this.host);
+        Advault.DOM.on(document, 'mousemove', this.onMouseMove, true);
+        Advault.DOM.on(document, 'click', this.onClick, true);
+        Advault.DOM.on(document, 'keydown', this.onKeyDown, true);
+        this.setStatus('Hover over the element to block and click it. Esc cancels.');
+    }
+
+    /**
+     * Removes the picker and its preview from the page.
+     */
+    stop() {
+        Advault.DOM.off(document, 'mousemove', this.onMouseMove, true);
+        Advault.DOM.off(document, 'click', this.onClick, true);
+        Advault.DOM.off(document, 'keydown', this.onKeyDown, true);
+        Advault.DOM.remove(this.previewStyle);
+        Advault.DOM.remove(this.host);
+        activePicker = null;
+    }
+
+    /**
+     * Tells whether an event happened on the picker's own panel.
+     * @param {Event} event - The event.
+     * @returns {boolean} True for events on the panel.
+     */
+    isOwnEvent(event) {
+        return event.composedPath().includes(this.host);
+    }
+
+    onMouseMove(event) {
+        if (this.pickedElement || this.isOwnEvent(event)) return;
+        this.highlight([event.target]);
+    }
+
+    onClick(event) {
+        if (this.isOwnEvent(event)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        this.pick(event.target);
+    }
+
+    onKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.stop();
+        }
+    }
+
+    /**
+     * Outlines elements on the page.
+     * @param {Element[]} elements - The elements.
+     */
+    highlight(elements) {
+        Advault.DOM.clear(this.highlightLayer);
+        for (const element of elements.slice(0, MAX_HIGHLIGHTS)) {
+            const rect = element.getBoundingClientRect();
+            const box = Advault.DOM.create('div');
+            Advault.DOM.attr(box, 'class', 'highlight');
+            box.style.cssText = `left: ${rect.left}px; top: ${rect.top}px; width: ${rect.width}px; height: ${rect.height}px;`;
+            this.highlightLayer.append(box);
+        }
+    }
+
+    /**
+     * Selects an element and proposes its narrowest selector.
+     * @param {Element} element - The clicked element.
+     */
+    pick(element) {
+        if (element === document.body || element === document.documentElement) return;
+        this.pickedElement = element;
+        this.candidates = buildSelectorCandidates(element);
+        this.candidateIndex = 0;
+        this.showSelector(this.candidates.length > 0 ? this.candidates[0].selector : describeElement(element));
+    }
+
+    /**
+     * Switches to a narrower (-1) or wider (+1) selector for the picked element.
+     * @param {number} step - The direction.
+     */
+    moveCandidate(step) {
+        if (this.candidates.length === 0) return;
+        this.candidateIndex = Math.min(Math.max(this.candidateIndex + step, 0), this.candidates.length - 1);
+        this.showSelector(this.candidates[this.candidateIndex].selector);
+    }
+
+    /**
+     * Shows a selector in the panel and outlines what it matches.
+     * @param {string} selector - The selector.
+     */
+    showSelector(selector) {
+        if (this.selectorInput.value !== selector) {
+            this.selectorInput.value = selector;
+        }
+        const matches = countMatches(selector);
+        if (matches < 0) {
+            this.highlight([]);
+            this.setStatus('Invalid selector.');
+            return;
+        }
+        this.highlight(Array.from(Advault.queryAll(selector)));
+        this.setStatus(`${matches} matching element${matches === 1 ? '' : 's'}.`);
+        if (this.previewStyle) {
+            Advault.DOM.text(this.previewStyle, `${selector} { display: none !important; }`);
+        }
+    }
+
+    /**
+     * Hides or shows the matching elements to preview the filter.
+     */
+    togglePreview() {
+        if (this.previewStyle) {
+            Advault.DOM.remove(this.previewStyle);
+            this.previewStyle = null;
+            Advault.DOM.text(this.previewButton, 'Preview');
+            this.showSelector(this.selectorInput.value);
+            return;
+        }
+        if (countMatches(this.selectorInput.value) < 0) return;
+        this.previewStyle = Advault.DOM.create('style');
+        Advault.DOM.text(this.previewStyle, `${this.selectorInput.value} { display: none !important; }`);
+        (document.head || document.documentElement).append(this.previewStyle);
+        Advault.DOM.text(this.previewButton, 'Stop preview');
+        this.highlight([]);
+    }
+
+    /**
+     * Saves the selector as an element hiding filter for this site.
+     */
+    async save() {
+        const selector = this.selectorInput.value.trim();
+        if (countMatches(selector) <= 0) {
+            this.setStatus('The selector must match at least one element.');
+            return;
+        }
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'addCosmeticFilter', selector });
+            if (!response || !response.ok) {
+                throw new Error(response ? response.error : 'No response from the background script');
+            }
+            console.log(`[Advault picker.js] Saved filter: ${response.result.filter}`);
+            this.stop();
+        } catch (error) {
+            console.error('[Advault picker.js] Could not save the filter:', error);
+            this.setStatus(`Could not save: ${error.message}`);
+        }
+    }
+
+    /**
+     * Shows a message in the panel.
+     * @param {string} message - The message.
+     */
+    setStatus(message) {
+        Advault.DOM.text(this.status, message);
+    }
+}
+
+/**
+ * Starts the picker in this frame, unless it is already running.
+ */
+function startElementPicker() {
+    if (activePicker) return;
+    activePicker = new ElementPicker();
+    activePicker.start();
+}
+
+export { startElementPicker };
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * @file popup.js
+ * @description Script of Advault's toolbar popup.
+ * Shows the site of the active tab, what was blocked on it, and lets the user turn blocking off for it
+ * or restore the elements Advault changed on the page.
+ */
+
+// Number of domains listed in the popup
+const MAX_LISTED_DOMAINS = 10;
+
+/**
+ * Sends a message to the background worker.
+ * @param {string} type - The message type.
+ * @param {object} [payload] - Additional message fields.
+ * @returns {Promise<*>} The handler's result.
+ * @throws {Error} If the handler failed.
+ */
+async function sendMessage(type, payload = {}) {
+  const response = await chrome.runtime.sendMessage({ type, ...payload });
+  if (!response || !response.ok) {
+    throw new Error(response ? response.error : `No handler for message "${type}"`);
+  }
+  return response.result;
+}
+
+/**
+ * Fills a list with "name: count" items, highest count first.
+ * @param {HTMLElement} list - The list element.
+ * @param {Object<string, number>} counts - The counts by name.
+ * @param {number} [limit] - Largest number of items shown.
+ */
+function renderCounts(list, counts, limit = Infinity) {
+  const items = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name, count]) => {
+      const item = document.createElement("li");
+      item.textContent = `${name}: ${count}`;
+      return item;
+    });
+  list.replaceChildren(...items);
+}
+
+/**
+ * Shows the blocking statistics of a tab.
+ * @param {number} tabId - The tab id.
+ */
+async function showTabStats(tabId) {
+  const stats = await sendMessage("getTabStats", { tabId });
+  if (stats.syncError) {
+    document.getElementById("status").textContent = stats.syncError;
+  }
+  document.getElementById("blocked-count").textContent = String(stats.blocked);
+  document.getElementById("youtube-stats").textContent = stats.scanPasses > 0
+    ? `YouTube: ${stats.removedElements} ad elements hidden, ${stats.skippedAds} ads skipped, ` +
+      `${(stats.scanTimeMs / stats.scanPasses).toFixed(1)} ms per page scan`
+    : "";
+  renderCounts(document.getElementById("matched-rulesets"), stats.rulesets);
+  renderCounts(document.getElementById("matched-domains"), stats.domains, MAX_LISTED_DOMAINS);
+  document.getElementById("tab-stats").hidden = false;
+}
+
+/**
+ * Fills the popup for the active tab.
+ */
+async function initPopup() {
+  const siteLabel = document.getElementById("site");
+  const toggle = document.getElementById("allow-site");
+  const status = document.getElementById("status");
+
+  document.getElementById("open-options").addEventListener("click", event => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const { site, allowlisted } = tab && tab.url
+    ? await sendMessage("getSiteStatus", { url: tab.url })
+    : { site: null, allowlisted: false };
+  if (!site) {
+    siteLabel.textContent = "Advault does not run on this page.";
+    return;
+  }
+
+  siteLabel.textContent = site;
+
+  const restoreButton = document.getElementById("restore-page");
+  restoreButton.hidden = false;
+  restoreButton.addEventListener("click", async () => {
+    restoreButton.disabled = true;
+    try {
+      const { restored } = await sendMessage("restorePage", { tabId: tab.id });
+      status.textContent = restored > 0
+        ? `Restored ${restored} changes. Reload the page to block ads again.`
+        : "Advault has not changed anything on this page.";
+    } catch (error) {
+      restoreButton.disabled = false;
+      status.textContent = error.message;
+    }
+  });
+
+  toggle.checked = allowlisted;
+  toggle.disabled = false;
+  toggle.addEventListener("change", async () => {
+    toggle.disabled = true;
+    try {
+      await sendMessage(toggle.checked ? "addToAllowlist" : "removeFromAllowlist", { site });
+      status.textContent = toggle.checked ? "Blocking is off for this site." : "Blocking is on for this site.";
+      // Rules and content scripts only pick up the change on the next load
+      await chrome.tabs.reload(tab.id);
+    } catch (error) {
+      toggle.checked = !toggle.checked;
+      status.textContent = error.message;
+    } finally {
+      toggle.disabled = false;
+    }
+  });
+
+  // Last, so the controls work even if the stats can't be loaded
+  try {
+    await showTabStats(tab.id);
+  } catch (error) {
+    status.textContent = `Could not load the statistics: ${error.message}`;
+  }
+}
+
+initPopup().catch(error => {
+  document.getElementById("status").textContent = error.message;
+});
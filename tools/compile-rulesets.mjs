@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * @file tools/compile-rulesets.mjs
+ * @description Compiles the category filter lists in `filters/` into the static
+ * declarativeNetRequest rulesets under `rulesets/` and registers them in manifest.json.
+ * Every category is split into as many `<category>_partN` rulesets as it needs to stay
+ * under the static rule limits. Rule ids are unique across all rulesets.
+ *
+ * Usage: node tools/compile-rulesets.mjs
+ */
+
+import { readFile, readdir, unlink, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+import { parseFilterList } from "../AdvaultFilterParser.js";
+import { compactRules } from "../AdvaultRuleCompactor.js";
+import { removeCriticalRules } from "../AdvaultListVerifier.js";
+import { applyLintGate, lintRules } from "../AdvaultRuleLinter.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FILTERS_DIR = path.join(ROOT, "filters");
+const RULESETS_DIR = path.join(ROOT, "rulesets");
+const MANIFEST_PATH = path.join(ROOT, "manifest.json");
+
+// Categories in manifest order, with whether they are enabled on install.
+const CATEGORIES = [
+  { id: "ads", enabled: true },
+  { id: "trackers", enabled: true },
+  { id: "malware", enabled: true },
+  { id: "annoyances", enabled: true },
+  { id: "youtube", enabled: true }
+];
+
+// Static ruleset limits (chrome.declarativeNetRequest constants are not available here).
+const GUARANTEED_MINIMUM_STATIC_RULES = 30000;   // Rules across all enabled rulesets
+const MAX_NUMBER_OF_STATIC_RULESETS = 100;
+const MAX_NUMBER_OF_ENABLED_STATIC_RULESETS = 50;
+const MAX_REGEX_RULES_PER_RULESET = 1000;
+const MAX_RULES_PER_RULESET = 10000;             // Keeps each file small enough to review and load quickly
+
+/**
+ * Splits a category's rules into parts that respect the per-ruleset limits.
+ * @param {object[]} rules - The compacted rules of one category.
+ * @returns {object[][]} The parts, at least one (possibly empty).
+ */
+function partitionRules(rules) {
+  const parts = [[]];
+  let regexCount = 0;
+  for (const rule of rules) {
+    const isRegex = Boolean(rule.condition.regexFilter);
+    let part = parts[parts.length - 1];
+    if (part.length >= MAX_RULES_PER_RULESET || (isRegex && regexCount >= MAX_REGEX_RULES_PER_RULESET)) {
+      part = [];
+      parts.push(part);
+      regexCount = 0;
+    }
+    part.push(rule);
+    if (isRegex) regexCount++;
+  }
+  return parts;
+}
+
+/**
+ * Compiles one category list into its ruleset parts.
+ * @param {string} category - The category id.
+ * @returns {Promise<object[][]>} The rules (without ids) of each part.
+ */
+async function compileCategory(category) {
+  const text = await readFile(path.join(FILTERS_DIR, `${category}.txt`), "utf8");
+  const { rules: parsedRules, stats, unsupported } = parseFilterList(text);
+  const { rules: safeRules, rejected } = removeCriticalRules(parsedRules);
+  const findings = await lintRules(safeRules);
+  const { rules } = applyLintGate(safeRules, findings);
+  const { entries, stats: compaction } = compactRules(rules, {
+    maxRules: Infinity,
+    maxUnsafeRules: Infinity,
+    maxRegexRules: Infinity
+  });
+
+  console.log(`${category}: ${stats.converted} filters -> ${entries.length} rules` +
+    ` (${compaction.duplicateDomains + compaction.duplicateRules} duplicates, ${compaction.coveredDomains} covered domains)`);
+  for (const entry of unsupported) {
+    console.warn(`  ${category}.txt:${entry.lineNumber} skipped, ${entry.reason}: ${entry.line}`);
+  }
+  for (const rule of rejected) {
+    console.warn(`  ${category}.txt rule rejected, it would block a critical domain: ${JSON.stringify(rule.condition)}`);
+  }
+  for (const finding of findings) {
+    const verdict = finding.severity === "error" ? "rule rejected" : "warning";
+    console.warn(`  ${category}.txt ${verdict} [${finding.code}]: ${finding.message}`);
+  }
+  return partitionRules(entries.map(entry => entry.rule));
+}
+
+/**
+ * Serializes the manifest, keeping one `rule_resources` entry per line as it is hand-edited elsewhere.
+ * @param {object} manifest - The manifest object.
+ * @returns {string} The manifest JSON.
+ */
+function formatManifest(manifest) {
+  return `${JSON.stringify(manifest, null, 2)}\n`.replace(
+    /\{\n\s+"id": ("[^"]+"),\n\s+"enabled": (true|false),\n\s+"path": ("[^"]+")\n\s+\}/g,
+    "{ \"id\": $1, \"enabled\": $2, \"path\": $3 }"
+  );
+}
+
+/**
+ * Compiles every category, writes the ruleset files and updates the manifest.
+ */
+async function compileRulesets() {
+  const ruleResources = [];
+  const files = new Map();
+  const seenIds = new Set();
+  let nextId = 1;
+  let enabledRuleCount = 0;
+
+  for (const category of CATEGORIES) {
+    const parts = await compileCategory(category.id);
+    parts.forEach((part, index) => {
+      const rulesetId = `${category.id}_part${index + 1}`;
+      const rules = part.map(rule => ({ id: nextId++, ...rule }));
+      for (const rule of rules) {
+        if (seenIds.has(rule.id)) {
+          throw new Error(`Duplicate rule id ${rule.id} in ${rulesetId}`);
+        }
+        seenIds.add(rule.id);
+      }
+      files.set(`${rulesetId}.json`, rules);
+      ruleResources.push({ id: rulesetId, enabled: category.enabled, path: `rulesets/${rulesetId}.json` });
+      if (category.enabled) enabledRuleCount += rules.length;
+    });
+  }
+
+  const enabledRulesets = ruleResources.filter(resource => resource.enabled).length;
+  if (ruleResources.length > MAX_NUMBER_OF_STATIC_RULESETS) {
+    throw new Error(`${ruleResources.length} rulesets exceed the limit of ${MAX_NUMBER_OF_STATIC_RULESETS}`);
+  }
+  if (enabledRulesets > MAX_NUMBER_OF_ENABLED_STATIC_RULESETS) {
+    throw new Error(`${enabledRulesets} enabled rulesets exceed the limit of ${MAX_NUMBER_OF_ENABLED_STATIC_RULESETS}`);
+  }
+  if (enabledRuleCount > GUARANTEED_MINIMUM_STATIC_RULES) {
+    throw new Error(`${enabledRuleCount} enabled static rules exceed the guaranteed minimum of ${GUARANTEED_MINIMUM_STATIC_RULES}`);
+  }
+
+  // Remove rulesets of categories or parts that no longer exist
+  for (const file of await readdir(RULESETS_DIR).catch(() => [])) {
+    if (file.endsWith(".json") && !files.has(file)) {
+      await unlink(path.join(RULESETS_DIR, file));
+    }
+  }
+  for (const [file, rules] of files) {
+    await writeFile(path.join(RULESETS_DIR, file), `${JSON.stringify(rules, null, 2)}\n`);
+  }
+
+  const manifest = JSON.parse(await readFile(MANIFEST_PATH, "utf8"));
+  manifest.declarative_net_request.rule_resources = ruleResources;
+  await writeFile(MANIFEST_PATH, formatManifest(manifest));
+
+  console.log(`Wrote ${ruleResources.length} rulesets with ${seenIds.size} rules (${enabledRuleCount} enabled).`);
+}
+
+compileRulesets().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});